@@ -1,6 +1,5 @@
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
 const OpenAI = require('openai');
 const weaviate = require('weaviate-ts-client').default;
 const express = require('express');
@@ -9,18 +8,28 @@ const multer = require('multer');
 // Import from searchMethods.js
 const {
   client,
+  vectorStore,
   openai,
-  generateEmbedding,
+  generateEmbeddings,
+  assertEmbeddingModel,
+  createChatCompletion,
   enhanceQuery,
   searchPDFContent,
   searchPDFContentAdvanced,
   smartSearchPDFContent,
   basicSearchPDFContent,
-  fuseSearchResults
-} = require('./utility');
+  fuseSearchResults,
+  searchFilter,
+  COMMITTED_FILTER
+} = require('./src/utility');
+const { extractPDFText } = require('./src/pdfExtraction');
+const { migrateSchema } = require('./src/migrations');
+const { buildSearchFilter } = require('./src/searchFilters');
+const { buildVersionFilter, combineFilters } = require('./src/documents');
+const { storePDFInWeaviateParallel, recoverPendingIngestions, INSTANCE_ID } = require('./src/index');
 
 // Load environment variables
-require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
+require('dotenv').config({ path: path.resolve(__dirname, '.env') });
 
 // Initialize Express app
 const app = express();
@@ -49,121 +58,6 @@ const upload = multer({
   }
 });
 
-// Environment validation
-if (!process.env.WEAVIATE_API_KEY || !process.env.OPENAI_API_KEY) {
-  console.error('❌ Missing required environment variables!');
-  process.exit(1);
-}
-
-// Enhanced schema with metadata for better ranking
-const pdfSchema = {
-  class: 'PDFDocument',
-  description: 'PDF document chunks with vector embeddings and enhanced metadata',
-  vectorizer: 'none',
-  properties: [
-    { name: 'content', dataType: ['text'], description: 'Chunk text content' },
-    { name: 'filename', dataType: ['string'], description: 'Original filename' },
-    { name: 'savedFilename', dataType: ['string'], description: 'Saved filename with timestamp' },
-    { name: 'pageNumber', dataType: ['int'], description: 'Page number' },
-    { name: 'chunkIndex', dataType: ['int'], description: 'Chunk index' },
-    { name: 'totalPages', dataType: ['int'], description: 'Total pages in document' },
-    { name: 'totalChunks', dataType: ['int'], description: 'Total chunks in document' },
-    { name: 'chunkStart', dataType: ['int'], description: 'Chunk start position' },
-    { name: 'chunkEnd', dataType: ['int'], description: 'Chunk end position' },
-    { name: 'uploadDate', dataType: ['date'], description: 'Upload timestamp' },
-    { name: 'filePath', dataType: ['string'], description: 'Local file path' },
-    // Enhanced metadata for better ranking
-    { name: 'documentType', dataType: ['string'], description: 'Document type/category' },
-    { name: 'keywords', dataType: ['string[]'], description: 'Extracted keywords' },
-    { name: 'summary', dataType: ['text'], description: 'Chunk summary' },
-    { name: 'importance', dataType: ['number'], description: 'Content importance score' },
-    { name: 'wordCount', dataType: ['int'], description: 'Word count in chunk' },
-  ],
-};
-
-// Enhanced text chunking with smart boundaries and metadata extraction
-function enhancedChunkTextWithOverlap(text, maxChunkSize = 1000, overlap = 200) {
-  const chunks = [];
-  let start = 0;
-
-  // Extract potential keywords and important phrases
-  const extractKeywords = (text) => {
-    const words = text.toLowerCase().match(/\b\w{4,}\b/g) || [];
-    const freq = {};
-    words.forEach(word => freq[word] = (freq[word] || 0) + 1);
-    return Object.entries(freq)
-      .sort(([,a], [,b]) => b - a)
-      .slice(0, 10)
-      .map(([word]) => word);
-  };
-
-  // Calculate importance score based on various factors
-  const calculateImportance = (text) => {
-    let score = 0;
-    
-    // Headers and titles (ALL CAPS, numbered sections)
-    if (/^[A-Z\s\d\.]{10,}$/m.test(text)) score += 0.3;
-    
-    // Numbers and data
-    if (/\d+%|\$\d+|\d+\.\d+/.test(text)) score += 0.2;
-    
-    // Keywords indicating importance
-    const importantWords = ['important', 'key', 'significant', 'critical', 'essential', 'conclusion', 'summary'];
-    importantWords.forEach(word => {
-      if (text.toLowerCase().includes(word)) score += 0.1;
-    });
-    
-    // Questions and answers
-    if (/\?/.test(text)) score += 0.1;
-    
-    return Math.min(score, 1.0);
-  };
-
-  while (start < text.length) {
-    let end = Math.min(start + maxChunkSize, text.length);
-
-    // Find better break points
-    if (end < text.length) {
-      const breakPoints = ['\n\n', '. ', '! ', '? ', '\n'];
-      let bestBreak = -1;
-
-      for (const breakPoint of breakPoints) {
-        const breakIndex = text.lastIndexOf(breakPoint, end);
-        if (breakIndex > start + maxChunkSize * 0.5) {
-          bestBreak = breakIndex + breakPoint.length;
-          break;
-        }
-      }
-
-      if (bestBreak > -1) {
-        end = bestBreak;
-      }
-    }
-
-    const chunkText = text.slice(start, end).trim();
-    if (chunkText.length > 50) {
-      const keywords = extractKeywords(chunkText);
-      const importance = calculateImportance(chunkText);
-      const wordCount = chunkText.split(/\s+/).length;
-      
-      chunks.push({
-        text: chunkText,
-        start,
-        end,
-        keywords,
-        importance,
-        wordCount,
-        summary: chunkText.length > 200 ? chunkText.substring(0, 200) + '...' : chunkText
-      });
-    }
-
-    start = Math.max(start + 1, end - overlap);
-    if (start >= text.length) break;
-  }
-
-  return chunks;
-}
-
 // Advanced result ranking system
 class ResultRanker {
   static calculateRelevanceScore(result, query, queryEmbedding) {
@@ -253,8 +147,7 @@ class DocumentSynthesizer {
     }).join('\n\n---\n\n');
 
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4',
+      const completion = await createChatCompletion('synthesis', {
         messages: [
           {
             role: 'system',
@@ -294,8 +187,7 @@ Please provide a comprehensive synthesis that answers the query using informatio
 class QueryRefiner {
   static async generateQueryVariations(originalQuery) {
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+      const completion = await createChatCompletion('query', {
         messages: [
           {
             role: 'system',
@@ -325,8 +217,7 @@ class QueryRefiner {
 
   static async expandQuery(query) {
     try {
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+      const completion = await createChatCompletion('query', {
         messages: [
           {
             role: 'system',
@@ -358,12 +249,17 @@ async function enhancedSearchPDFContent(query, options = {}) {
     enableDiversification = true,
     enableSynthesis = true,
     enableQueryRefinement = true,
-    searchType = 'hybrid'
+    searchType = 'hybrid',
+    // Where filter every strategy is restricted to (see searchFilters.js)
+    where
   } = options;
 
   try {
     console.log(`Enhanced search: "${query}" with options:`, options);
-    
+
+    // Only chunks embedded with the query's model are comparable with it
+    await assertEmbeddingModel(where);
+
     let allResults = [];
     let queryVariations = [query];
 
@@ -373,23 +269,32 @@ async function enhancedSearchPDFContent(query, options = {}) {
       console.log('Query variations:', queryVariations);
     }
 
+    const searchQueries = queryVariations.slice(0, 3); // Limit to first 3 variations
+
+    // Embed the query and its variations in one request. Advanced search embeds an
+    // LLM-enhanced version of each variation itself, so only the query is needed for ranking.
+    const embeddedQueries = [...new Set(searchType === 'advanced' ? [query] : [query, ...searchQueries])];
+    const queryEmbeddings = await generateEmbeddings(embeddedQueries);
+    const embeddingOf = text => queryEmbeddings[embeddedQueries.indexOf(text)];
+
     // Search with multiple query variations
-    for (const searchQuery of queryVariations.slice(0, 3)) { // Limit to first 3 variations
+    for (const searchQuery of searchQueries) {
       let searchResults;
+      const searchOptions = { queryEmbedding: embeddingOf(searchQuery), where };
 
       switch (searchType) {
         case 'basic':
-          searchResults = await basicSearchPDFContent(searchQuery, Math.ceil(maxResults / queryVariations.length));
+          searchResults = await basicSearchPDFContent(searchQuery, Math.ceil(maxResults / queryVariations.length), searchOptions);
           break;
         case 'advanced':
-          searchResults = await searchPDFContentAdvanced(searchQuery, Math.ceil(maxResults / queryVariations.length), 0.7);
+          searchResults = await searchPDFContentAdvanced(searchQuery, Math.ceil(maxResults / queryVariations.length), 0.7, { where });
           break;
         case 'smart':
-          searchResults = await smartSearchPDFContent(searchQuery, Math.ceil(maxResults / queryVariations.length));
+          searchResults = await smartSearchPDFContent(searchQuery, Math.ceil(maxResults / queryVariations.length), searchOptions);
           break;
         case 'hybrid':
         default:
-          searchResults = await searchPDFContent(searchQuery, Math.ceil(maxResults / queryVariations.length), 0.7);
+          searchResults = await searchPDFContent(searchQuery, Math.ceil(maxResults / queryVariations.length), 0.7, searchOptions);
           break;
       }
 
@@ -412,7 +317,7 @@ async function enhancedSearchPDFContent(query, options = {}) {
 
     // Enhanced ranking
     if (enableRanking && uniqueResults.length > 0) {
-      const queryEmbedding = await generateEmbedding(query);
+      const queryEmbedding = embeddingOf(query);
       
       uniqueResults.forEach(result => {
         result.relevanceScore = ResultRanker.calculateRelevanceScore(result, query, queryEmbedding);
@@ -482,19 +387,9 @@ function validatePDFFile(filePath, originalName) {
   }
 }
 
-// Extract text from PDF
-async function extractPDFText(filePath) {
-  try {
-    const buffer = fs.readFileSync(filePath);
-    const data = await pdf(buffer);
-    return {
-      text: data.text,
-      numPages: data.numpages
-    };
-  } catch (error) {
-    throw new Error(`PDF text extraction failed: ${error.message}`);
-  }
-}
+// Uploads go through the same transactional ingestion as the main server (src/index.js), under
+// an owner of their own: each server only rolls back its own interrupted ingestions at startup
+const ENHANCED_INSTANCE_ID = `${INSTANCE_ID}-enhanced`;
 
 // Create user_uploads directory
 const USER_UPLOADS_DIR = './user_uploads';
@@ -503,127 +398,11 @@ if (!fs.existsSync(USER_UPLOADS_DIR)) {
   console.log('📁 Created user_uploads directory');
 }
 
-// Enhanced PDF storage with metadata
-async function enhancedStorePDFInWeaviate(filePath, originalFilename) {
-  try {
-    const { text, numPages } = await extractPDFText(filePath);
-    console.log(`Extracted ${numPages} pages from PDF: ${originalFilename}`);
-    
-    const chunks = enhancedChunkTextWithOverlap(text, 800, 200);
-    console.log(`Processing ${chunks.length} chunks from ${originalFilename}`);
-
-    // Save PDF to user_uploads folder
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const savedFilename = `${timestamp}_${originalFilename}`;
-    const permanentPath = path.join(USER_UPLOADS_DIR, savedFilename);
-
-    fs.copyFileSync(filePath, permanentPath);
-    console.log(`📄 PDF saved to: ${permanentPath}`);
-
-    // Detect document type
-    const detectDocumentType = (text) => {
-      const lowerText = text.toLowerCase();
-      if (lowerText.includes('contract') || lowerText.includes('agreement')) return 'legal';
-      if (lowerText.includes('financial') || lowerText.includes('budget')) return 'financial';
-      if (lowerText.includes('technical') || lowerText.includes('specification')) return 'technical';
-      if (lowerText.includes('research') || lowerText.includes('study')) return 'research';
-      return 'general';
-    };
-
-    const documentType = detectDocumentType(text);
-
-    // Process with enhanced metadata
-    const concurrencyLimit = 3;
-    const batchSize = 5;
-    const batches = [];
-    
-    for (let i = 0; i < chunks.length; i += batchSize) {
-      batches.push(chunks.slice(i, i + batchSize));
-    }
-
-    let storedChunks = 0;
-
-    const processBatch = async (batch, batchIndex) => {
-      const objects = [];
-      const embeddingPromises = batch.map(chunk => generateEmbedding(chunk.text));
-      const embeddings = await Promise.all(embeddingPromises);
-
-      batch.forEach((chunk, j) => {
-        objects.push({
-          class: 'PDFDocument',
-          properties: {
-            content: chunk.text,
-            filename: originalFilename,
-            savedFilename: savedFilename,
-            pageNumber: Math.floor((chunk.start / text.length) * numPages) + 1,
-            chunkIndex: batchIndex * batchSize + j,
-            totalPages: numPages,
-            totalChunks: chunks.length,
-            chunkStart: chunk.start,
-            chunkEnd: chunk.end,
-            uploadDate: new Date().toISOString(),
-            filePath: permanentPath,
-            // Enhanced metadata
-            documentType,
-            keywords: chunk.keywords,
-            summary: chunk.summary,
-            importance: chunk.importance,
-            wordCount: chunk.wordCount
-          },
-          vector: embeddings[j]
-        });
-      });
-
-      await client.batch.objectsBatcher()
-        .withObjects(...objects)
-        .do();
-
-      storedChunks += objects.length;
-      console.log(`Stored ${storedChunks}/${chunks.length} chunks`);
-
-      return objects.length;
-    };
-
-    // Process batches with controlled concurrency
-    for (let i = 0; i < batches.length; i += concurrencyLimit) {
-      const currentBatches = batches.slice(i, i + concurrencyLimit);
-      const batchPromises = currentBatches.map((batch, idx) =>
-        processBatch(batch, i + idx)
-      );
-
-      await Promise.all(batchPromises);
-
-      if (i + concurrencyLimit < batches.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-    }
-
-    return {
-      success: true,
-      chunksStored: chunks.length,
-      filename: originalFilename,
-      savedFilename: savedFilename,
-      savedPath: permanentPath,
-      pages: numPages,
-      documentType
-    };
-  } catch (error) {
-    throw new Error(`Failed to store PDF: ${error.message}`);
-  }
-}
-
-// Initialize schema
+// Create the schema, or bring an existing one up to date (see migrations.js). With
+// SCHEMA_MIGRATIONS_ON_STARTUP=false pending migrations are only listed.
 async function initializeSchema() {
   try {
-    const schema = await client.schema.getter().do();
-    const classExists = schema.classes.some(cls => cls.class === 'PDFDocument');
-
-    if (!classExists) {
-      await client.schema.classCreator().withClass(pdfSchema).do();
-      console.log('✅ Enhanced schema created successfully');
-    } else {
-      console.log('ℹ️ Schema already exists');
-    }
+    await migrateSchema(vectorStore, { dryRun: process.env.SCHEMA_MIGRATIONS_ON_STARTUP === 'false' });
   } catch (error) {
     console.error('Schema initialization failed:', error);
     throw error;
@@ -646,7 +425,7 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
     validatePDFFile(req.file.path, req.file.originalname);
     console.log(`📥 Received file: ${req.file.originalname}`);
 
-    const result = await enhancedStorePDFInWeaviate(req.file.path, req.file.originalname);
+    const result = await storePDFInWeaviateParallel(req.file.path, req.file.originalname, { owner: ENHANCED_INSTANCE_ID });
     console.log(`✅ PDF processed: ${result.savedFilename} with ${result.chunksStored} chunks`);
 
     fs.unlinkSync(req.file.path);
@@ -662,9 +441,10 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
       fs.unlinkSync(req.file.path);
     }
 
-    res.status(400).json({
+    res.status(error.status || 400).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.code && { code: error.code })
     });
   }
 });
@@ -681,7 +461,10 @@ app.post('/search', async (req, res) => {
       enableRanking = true,
       enableDiversification = true,
       enableSynthesis = true,
-      enableQueryRefinement = true
+      enableQueryRefinement = true,
+      documentId,
+      version = 'latest',
+      filters
     } = req.body;
 
     if (!query || typeof query !== 'string') {
@@ -691,6 +474,18 @@ app.post('/search', async (req, res) => {
       });
     }
 
+    // Latest versions unless a version (or 'all') is requested, as in the main server's
+    // /search; every search strategy also leaves out pending chunks
+    let where;
+    try {
+      where = combineFilters(buildVersionFilter({ documentId, version }), buildSearchFilter(filters));
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError.message
+      });
+    }
+
     const searchOptions = {
       limit,
       maxResults,
@@ -698,7 +493,8 @@ app.post('/search', async (req, res) => {
       enableDiversification,
       enableSynthesis,
       enableQueryRefinement,
-      searchType
+      searchType,
+      where
     };
 
     console.log(`Enhanced search: "${query}"`, searchOptions);
@@ -719,8 +515,7 @@ app.post('/search', async (req, res) => {
             relevanceScore: result.relevanceScore
           }));
 
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4',
+        const completion = await createChatCompletion('answer', {
           messages: [
             {
               role: 'system',
@@ -779,9 +574,10 @@ Please provide a comprehensive answer based on this information.`
 
   } catch (error) {
     console.error('Enhanced search endpoint error:', error);
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       error: 'An error occurred while processing the enhanced search request.',
+      code: error.code,
       details: error.message
     });
   }
@@ -822,32 +618,18 @@ app.post('/refine-query', async (req, res) => {
 // Document statistics with enhanced metadata
 app.get('/stats', async (req, res) => {
   try {
-    const totalResult = await client.graphql
-      .aggregate()
-      .withClassName('PDFDocument')
-      .withFields('meta { count }')
-      .do();
-
-    const uniqueResult = await client.graphql
-      .aggregate()
-      .withClassName('PDFDocument')
-      .withFields('filename { count }')
-      .withGroupBy(['filename'])
-      .do();
-
-    const typeResult = await client.graphql
-      .aggregate()
-      .withClassName('PDFDocument')
-      .withFields('documentType { count }')
-      .withGroupBy(['documentType'])
-      .do();
+    // What searches cover: committed chunks of the latest versions, not archived
+    const where = searchFilter(buildVersionFilter());
+    const totalChunks = await vectorStore.count(where);
+    const files = await vectorStore.aggregate({ where, groupBy: 'filename' });
+    const types = await vectorStore.aggregate({ where, groupBy: 'documentType' });
 
     res.json({
       success: true,
       data: {
-        totalChunks: totalResult.data.Aggregate.PDFDocument?.[0]?.meta?.count || 0,
-        uniqueFiles: uniqueResult.data.Aggregate.PDFDocument?.length || 0,
-        documentTypes: typeResult.data.Aggregate.PDFDocument || []
+        totalChunks,
+        uniqueFiles: files.length,
+        documentTypes: types.map(type => ({ documentType: type.groupedBy, count: type.count }))
       }
     });
   } catch (error) {
@@ -888,26 +670,32 @@ app.get('/files', async (req, res) => {
       };
     });
 
-    const weaviateResult = await client.graphql
-      .get()
-      .withClassName('PDFDocument')
-      .withFields('filename savedFilename uploadDate totalPages documentType')
-      .withLimit(1000)
-      .do();
+    // Committed uploads only; ingestions in progress are not listed
+    const storedChunks = await vectorStore.find({
+      fields: ['filename', 'savedFilename', 'uploadDate', 'totalPages', 'documentType', 'documentId', 'version', 'superseded', 'archived'],
+      where: COMMITTED_FILTER,
+      limit: 1000
+    });
 
     const weaviateFiles = [];
     const seen = new Set();
 
-    if (weaviateResult.data.Get.PDFDocument) {
-      weaviateResult.data.Get.PDFDocument.forEach(doc => {
-        if (!seen.has(doc.filename)) {
-          seen.add(doc.filename);
+    if (storedChunks.length > 0) {
+      storedChunks.forEach(doc => {
+        // One entry per stored upload, so every version of a document is listed
+        const key = doc.savedFilename || doc.filename;
+        if (!seen.has(key)) {
+          seen.add(key);
           weaviateFiles.push({
             originalFilename: doc.filename,
             savedFilename: doc.savedFilename,
             uploadDate: doc.uploadDate,
             totalPages: doc.totalPages,
-            documentType: doc.documentType
+            documentType: doc.documentType,
+            documentId: doc.documentId,
+            version: doc.version,
+            superseded: doc.superseded === true,
+            archived: doc.archived === true
           });
         }
       });
@@ -971,7 +759,8 @@ app.get('/search-analytics', async (req, res) => {
 // Batch search endpoint for multiple queries
 app.post('/batch-search', async (req, res) => {
   try {
-    const { queries, options = {} } = req.body;
+    // `filters`, `documentId` and `version` apply to every query
+    const { queries, options = {}, filters, documentId, version = 'latest' } = req.body;
     
     if (!Array.isArray(queries) || queries.length === 0) {
       return res.status(400).json({
@@ -987,6 +776,16 @@ app.post('/batch-search', async (req, res) => {
       });
     }
 
+    let where;
+    try {
+      where = combineFilters(buildVersionFilter({ documentId, version }), buildSearchFilter(filters));
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError.message
+      });
+    }
+
     console.log(`Processing batch search for ${queries.length} queries`);
 
     const batchResults = [];
@@ -1000,7 +799,7 @@ app.post('/batch-search', async (req, res) => {
       searchType: 'hybrid'
     };
 
-    const searchOptions = { ...defaultOptions, ...options };
+    const searchOptions = { ...defaultOptions, ...options, where };
 
     for (const query of queries) {
       try {
@@ -1052,24 +851,31 @@ app.post('/compare-documents', async (req, res) => {
 
     console.log(`Comparing documents for query: "${query}"`);
 
+    // The latest version of each document, by document id or filename, as searches see it
+    const documentFilters = documentIds.map(docId => combineFilters(
+      {
+        operator: 'Or',
+        operands: [
+          { path: ['documentId'], operator: 'Equal', valueString: docId },
+          { path: ['filename'], operator: 'Equal', valueString: docId }
+        ]
+      },
+      buildVersionFilter()
+    ));
+    // Only chunks embedded with the query's model are comparable with it
+    await assertEmbeddingModel({ operator: 'Or', operands: documentFilters });
+
     const comparisons = [];
+    const [queryEmbedding] = await generateEmbeddings([query]);
     
-    for (const docId of documentIds) {
+    for (const [index, docId] of documentIds.entries()) {
       // Search within specific document
-      const docSpecificSearch = await client.graphql
-        .get()
-        .withClassName('PDFDocument')
-        .withWhere({
-          path: ['filename'],
-          operator: 'Equal',
-          valueString: docId
-        })
-        .withNearText({ concepts: [query] })
-        .withFields('content filename pageNumber relevanceScore: _additional { distance }')
-        .withLimit(3)
-        .do();
-
-      const results = docSpecificSearch.data.Get.PDFDocument || [];
+      const results = await vectorStore.nearVector({
+        vector: queryEmbedding,
+        where: searchFilter(documentFilters[index]),
+        fields: ['content', 'filename', 'pageNumber'],
+        limit: 3
+      });
       
       comparisons.push({
         documentId: docId,
@@ -1085,8 +891,7 @@ app.post('/compare-documents', async (req, res) => {
     }
 
     // Generate comparison summary
-    const comparisonSummary = await openai.chat.completions.create({
-      model: 'gpt-4',
+    const comparisonSummary = await createChatCompletion('synthesis', {
       messages: [
         {
           role: 'system',
@@ -1116,9 +921,11 @@ Provide a comparative analysis of how each document addresses this query.`
     });
 
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error.code,
+      ...(error.code === 'EMBEDDING_MODEL_MISMATCH' && { data: error.data })
     });
   }
 });
@@ -1138,7 +945,8 @@ app.post('/export-results', async (req, res) => {
     const searchResults = await enhancedSearchPDFContent(query, {
       limit: 50, // More results for export
       enableSynthesis: true,
-      enableRanking: true
+      enableRanking: true,
+      where: buildVersionFilter()
     });
 
     const exportData = {
@@ -1211,6 +1019,7 @@ app.use((error, req, res, next) => {
 async function startServer() {
   try {
     await initializeSchema();
+    await recoverPendingIngestions(ENHANCED_INSTANCE_ID);
 
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
@@ -1242,8 +1051,10 @@ async function startServer() {
   }
 }
 
-// Start the enhanced application
-startServer();
+// Start the enhanced application (unless required, as by the tests)
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = {
   app,
@@ -1255,7 +1066,5 @@ module.exports = {
   DocumentSynthesizer,
   QueryRefiner,
   validatePDFFile,
-  extractPDFText,
-  enhancedStorePDFInWeaviate,
-  enhancedChunkTextWithOverlap
+  extractPDFText
 };
\ No newline at end of file
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+// Guard rails against zip bombs
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES, 10) || 200;
+const MAX_ARCHIVE_UNCOMPRESSED_SIZE = (parseInt(process.env.MAX_ARCHIVE_UNCOMPRESSED_MB, 10) || 500) * 1024 * 1024;
+
+function isZipFile(originalName) {
+  return path.extname(originalName).toLowerCase() === '.zip';
+}
+
+// Extract the files of a ZIP archive into destDir under random names (entry names are never
+// used as paths, so "../" entries cannot escape). Returns { name, path } for every file entry,
+// or { name, error } for entries that could not be extracted.
+function extractZipEntries(zipPath, destDir) {
+  let zip;
+  try {
+    zip = new AdmZip(zipPath);
+  } catch (error) {
+    throw new Error(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries().filter(entry =>
+    !entry.isDirectory &&
+    !entry.entryName.startsWith('__MACOSX/') &&
+    !path.basename(entry.entryName).startsWith('.')
+  );
+
+  if (entries.length === 0) {
+    throw new Error('ZIP archive contains no files.');
+  }
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw new Error(`ZIP archive contains ${entries.length} files; the maximum is ${MAX_ARCHIVE_ENTRIES}.`);
+  }
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+  if (totalSize > MAX_ARCHIVE_UNCOMPRESSED_SIZE) {
+    throw new Error('ZIP archive is too large once uncompressed.');
+  }
+
+  if (!fs.existsSync(destDir)) {
+    fs.mkdirSync(destDir, { recursive: true });
+  }
+
+  return entries.map(entry => {
+    const name = path.basename(entry.entryName);
+    try {
+      const entryPath = path.join(destDir, crypto.randomBytes(16).toString('hex'));
+      fs.writeFileSync(entryPath, entry.getData());
+      return { name, entryName: entry.entryName, path: entryPath };
+    } catch (error) {
+      return { name, entryName: entry.entryName, error: `Could not extract file: ${error.message}` };
+    }
+  });
+}
+
+module.exports = {
+  isZipFile,
+  extractZipEntries
+};
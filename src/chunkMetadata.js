@@ -0,0 +1,77 @@
+// Ranking metadata of chunks and documents (keywords, importance, word count, summary and
+// document type), stored with every chunk and used by enhanced search ranking
+
+// Ten most frequent words of at least four letters
+function extractKeywords(text) {
+  const words = text.toLowerCase().match(/\b\w{4,}\b/g) || [];
+  const freq = {};
+  words.forEach(word => freq[word] = (freq[word] || 0) + 1);
+  return Object.entries(freq)
+    .sort(([,a], [,b]) => b - a)
+    .slice(0, 10)
+    .map(([word]) => word);
+}
+
+// Importance score (0-1) based on various factors
+function calculateImportance(text) {
+  let score = 0;
+
+  // Headers and titles (ALL CAPS, numbered sections)
+  if (/^[A-Z\s\d\.]{10,}$/m.test(text)) score += 0.3;
+
+  // Numbers and data
+  if (/\d+%|\$\d+|\d+\.\d+/.test(text)) score += 0.2;
+
+  // Keywords indicating importance
+  const importantWords = ['important', 'key', 'significant', 'critical', 'essential', 'conclusion', 'summary'];
+  importantWords.forEach(word => {
+    if (text.toLowerCase().includes(word)) score += 0.1;
+  });
+
+  // Questions and answers
+  if (/\?/.test(text)) score += 0.1;
+
+  return Math.min(score, 1.0);
+}
+
+// { keywords, importance, wordCount, summary } of a chunk's text
+function chunkMetadata(text) {
+  return {
+    keywords: extractKeywords(text),
+    importance: calculateImportance(text),
+    wordCount: text.split(/\s+/).length,
+    summary: text.length > 200 ? text.substring(0, 200) + '...' : text
+  };
+}
+
+// Document types and the words that mark them, in order of precedence
+const DOCUMENT_TYPES = [
+  ['legal', ['contract', 'agreement']],
+  ['financial', ['financial', 'budget']],
+  ['technical', ['technical', 'specification']],
+  ['research', ['research', 'study']]
+];
+
+// Types whose words occur in a text. The signals of a document's parts add up to those of the
+// whole, so a document read piece by piece can be typed as it goes.
+function documentTypeSignals(text) {
+  const lowerText = text.toLowerCase();
+  return new Set(DOCUMENT_TYPES
+    .filter(([, words]) => words.some(word => lowerText.includes(word)))
+    .map(([type]) => type));
+}
+
+// Document type of a whole text, or of the combined signals of its parts
+function detectDocumentType(textOrSignals) {
+  const signals = typeof textOrSignals === 'string' ? documentTypeSignals(textOrSignals) : textOrSignals;
+  const match = DOCUMENT_TYPES.find(([type]) => signals.has(type));
+  return match ? match[0] : 'general';
+}
+
+module.exports = {
+  extractKeywords,
+  calculateImportance,
+  chunkMetadata,
+  documentTypeSignals,
+  detectDocumentType
+};
@@ -0,0 +1,569 @@
+// Chunking strategies. Every strategy returns chunks whose text is exactly
+// text.slice(chunk.start, chunk.end), so offsets always map back onto the source text
+// (and onto pages and sections). Chunk budgets are in tokens of the embedding model.
+const {
+  EMBEDDING_MAX_TOKENS,
+  countTokens,
+  fitTokens,
+  lastTokensStart
+} = require('./tokenizer');
+
+// Characters per token to size a window before it is fitted to a token budget (ordinary text
+// is about 4); tokenizing is slow, so windows are kept close to what will fit
+const WINDOW_CHARS_PER_TOKEN = 6;
+
+// Tokens of text[start, end)
+function spanTokens(text, start, end) {
+  return countTokens(text.slice(start, end));
+}
+
+// End of the longest prefix of text[start, limit) that fits in maxTokens, widening the window
+// while text is still left over (long whitespace or symbol runs pack many characters per token)
+function fitWindow(text, start, limit, maxTokens) {
+  let windowEnd = Math.min(start + maxTokens * WINDOW_CHARS_PER_TOKEN, limit);
+  let end = fitTokens(text, start, windowEnd, maxTokens);
+  while (end === windowEnd && windowEnd < limit) {
+    windowEnd = Math.min(start + (windowEnd - start) * 2, limit);
+    end = fitTokens(text, start, windowEnd, maxTokens);
+  }
+  return end;
+}
+
+// Fixed-size chunking with boundary overlap
+function chunkTextWithOverlap(text, maxTokens = 256, overlapTokens = 32) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    // Start on content, so trimming never changes what was measured
+    while (start < text.length && /\s/.test(text[start])) start++;
+    if (start >= text.length) break;
+
+    let end = fitWindow(text, start, text.length, maxTokens);
+
+    // Find a good break point at sentence boundaries
+    if (end < text.length) {
+      const sentenceEnds = ['.', '!', '?', '\n'];
+      let bestBreak = -1;
+
+      for (let i = end - 1; i > start + (end - start) * 0.5; i--) {
+        if (sentenceEnds.includes(text[i])) {
+          bestBreak = i + 1;
+          break;
+        }
+      }
+
+      if (bestBreak > -1) {
+        end = bestBreak;
+      }
+    }
+
+    const chunkText = text.slice(start, end).trimEnd();
+    if (chunkText.length > 50) { // Only include meaningful chunks
+      chunks.push({
+        text: chunkText,
+        start,
+        end: start + chunkText.length
+      });
+    }
+
+    // The last chunk reached the end of the text
+    if (end >= text.length) break;
+
+    // Move start position with overlap
+    start = Math.max(start + 1, lastTokensStart(text, start, end, overlapTokens));
+  }
+
+  return chunks;
+}
+
+// Trimmed spans { start, end } of the pieces of text[from, to) between separator matches
+function splitSpans(text, separator, from = 0, to = text.length) {
+  const spans = [];
+  const pattern = new RegExp(separator.source, separator.flags.includes('g') ? separator.flags : `${separator.flags}g`);
+  const region = text.slice(from, to);
+
+  const pushSpan = (start, end) => {
+    const raw = region.slice(start, end);
+    const trimmed = raw.trim();
+    if (trimmed.length === 0) return;
+    const spanStart = from + start + (raw.length - raw.trimStart().length);
+    spans.push({ start: spanStart, end: spanStart + trimmed.length });
+  };
+
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(region)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    pushSpan(last, match.index);
+    last = match.index + match[0].length;
+  }
+  pushSpan(last, region.length);
+
+  return spans;
+}
+
+// Sentence spans: text up to and including ., ! or ? (the remainder is a sentence too)
+function sentenceSpans(text, from = 0, to = text.length) {
+  const spans = [];
+  const region = text.slice(from, to);
+  const pattern = /[^.!?]+[.!?]+|[^.!?]+$/g;
+  let match;
+
+  while ((match = pattern.exec(region)) !== null) {
+    const raw = match[0];
+    const trimmed = raw.trim();
+    if (trimmed.length === 0) continue;
+    const start = from + match.index + (raw.length - raw.trimStart().length);
+    spans.push({ start, end: start + trimmed.length });
+  }
+
+  return spans;
+}
+
+// Split spans longer than maxTokens at whitespace (or hard, when there is none), e.g. table text
+// without any sentence punctuation. Every returned span carries its `tokens`.
+function limitSpans(text, spans, maxTokens) {
+  return spans.flatMap(span => {
+    const tokens = spanTokens(text, span.start, span.end);
+    if (tokens <= maxTokens) return [{ ...span, tokens }];
+
+    const pieces = [];
+    let start = span.start;
+    while (start < span.end) {
+      let end = fitWindow(text, start, span.end, maxTokens);
+      if (end < span.end) {
+        const breakAt = text.slice(start, end).search(/\s\S*$/);
+        if (breakAt > (end - start) * 0.5) end = start + breakAt;
+      }
+      let pieceEnd = end;
+      while (pieceEnd > start && /\s/.test(text[pieceEnd - 1])) pieceEnd--;
+      pieces.push({ start, end: pieceEnd, tokens: spanTokens(text, start, pieceEnd) });
+      start = end;
+      while (start < span.end && /\s/.test(text[start])) start++;
+    }
+    return pieces;
+  });
+}
+
+// Estimated tokens of a run of spans: the spans' own tokens plus the whitespace between them.
+// Tokenizing the joined text again for every added span would be far too slow; joining text
+// practically never adds tokens, and fitSpans checks the exact count of every chunk.
+function estimateSpanTokens(text, spans) {
+  return spans.reduce((total, span, i) =>
+    total + span.tokens + (i > 0 ? spanTokens(text, spans[i - 1].end, span.start) : 0), 0);
+}
+
+// Number of leading spans whose joined text fits in maxTokens, with its exact token count
+function fitSpans(text, spans, maxTokens) {
+  let count = spans.length;
+  let tokens = spanTokens(text, spans[0].start, spans[count - 1].end);
+  while (tokens > maxTokens && count > 1) {
+    count--;
+    tokens = spanTokens(text, spans[0].start, spans[count - 1].end);
+  }
+  return { count, tokens };
+}
+
+// Chunk covering a run of consecutive spans, with its exact source text
+function spanChunk(text, spans, extra = {}) {
+  const start = spans[0].start;
+  const end = spans[spans.length - 1].end;
+  return { text: text.slice(start, end), start, end, ...extra };
+}
+
+// Push a chunk for a run of spans and return the spans that turned out not to fit
+function emitSpans(chunks, text, spans, maxTokens, describe) {
+  const { count, tokens } = fitSpans(text, spans, maxTokens);
+  const group = spans.slice(0, count);
+  chunks.push(spanChunk(text, group, { ...describe(group), tokenCount: tokens }));
+  return spans.slice(count);
+}
+
+// Greedily pack spans into chunks of at most maxTokens tokens (oversized spans are split first),
+// repeating the last `overlapUnits` spans at the start of the next chunk
+function packSpans(text, spans, maxTokens, overlapUnits, describe) {
+  const chunks = [];
+  let current = [];
+
+  limitSpans(text, spans, maxTokens).forEach(span => {
+    if (current.length > 0 && estimateSpanTokens(text, [...current, span]) > maxTokens) {
+      const leftover = emitSpans(chunks, text, current, maxTokens, describe);
+      if (leftover.length > 0) {
+        current = leftover;
+      } else {
+        // Always drop at least one span so chunks keep moving forward
+        const keep = Math.min(overlapUnits, current.length - 1);
+        current = keep > 0 ? current.slice(-keep) : [];
+      }
+      // Drop overlap that would not leave room for the next span
+      while (current.length > 0 && estimateSpanTokens(text, [...current, span]) > maxTokens) {
+        current.shift();
+      }
+    }
+    current.push(span);
+  });
+
+  while (current.length > 0) {
+    current = emitSpans(chunks, text, current, maxTokens, describe);
+  }
+
+  return chunks;
+}
+
+// Method 1: Sentence-based chunking with overlap
+function chunkBySentences(text, maxTokens = 384, overlapSentences = 2) {
+  return packSpans(text, sentenceSpans(text), maxTokens, overlapSentences, sentences => ({
+    sentenceCount: sentences.length
+  }));
+}
+
+// Method 2: Paragraph-based chunking
+function chunkByParagraphs(text, maxTokens = 512, overlapParagraphs = 1) {
+  // Split by blank lines (paragraph breaks)
+  const paragraphs = splitSpans(text, /\n\s*\n/);
+
+  const chunks = [];
+  let run = [];
+
+  const flush = () => {
+    if (run.length === 0) return;
+    chunks.push(...packSpans(text, run, maxTokens, overlapParagraphs, group => ({
+      paragraphCount: group.length,
+      type: 'paragraph'
+    })));
+    run = [];
+  };
+
+  paragraphs.forEach(paragraph => {
+    // If a single paragraph is too long, split it by sentences
+    if (spanTokens(text, paragraph.start, paragraph.end) > maxTokens) {
+      flush();
+      const sentences = sentenceSpans(text, paragraph.start, paragraph.end);
+      chunks.push(...packSpans(text, sentences, maxTokens, 1, group => ({
+        sentenceCount: group.length,
+        paragraphCount: 1,
+        type: 'sentence'
+      })));
+      return;
+    }
+    run.push(paragraph);
+  });
+  flush();
+
+  return chunks;
+}
+
+// Method 3: Advanced semantic chunking with NLP-like features
+function advancedSemanticChunking(text, maxTokens = 448) {
+  // Improved sentence splitting regex that handles more cases
+  const sentenceRegex = /(?<=[.!?])\s+(?=[A-Z])|(?<=[.!?]["'])\s+(?=[A-Z])/g;
+  // Skip very short sentences (likely artifacts)
+  const sentences = limitSpans(text, splitSpans(text, sentenceRegex), maxTokens)
+    .filter(span => span.end - span.start >= 10);
+  const sentenceText = span => text.slice(span.start, span.end);
+
+  const chunks = [];
+  let current = [];
+
+  const describe = group => ({
+    sentenceCount: group.length,
+    type: 'semantic',
+    coherenceScore: calculateCoherence(group.map(sentenceText))
+  });
+
+  sentences.forEach((sentence, i) => {
+    const next = sentences[i + 1];
+    // Whitespace between this sentence and the next one (a blank line is a paragraph break)
+    const gap = next ? text.slice(sentence.end, next.start) : '';
+    const tokens = estimateSpanTokens(text, [...current, sentence]);
+
+    // Determine if this is a good breaking point
+    const isGoodBreakPoint = isNaturalBreakPoint(sentenceText(sentence), next && sentenceText(next), gap);
+
+    // If we're near the limit and found a good break point (or would exceed the maximum)
+    if (current.length > 0 && (tokens > maxTokens || (tokens > maxTokens * 0.8 && isGoodBreakPoint))) {
+      const leftover = emitSpans(chunks, text, current, maxTokens, describe);
+
+      // Start new chunk with smart overlap
+      const overlapSentences = Math.min(determineOverlap(current.map(sentenceText)), current.length - 1);
+      if (leftover.length > 0) {
+        current = leftover;
+      } else {
+        current = overlapSentences > 0 ? current.slice(-overlapSentences) : [];
+      }
+      while (current.length > 0 && estimateSpanTokens(text, [...current, sentence]) > maxTokens) {
+        current.shift();
+      }
+    }
+
+    current.push(sentence);
+  });
+
+  // Final chunk
+  while (current.length > 0) {
+    current = emitSpans(chunks, text, current, maxTokens, describe);
+  }
+
+  return chunks;
+}
+
+// Helper functions for advanced chunking
+function isNaturalBreakPoint(currentSentence, nextSentence, gap = '') {
+  if (!nextSentence) return true;
+
+  // Check for topic transition indicators
+  const transitionWords = ['however', 'moreover', 'furthermore', 'in addition', 'on the other hand', 'meanwhile', 'subsequently'];
+  const nextLower = nextSentence.toLowerCase();
+
+  // New paragraph indicators
+  if (/\n\s*\n/.test(gap)) return true;
+
+  // Transition words at start of next sentence
+  if (transitionWords.some(word => nextLower.startsWith(word))) return true;
+
+  // Headers (sentences that are short and end with colons or are all caps)
+  if (nextSentence.length < 50 && (nextSentence.endsWith(':') || nextSentence === nextSentence.toUpperCase())) return true;
+
+  return false;
+}
+
+function determineOverlap(currentChunk) {
+  // More overlap for technical content, less for narrative
+  const technicalWords = ['therefore', 'thus', 'consequently', 'furthermore', 'moreover'];
+  const hasTechnical = currentChunk.some(sentence =>
+    technicalWords.some(word => sentence.toLowerCase().includes(word))
+  );
+
+  return hasTechnical ? 2 : 1;
+}
+
+function calculateCoherence(sentences) {
+  // Simple coherence score based on word overlap between sentences
+  if (sentences.length < 2) return 1;
+
+  let totalOverlap = 0;
+  for (let i = 0; i < sentences.length - 1; i++) {
+    const words1 = new Set(sentences[i].toLowerCase().split(/\W+/));
+    const words2 = new Set(sentences[i + 1].toLowerCase().split(/\W+/));
+    const intersection = new Set([...words1].filter(x => words2.has(x)));
+    totalOverlap += intersection.size / Math.min(words1.size, words2.size);
+  }
+
+  return totalOverlap / (sentences.length - 1);
+}
+
+// Method 4: Hybrid approach - combines multiple strategies
+function hybridSemanticChunking(text, options = {}) {
+  const {
+    maxTokens = 384,
+    preferParagraphs = true,
+    minTokens = 50
+  } = options;
+
+  // First, try paragraph-based chunking
+  if (preferParagraphs && /\n\s*\n/.test(text)) {
+    const paragraphChunks = chunkByParagraphs(text, maxTokens, 1);
+
+    // Check if paragraph chunks are reasonable sizes
+    const reasonableChunks = paragraphChunks.every(chunk => {
+      const tokens = countTokens(chunk.text);
+      return tokens >= minTokens && tokens <= maxTokens;
+    });
+
+    if (reasonableChunks) {
+      return paragraphChunks;
+    }
+  }
+
+  // Fall back to sentence-based chunking
+  return advancedSemanticChunking(text, maxTokens);
+}
+
+// Strategies selectable per upload, with their parameters and defaults (sizes in tokens)
+const CHUNKING_STRATEGIES = {
+  fixed: {
+    defaults: { maxTokens: 256, overlapTokens: 32 },
+    chunk: (text, params) => chunkTextWithOverlap(text, params.maxTokens, params.overlapTokens)
+  },
+  sentences: {
+    defaults: { maxTokens: 384, overlapSentences: 2 },
+    chunk: (text, params) => chunkBySentences(text, params.maxTokens, params.overlapSentences)
+  },
+  paragraphs: {
+    defaults: { maxTokens: 512, overlapParagraphs: 1 },
+    chunk: (text, params) => chunkByParagraphs(text, params.maxTokens, params.overlapParagraphs)
+  },
+  semantic: {
+    defaults: { maxTokens: 448 },
+    chunk: (text, params) => advancedSemanticChunking(text, params.maxTokens)
+  },
+  hybrid: {
+    defaults: { maxTokens: 384, preferParagraphs: true, minTokens: 50 },
+    chunk: (text, params) => hybridSemanticChunking(text, params)
+  }
+};
+
+// Validate a strategy and its parameters (a JSON string or an object) and fill in the defaults
+// (the strategy's own, capped at the embedding model's input limit, then `base`).
+// Returns { strategy, params }.
+function resolveChunkingOptions(strategy, params = {}, base = {}) {
+  const name = (strategy || 'fixed').toString().trim().toLowerCase();
+  const definition = CHUNKING_STRATEGIES[name];
+  if (!definition) {
+    throw new Error(`Unknown chunking strategy "${strategy}". Available strategies: ${Object.keys(CHUNKING_STRATEGIES).join(', ')}`);
+  }
+
+  let overrides = params || {};
+  if (typeof overrides === 'string') {
+    try {
+      overrides = overrides.trim() ? JSON.parse(overrides) : {};
+    } catch (error) {
+      throw new Error('chunkingParams must be valid JSON.');
+    }
+  }
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('chunkingParams must be an object.');
+  }
+
+  const resolved = {
+    ...definition.defaults,
+    maxTokens: Math.min(definition.defaults.maxTokens, EMBEDDING_MAX_TOKENS),
+    ...base
+  };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!(key in definition.defaults)) {
+      throw new Error(`Unknown parameter "${key}" for chunking strategy "${name}". Parameters: ${Object.keys(definition.defaults).join(', ')}`);
+    }
+    if (typeof definition.defaults[key] === 'boolean') {
+      if (typeof value !== 'boolean') {
+        throw new Error(`Chunking parameter "${key}" must be true or false.`);
+      }
+      resolved[key] = value;
+      return;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+      throw new Error(`Chunking parameter "${key}" must be a non-negative integer.`);
+    }
+    resolved[key] = number;
+  });
+
+  if (resolved.maxTokens < 20) {
+    throw new Error('Chunking parameter "maxTokens" must be at least 20.');
+  }
+  // Chunks are never truncated before embedding, so they must fit the embedding model
+  if (resolved.maxTokens > EMBEDDING_MAX_TOKENS) {
+    throw new Error(`Chunking parameter "maxTokens" must not exceed the embedding model's input limit (${EMBEDDING_MAX_TOKENS} tokens).`);
+  }
+  if (resolved.overlapTokens !== undefined && resolved.overlapTokens >= resolved.maxTokens) {
+    throw new Error('Chunking parameter "overlapTokens" must be smaller than "maxTokens".');
+  }
+
+  return { strategy: name, params: resolved };
+}
+
+// Server default, configured with CHUNKING_STRATEGY and CHUNKING_PARAMS (JSON)
+const DEFAULT_CHUNKING = resolveChunkingOptions(process.env.CHUNKING_STRATEGY, process.env.CHUNKING_PARAMS);
+
+// Chunking requested for an upload or reindex: the server default when nothing is given.
+// Parameters for the default strategy are applied on top of the server's default parameters.
+function resolveRequestChunking(strategy, params) {
+  if (!strategy && !params) return DEFAULT_CHUNKING;
+
+  const name = (strategy || DEFAULT_CHUNKING.strategy).toString().trim().toLowerCase();
+  return resolveChunkingOptions(name, params, name === DEFAULT_CHUNKING.strategy ? DEFAULT_CHUNKING.params : {});
+}
+
+// Chunking recorded on a stored document; documents stored before it was recorded get the default.
+// Parameters that are no longer valid (e.g. character sizes from before token budgets) fall back
+// to the strategy's defaults.
+function resolveStoredChunking(document) {
+  if (!document || !document.chunkingStrategy) return DEFAULT_CHUNKING;
+  try {
+    return resolveChunkingOptions(document.chunkingStrategy, document.chunkingParams);
+  } catch (error) {
+    if (CHUNKING_STRATEGIES[document.chunkingStrategy]) {
+      console.warn(`⚠️ Stored chunking parameters for ${document.savedFilename} are invalid, using the ${document.chunkingStrategy} defaults: ${error.message}`);
+      return resolveChunkingOptions(document.chunkingStrategy);
+    }
+    console.warn(`⚠️ Stored chunking for ${document.savedFilename} is invalid, using the default: ${error.message}`);
+    return DEFAULT_CHUNKING;
+  }
+}
+
+// Chunk text with a resolved { strategy, params } (the server default when omitted).
+// Every chunk carries its tokenCount for the embedding model.
+function chunkText(text, chunking = DEFAULT_CHUNKING) {
+  const { strategy, params } = chunking;
+  return CHUNKING_STRATEGIES[strategy].chunk(text, params)
+    .filter(chunk => chunk.text.trim().length > 0)
+    .map(chunk => (chunk.tokenCount !== undefined ? chunk : { ...chunk, tokenCount: countTokens(chunk.text) }));
+}
+
+// The text a chunk stream holds before it is chunked, in chunks' worth of text
+const STREAM_WINDOW_CHUNKS = 16;
+
+// Chunk text that arrives in pieces (e.g. page by page) while only holding a window of it.
+// Each window is chunked with chunkText; the last chunks of a window may be cut short by its
+// end, so they are held back and chunked again together with the text that follows.
+// write(text) and end() return the chunks that are complete, with offsets into the whole text;
+// `offset` is where the text still held starts.
+function createChunkStream(chunking = DEFAULT_CHUNKING) {
+  const reserve = chunking.params.maxTokens * WINDOW_CHARS_PER_TOKEN;
+  let buffer = '';
+  let bufferStart = 0;
+
+  const take = (final) => {
+    const chunks = chunkText(buffer, chunking);
+
+    let count = chunks.length;
+    let cut = buffer.length;
+    if (!final) {
+      count = Math.max(0, chunks.length - 2);
+      while (count > 0 && chunks[count - 1].end > buffer.length - reserve) count--;
+      // Without any text to chunk only the end of the window needs to be kept
+      cut = count < chunks.length ? chunks[count].start : Math.max(0, buffer.length - reserve);
+    }
+
+    const complete = chunks.slice(0, count).map(chunk => ({
+      ...chunk,
+      start: bufferStart + chunk.start,
+      end: bufferStart + chunk.end
+    }));
+    buffer = buffer.slice(cut);
+    bufferStart += cut;
+    return complete;
+  };
+
+  return {
+    get offset() {
+      return bufferStart;
+    },
+    write(text) {
+      buffer += text;
+      return buffer.length >= reserve * STREAM_WINDOW_CHUNKS ? take(false) : [];
+    },
+    end() {
+      return take(true);
+    }
+  };
+}
+
+module.exports = {
+  CHUNKING_STRATEGIES,
+  DEFAULT_CHUNKING,
+  resolveChunkingOptions,
+  resolveRequestChunking,
+  resolveStoredChunking,
+  chunkText,
+  createChunkStream,
+  chunkTextWithOverlap,
+  chunkBySentences,
+  chunkByParagraphs,
+  advancedSemanticChunking,
+  hybridSemanticChunking
+};
@@ -0,0 +1,569 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { vectorStore, COMMITTED_FILTER } = require('./utility');
+
+// SHA-256 of the file content, streamed so large files are not read into memory
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', data => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Logical document name used to group revisions, e.g. "analytical-proce_3.pdf" -> "analytical-proce".
+// Strips the extension (also when repeated, as in "x.pdf.pdf") and copy suffixes like "_3" or " (1)".
+function getLogicalDocumentName(originalFilename) {
+  let name = originalFilename.trim();
+  const ext = path.extname(name).toLowerCase();
+  while (ext && name.toLowerCase().endsWith(ext)) {
+    name = name.slice(0, -ext.length);
+  }
+  return name.replace(/(_\d+|\s*\(\d+\))$/, '').trim() || originalFilename;
+}
+
+// Stable document id derived from the logical name
+function toDocumentId(documentName) {
+  return documentName
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Tags of an upload: a list, or a string of comma-separated tags or a JSON list (multipart form
+// fields are strings). Trimmed and without duplicates; tags match exactly in search filters.
+function parseTags(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  let tags = value;
+  if (typeof value === 'string') {
+    try {
+      tags = value.trim().startsWith('[') ? JSON.parse(value) : value.split(',');
+    } catch (error) {
+      throw new Error(`tags is not a valid JSON list: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new Error('tags must be a list of strings or a comma-separated string.');
+  }
+  return [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+}
+
+// Next version number for a document (1 for a new document)
+async function getNextVersion(documentId) {
+  try {
+    const [result] = await vectorStore.aggregate({
+      where: {
+        path: ['documentId'],
+        operator: 'Equal',
+        valueString: documentId
+      },
+      metrics: { version: ['maximum'] }
+    });
+
+    const latest = result?.version?.maximum || 0;
+    return latest + 1;
+  } catch (error) {
+    throw new Error(`Version lookup failed: ${error.message}`);
+  }
+}
+
+// Versions handed out to ingestions that have not finished yet, by documentId, and the tail of
+// the promise chain that serializes reserving and releasing them per document
+const reservedVersions = new Map();
+const versionLocks = new Map();
+
+// Run `fn` once the previous reservation or release for the document is done
+async function withVersionLock(documentId, fn) {
+  const run = (versionLocks.get(documentId) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  versionLocks.set(documentId, tail);
+  try {
+    return await run;
+  } finally {
+    if (versionLocks.get(documentId) === tail) versionLocks.delete(documentId);
+  }
+}
+
+// Resolve the document identity and reserve the version number a new upload gets: the next
+// one after those stored and those reserved by unfinished ingestions, so concurrent uploads of
+// a document never get the same version. Release it with releaseDocumentVersion once the
+// ingestion is committed or rolled back.
+async function resolveDocumentVersion(originalFilename, documentName) {
+  const name = (documentName && documentName.trim()) || getLogicalDocumentName(originalFilename);
+  const documentId = toDocumentId(name);
+  if (!documentId) {
+    throw new Error('Could not derive a document id from the document name.');
+  }
+
+  return withVersionLock(documentId, async () => {
+    const reserved = reservedVersions.get(documentId) || new Set();
+    const version = Math.max(await getNextVersion(documentId), ...Array.from(reserved, reservedVersion => reservedVersion + 1));
+    reservedVersions.set(documentId, reserved.add(version));
+    return { documentId, documentName: name, version };
+  });
+}
+
+// Release a version reserved by resolveDocumentVersion. Under the lock, so a reservation that
+// read the stored versions before this ingestion committed still sees it reserved.
+function releaseDocumentVersion(documentId, version) {
+  return withVersionLock(documentId, () => {
+    const reserved = reservedVersions.get(documentId);
+    if (!reserved) return;
+    reserved.delete(version);
+    if (reserved.size === 0) reservedVersions.delete(documentId);
+  });
+}
+
+// Fail with a retryable VERSION_CONFLICT (409) when another ingestion has stored chunks for the
+// same version of the document, e.g. another server writing to the same vector store. The job
+// queue then retries the ingestion, which reserves the next version.
+async function assertVersionAvailable(documentId, version, ingestionId) {
+  const [conflict] = await vectorStore.find({
+    where: {
+      operator: 'And',
+      operands: [
+        { path: ['documentId'], operator: 'Equal', valueString: documentId },
+        { path: ['version'], operator: 'Equal', valueInt: version },
+        { path: ['ingestionId'], operator: 'NotEqual', valueString: ingestionId }
+      ]
+    },
+    fields: ['ingestionId'],
+    limit: 1
+  });
+  if (!conflict) return;
+
+  const error = new Error(`Version ${version} of ${documentId} was stored by another ingestion at the same time`);
+  error.code = 'VERSION_CONFLICT';
+  error.status = 409;
+  error.retryable = true;
+  error.data = { documentId, version, conflictingIngestionId: conflict.ingestionId };
+  throw error;
+}
+
+// Merge properties into every chunk matching `where`.
+// The filter must stop matching once a chunk is updated, otherwise this never ends.
+async function updateChunks(where, properties) {
+  const pageSize = 100;
+  let updated = 0;
+
+  while (true) {
+    const objects = await vectorStore.find({ where, fields: [], limit: pageSize });
+    if (objects.length === 0) break;
+
+    for (const object of objects) {
+      await vectorStore.update(object._additional.id, properties);
+    }
+
+    updated += objects.length;
+  }
+
+  return updated;
+}
+
+// Flag every chunk of older versions as superseded once a new version is stored
+async function markPreviousVersionsSuperseded(documentId, currentVersion) {
+  try {
+    const updated = await updateChunks({
+      operator: 'And',
+      operands: [
+        { path: ['documentId'], operator: 'Equal', valueString: documentId },
+        { path: ['version'], operator: 'LessThan', valueInt: currentVersion },
+        { path: ['superseded'], operator: 'NotEqual', valueBoolean: true }
+      ]
+    }, { superseded: true });
+
+    if (updated > 0) {
+      console.log(`🗂️ Marked ${updated} chunks of ${documentId} as superseded by v${currentVersion}`);
+    }
+    return updated;
+  } catch (error) {
+    throw new Error(`Failed to supersede previous versions: ${error.message}`);
+  }
+}
+
+// Make the highest committed, not archived version current again and supersede the ones
+// before it (after the latest version was deleted or archived, or an archived one restored).
+// Resolves to that version, or null when none is left.
+async function restoreLatestVersion(documentId) {
+  try {
+    const [result] = await vectorStore.aggregate({
+      where: {
+        operator: 'And',
+        operands: [
+          { path: ['documentId'], operator: 'Equal', valueString: documentId },
+          { path: ['archived'], operator: 'NotEqual', valueBoolean: true },
+          COMMITTED_FILTER
+        ]
+      },
+      metrics: { version: ['maximum'] }
+    });
+    const latestVersion = result?.version?.maximum || 0;
+    if (latestVersion < 1) return null;
+
+    const updated = await updateChunks({
+      operator: 'And',
+      operands: [
+        { path: ['documentId'], operator: 'Equal', valueString: documentId },
+        { path: ['version'], operator: 'Equal', valueInt: latestVersion },
+        { path: ['superseded'], operator: 'Equal', valueBoolean: true }
+      ]
+    }, { superseded: false });
+    await markPreviousVersionsSuperseded(documentId, latestVersion);
+
+    if (updated > 0) {
+      console.log(`🗂️ Restored v${latestVersion} of ${documentId} as the latest version`);
+    }
+    return latestVersion;
+  } catch (error) {
+    throw new Error(`Failed to restore latest version: ${error.message}`);
+  }
+}
+
+// Where filter for the chunks of the given uploads (savedFilenames)
+function buildUploadsFilter(savedFilenames) {
+  const operands = savedFilenames.map(savedFilename => ({ path: ['savedFilename'], operator: 'Equal', valueString: savedFilename }));
+  return operands.length === 1 ? operands[0] : { operator: 'Or', operands };
+}
+
+// Set the archived flag of the given uploads, then make the latest version of their documents
+// that is still searchable current. Only those uploads change: other versions of the same
+// document (e.g. uploaded by hand, or from a file of the same name in another folder) stay as
+// they are. Resolves to the number of chunks updated.
+async function setUploadsArchived(savedFilenames, archived) {
+  if (savedFilenames.length === 0) return 0;
+
+  try {
+    const where = buildUploadsFilter(savedFilenames);
+    const documentIds = new Set((await findDocumentUploads(where)).map(upload => upload.documentId).filter(Boolean));
+
+    const updated = await updateChunks({
+      operator: 'And',
+      operands: [
+        where,
+        { path: ['archived'], operator: archived ? 'NotEqual' : 'Equal', valueBoolean: true }
+      ]
+    }, { archived });
+
+    for (const documentId of documentIds) {
+      await restoreLatestVersion(documentId);
+    }
+    return updated;
+  } catch (error) {
+    throw new Error(`Failed to ${archived ? 'archive' : 'unarchive'} uploads: ${error.message}`);
+  }
+}
+
+// Hide uploads from default searches (their watched file was deleted)
+function archiveUploads(savedFilenames) {
+  return setUploadsArchived(savedFilenames, true);
+}
+
+// Make archived uploads searchable again
+function unarchiveUploads(savedFilenames) {
+  return setUploadsArchived(savedFilenames, false);
+}
+
+// Where filter for a stored document: matches its documentId, or the savedFilename of a
+// single upload (documents stored before versioning have no documentId)
+function buildDocumentFilter(id, version) {
+  const identity = {
+    operator: 'Or',
+    operands: [
+      { path: ['documentId'], operator: 'Equal', valueString: id },
+      { path: ['savedFilename'], operator: 'Equal', valueString: id }
+    ]
+  };
+
+  if (version === undefined || version === null || version === '') {
+    return identity;
+  }
+
+  const versionNumber = parseInt(version, 10);
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+    throw new Error('version must be a positive integer.');
+  }
+
+  return {
+    operator: 'And',
+    operands: [
+      identity,
+      { path: ['version'], operator: 'Equal', valueInt: versionNumber }
+    ]
+  };
+}
+
+// One entry per stored upload matching `where` (read from each upload's first chunk)
+async function findDocumentUploads(where) {
+  try {
+    const uploads = await vectorStore.find({
+      fields: ['filename', 'savedFilename', 'filePath', 'uploadDate', 'totalPages', 'totalChunks', 'contentHash', 'documentId', 'documentName', 'version', 'superseded', 'chunkingStrategy', 'chunkingParams', 'tags', 'title', 'author', 'subject', 'producer', 'creationDate', 'modificationDate'],
+      where: {
+        operator: 'And',
+        operands: [
+          where,
+          COMMITTED_FILTER,
+          { path: ['chunkIndex'], operator: 'Equal', valueInt: 0 }
+        ]
+      },
+      limit: 1000
+    });
+
+    return uploads
+      .sort((a, b) => (a.version || 0) - (b.version || 0));
+  } catch (error) {
+    throw new Error(`Document lookup failed: ${error.message}`);
+  }
+}
+
+// Delete every chunk matching `where`, e.g. all chunks of a document (buildDocumentFilter)
+async function deleteChunks(where) {
+  try {
+    return await vectorStore.deleteWhere(where);
+  } catch (error) {
+    throw new Error(`Chunk deletion failed: ${error.message}`);
+  }
+}
+
+function ingestionFilter(ingestionId) {
+  return { path: ['ingestionId'], operator: 'Equal', valueString: ingestionId };
+}
+
+// Commit step of an ingestion: make its chunks searchable, setting `properties` that were only
+// known once every chunk was stored (e.g. totalChunks of a streamed document). A reindex
+// (`replaces` is the savedFilename being re-processed) then drops the chunks it replaces.
+async function commitIngestion(ingestionId, { replaces, properties = {} } = {}) {
+  try {
+    const committed = await updateChunks({
+      operator: 'And',
+      operands: [
+        ingestionFilter(ingestionId),
+        { path: ['pending'], operator: 'Equal', valueBoolean: true }
+      ]
+    }, { ...properties, pending: false });
+
+    let replaced = 0;
+    if (replaces) {
+      replaced = await deleteChunks({
+        operator: 'And',
+        operands: [
+          { path: ['savedFilename'], operator: 'Equal', valueString: replaces },
+          { path: ['ingestionId'], operator: 'NotEqual', valueString: ingestionId }
+        ]
+      });
+    }
+
+    return { committed, replaced };
+  } catch (error) {
+    throw new Error(`Failed to commit ingestion ${ingestionId}: ${error.message}`);
+  }
+}
+
+// Whether any chunk other than those of `ingestionId` still refers to a stored file
+async function isFileReferenced(filePath, ingestionId) {
+  const operands = [{ path: ['filePath'], operator: 'Equal', valueString: filePath }];
+  if (ingestionId) {
+    operands.push({ path: ['ingestionId'], operator: 'NotEqual', valueString: ingestionId });
+  }
+
+  const chunks = await vectorStore.find({
+    where: operands.length === 1 ? operands[0] : { operator: 'And', operands },
+    fields: [],
+    limit: 1
+  });
+
+  return chunks.length > 0;
+}
+
+// Undo an ingestion: delete every chunk it stored and, when given, the file it saved
+// (kept if other chunks still refer to it)
+async function rollbackIngestion(ingestionId, { filePath } = {}) {
+  const chunksDeleted = await deleteChunks(ingestionFilter(ingestionId));
+
+  let fileRemoved = false;
+  if (filePath && fs.existsSync(filePath) && !(await isFileReferenced(filePath, ingestionId))) {
+    fs.unlinkSync(filePath);
+    fileRemoved = true;
+  }
+
+  return { chunksDeleted, fileRemoved };
+}
+
+// Ingestions with uncommitted chunks, e.g. left behind when a server stopped mid-ingestion.
+// Returns [{ ingestionId, filePath, owner, lastStoredAt }]: the server instance that ran it (null
+// for chunks stored before owners were recorded) and when it last stored a chunk (a Date).
+async function findPendingIngestions() {
+  try {
+    const chunks = await vectorStore.find({
+      fields: ['ingestionId', 'filePath', 'ingestionOwner', 'uploadDate'],
+      where: { path: ['pending'], operator: 'Equal', valueBoolean: true },
+      limit: 10000
+    });
+
+    const ingestions = new Map();
+    chunks.forEach(chunk => {
+      if (!chunk.ingestionId) return;
+      if (!ingestions.has(chunk.ingestionId)) {
+        ingestions.set(chunk.ingestionId, {
+          ingestionId: chunk.ingestionId,
+          filePath: chunk.filePath,
+          owner: chunk.ingestionOwner || null,
+          lastStoredAt: null
+        });
+      }
+      // Every batch is stored with its own uploadDate, so the latest one is the last activity
+      const ingestion = ingestions.get(chunk.ingestionId);
+      const storedAt = chunk.uploadDate ? new Date(chunk.uploadDate) : null;
+      if (storedAt && (!ingestion.lastStoredAt || storedAt > ingestion.lastStoredAt)) {
+        ingestion.lastStoredAt = storedAt;
+      }
+    });
+    return [...ingestions.values()];
+  } catch (error) {
+    throw new Error(`Pending ingestion lookup failed: ${error.message}`);
+  }
+}
+
+// Where filter for the requested version(s): latest by default, a specific version, or all.
+// Archived documents are left out of "latest" but can still be searched by version.
+function buildVersionFilter({ documentId, version = 'latest' } = {}) {
+  const operands = [];
+
+  if (documentId) {
+    operands.push({ path: ['documentId'], operator: 'Equal', valueString: documentId });
+  }
+
+  if (version === 'latest') {
+    // NotEqual also matches chunks stored before versioning existed
+    operands.push({ path: ['superseded'], operator: 'NotEqual', valueBoolean: true });
+    operands.push({ path: ['archived'], operator: 'NotEqual', valueBoolean: true });
+  } else if (version !== 'all') {
+    const versionNumber = parseInt(version, 10);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      throw new Error('version must be "latest", "all" or a positive integer.');
+    }
+    if (!documentId) {
+      throw new Error('documentId is required when searching a specific version.');
+    }
+    operands.push({ path: ['version'], operator: 'Equal', valueInt: versionNumber });
+  }
+
+  if (operands.length === 0) return null;
+  if (operands.length === 1) return operands[0];
+  return { operator: 'And', operands };
+}
+
+// Document metadata filters. Text fields are word-tokenized, so author "smith" matches "John Smith".
+const METADATA_TEXT_FIELDS = ['title', 'author', 'subject', 'producer'];
+// Date ranges are half-open: "after" is inclusive, "before" is exclusive
+const METADATA_DATE_FILTERS = {
+  createdAfter: { path: 'creationDate', operator: 'GreaterThanEqual' },
+  createdBefore: { path: 'creationDate', operator: 'LessThan' },
+  modifiedAfter: { path: 'modificationDate', operator: 'GreaterThanEqual' },
+  modifiedBefore: { path: 'modificationDate', operator: 'LessThan' }
+};
+
+// ISO 8601 string of a filter date given as an ISO 8601 date or a plain year; `name` is the
+// parameter for the error message
+function parseFilterDate(value, name) {
+  const date = new Date(/^\d{4}$/.test(String(value)) ? `${value}-01-01T00:00:00Z` : value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be an ISO 8601 date or a year.`);
+  }
+  return date.toISOString();
+}
+
+// Where filter for document metadata, e.g. { author: 'smith', createdAfter: '2023-01-01' }.
+// Dates may be ISO 8601 strings or plain years.
+function buildMetadataFilter(metadata) {
+  if (metadata === undefined || metadata === null) return null;
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error('metadata must be an object.');
+  }
+
+  const operands = [];
+
+  METADATA_TEXT_FIELDS.forEach(field => {
+    if (metadata[field] === undefined || metadata[field] === null || metadata[field] === '') return;
+    if (typeof metadata[field] !== 'string') {
+      throw new Error(`metadata.${field} must be a string.`);
+    }
+    operands.push({ path: [field], operator: 'Equal', valueText: metadata[field] });
+  });
+
+  Object.entries(METADATA_DATE_FILTERS).forEach(([key, { path: field, operator }]) => {
+    if (metadata[key] === undefined || metadata[key] === null || metadata[key] === '') return;
+    operands.push({ path: [field], operator, valueDate: parseFilterDate(metadata[key], `metadata.${key}`) });
+  });
+
+  const unknown = Object.keys(metadata)
+    .filter(key => !METADATA_TEXT_FIELDS.includes(key) && !METADATA_DATE_FILTERS[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown metadata filter(s): ${unknown.join(', ')}.`);
+  }
+
+  if (operands.length === 0) return null;
+  if (operands.length === 1) return operands[0];
+  return { operator: 'And', operands };
+}
+
+// AND together the given where filters, skipping empty ones
+function combineFilters(...filters) {
+  const operands = filters.filter(Boolean);
+  if (operands.length === 0) return null;
+  if (operands.length === 1) return operands[0];
+  return { operator: 'And', operands };
+}
+
+// Find a stored document with identical content
+async function findDocumentByHash(contentHash) {
+  try {
+    const [document] = await vectorStore.find({
+      fields: ['filename', 'savedFilename', 'uploadDate', 'totalPages', 'totalChunks', 'filePath', 'contentHash', 'documentId', 'version', 'archived'],
+      where: {
+        operator: 'And',
+        operands: [
+          { path: ['contentHash'], operator: 'Equal', valueString: contentHash },
+          COMMITTED_FILTER
+        ]
+      },
+      limit: 1
+    });
+
+    return document || null;
+  } catch (error) {
+    throw new Error(`Duplicate lookup failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  hashFile,
+  findDocumentByHash,
+  getLogicalDocumentName,
+  toDocumentId,
+  parseTags,
+  getNextVersion,
+  resolveDocumentVersion,
+  releaseDocumentVersion,
+  assertVersionAvailable,
+  markPreviousVersionsSuperseded,
+  restoreLatestVersion,
+  buildUploadsFilter,
+  archiveUploads,
+  unarchiveUploads,
+  buildVersionFilter,
+  METADATA_TEXT_FIELDS,
+  METADATA_DATE_FILTERS,
+  parseFilterDate,
+  buildMetadataFilter,
+  combineFilters,
+  buildDocumentFilter,
+  findDocumentUploads,
+  deleteChunks,
+  commitIngestion,
+  rollbackIngestion,
+  findPendingIngestions
+};
@@ -0,0 +1,569 @@
+const fs = require('fs');
+const path = require('path');
+const { HNSWIndex } = require('./hnsw');
+
+// Words of a text, as Weaviate's "word" tokenization splits them
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+const VALUE_KEYS = [
+  'valueText', 'valueString', 'valueInt', 'valueNumber', 'valueBoolean', 'valueDate',
+  'valueTextArray', 'valueStringArray', 'valueIntArray', 'valueNumberArray', 'valueBooleanArray', 'valueDateArray'
+];
+
+// Like pattern ("*" any characters, "?" one character) as a regular expression
+function likePattern(pattern, flags) {
+  const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, flags);
+}
+
+// One stored value against one filter value. valueText compares words, like Weaviate does for
+// text properties: every word of the filter value must occur in the property.
+function valueEquals(actual, expected, key) {
+  if (key.startsWith('valueText')) {
+    const words = new Set(tokenize(actual));
+    return tokenize(expected).every(word => words.has(word));
+  }
+  if (key.startsWith('valueDate')) return Date.parse(actual) === Date.parse(expected);
+  return actual === expected;
+}
+
+function compareValues(actual, expected, key) {
+  if (key.startsWith('valueDate')) return Date.parse(actual) - Date.parse(expected);
+  if (typeof actual === 'number') return actual - expected;
+  return String(actual) < String(expected) ? -1 : String(actual) > String(expected) ? 1 : 0;
+}
+
+// Whether an object's properties match a Weaviate where filter. A missing property only
+// matches NotEqual (and IsNull); array properties match when any element does.
+function matchesFilter(properties, filter) {
+  if (!filter) return true;
+  if (filter.operator === 'And') return filter.operands.every(operand => matchesFilter(properties, operand));
+  if (filter.operator === 'Or') return filter.operands.some(operand => matchesFilter(properties, operand));
+  if (filter.operator === 'Not') return !matchesFilter(properties, filter.operands[0]);
+
+  const actual = properties[filter.path[filter.path.length - 1]];
+  const missing = actual === undefined || actual === null;
+  if (filter.operator === 'IsNull') return missing === filter.valueBoolean;
+
+  const key = VALUE_KEYS.find(name => name in filter);
+  if (!key) throw new Error(`Filter on ${filter.path.join('.')} has no value`);
+  const expected = filter[key];
+  const values = missing ? [] : (Array.isArray(actual) ? actual : [actual]);
+  const expectedValues = Array.isArray(expected) ? expected : [expected];
+
+  switch (filter.operator) {
+    case 'Equal':
+      return values.some(value => valueEquals(value, expected, key));
+    case 'NotEqual':
+      return !values.some(value => valueEquals(value, expected, key));
+    case 'LessThan':
+      return values.some(value => compareValues(value, expected, key) < 0);
+    case 'LessThanEqual':
+      return values.some(value => compareValues(value, expected, key) <= 0);
+    case 'GreaterThan':
+      return values.some(value => compareValues(value, expected, key) > 0);
+    case 'GreaterThanEqual':
+      return values.some(value => compareValues(value, expected, key) >= 0);
+    case 'Like': {
+      // Text is matched word by word, case-insensitively; strings as a whole
+      const text = key.startsWith('valueText');
+      const pattern = likePattern(text ? expected.toLowerCase() : expected, text ? 'u' : '');
+      return values.some(value => (text ? tokenize(value) : [String(value)]).some(part => pattern.test(part)));
+    }
+    case 'ContainsAny':
+      return expectedValues.some(item => values.some(value => valueEquals(value, item, key)));
+    case 'ContainsAll':
+      return expectedValues.every(item => values.some(value => valueEquals(value, item, key)));
+    default:
+      throw new Error(`Unsupported filter operator "${filter.operator}"`);
+  }
+}
+
+// Weaviate's ranked fusion constant: a result at rank r (from 0) scores weight / (r + 60)
+const RANKED_FUSION_K = 60;
+
+// BM25 parameters, Weaviate's defaults
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Vector results a hybrid search fuses when they come from the HNSW index (exact searches rank
+// every match)
+const HYBRID_VECTOR_CANDIDATES = 100;
+
+// The HNSW index is saved this long after the last change rather than on every write
+const INDEX_SAVE_DELAY_MS = 5000;
+
+// Vector store kept in memory and persisted to a directory:
+//   collection.json  the collection schema
+//   migrations.json  the schema migrations applied to it
+//   objects.log      one JSON line per change: put (properties and float32 vector in base64),
+//                    merge or delete, replayed at startup
+//   hnsw.index       the HNSW index of the vectors (see hnsw.js) as of a log length; rebuilt
+//                    from the objects when the log has changed since
+// A change is applied once its line is written, so readers never see a change the log could
+// lose. The log is compacted at startup once most of its lines are superseded.
+// Vector searches are exact (every object matching the filter is scored) until more than
+// `flatSearchCutoff` objects match, then approximate from the index, as Weaviate does. Options:
+// `index` is { M, efConstruction, efSearch } for the HNSW index, or false for exact searches only.
+class EmbeddedVectorStore {
+  constructor(options = {}) {
+    const {
+      dir = './data/vector-store',
+      collection = 'PDFDocument',
+      index = {},
+      flatSearchCutoff = 40000
+    } = options;
+
+    this.name = 'embedded';
+    this.dir = dir;
+    this.collection = collection;
+    this.schemaPath = path.join(dir, 'collection.json');
+    this.migrationsPath = path.join(dir, 'migrations.json');
+    this.logPath = path.join(dir, 'objects.log');
+    this.indexPath = path.join(dir, 'hnsw.index');
+    this.indexOptions = index;
+    this.flatSearchCutoff = flatSearchCutoff;
+    // id -> { properties, vector (Float32Array), norm }
+    this.objects = new Map();
+    // id -> { [property]: { terms: Map<word, count>, length } }, built when first searched
+    this.termIndex = new Map();
+    this.schema = null;
+    this.migrations = [];
+    this.writes = Promise.resolve();
+    // HNSW index (null without one), bytes of log it reflects, and queued saves
+    this.index = null;
+    this.logBytes = 0;
+    this.indexSaves = Promise.resolve();
+    this.indexSaveTimer = null;
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (fs.existsSync(this.schemaPath)) {
+      this.schema = JSON.parse(fs.readFileSync(this.schemaPath, 'utf8'));
+    }
+    if (fs.existsSync(this.migrationsPath)) {
+      this.migrations = JSON.parse(fs.readFileSync(this.migrationsPath, 'utf8'));
+    }
+    if (fs.existsSync(this.logPath)) {
+      this.replay();
+      this.logBytes = fs.statSync(this.logPath).size;
+    }
+    if (this.indexOptions) this.loadIndex();
+  }
+
+  replay() {
+    const lines = fs.readFileSync(this.logPath, 'utf8').split('\n').filter(Boolean);
+    let truncated = false;
+    lines.forEach((line, i) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be cut short, by a crash while it was written
+        if (i === lines.length - 1) {
+          console.warn(`⚠️ Ignoring an incomplete last entry in ${this.logPath}`);
+          truncated = true;
+          return;
+        }
+        throw new Error(`Corrupt entry ${i + 1} in ${this.logPath}: ${error.message}`);
+      }
+      this.apply(entry);
+    });
+
+    // Compacting also drops an incomplete last line, which new entries would otherwise follow
+    if (truncated || lines.length > 2 * this.objects.size + 100) {
+      this.compact();
+    }
+  }
+
+  newIndex() {
+    const { M, efConstruction, efSearch } = this.indexOptions;
+    return new HNSWIndex({ M, efConstruction, efSearch });
+  }
+
+  // Use the saved index if it was saved at the log's current length and with the same graph
+  // parameters; otherwise (or once most of its nodes are deleted) build it from the objects
+  loadIndex() {
+    if (fs.existsSync(this.indexPath)) {
+      try {
+        const { index, meta } = HNSWIndex.load(this.indexPath);
+        const expected = this.newIndex();
+        if (meta.logBytes === this.logBytes && meta.count === this.objects.size &&
+            index.M === expected.M && index.efConstruction === expected.efConstruction &&
+            index.deletedCount <= index.size) {
+          index.efSearch = expected.efSearch;
+          this.index = index;
+          return;
+        }
+      } catch (error) {
+        console.warn(`⚠️ Rebuilding unreadable ${this.indexPath}: ${error.message}`);
+      }
+    }
+
+    this.index = this.newIndex();
+    if (this.objects.size === 0) return;
+    console.log(`Building the HNSW index of ${this.objects.size} vectors...`);
+    this.objects.forEach((object, id) => this.index.insert(id, object.vector));
+    this.scheduleIndexSave();
+  }
+
+  scheduleIndexSave() {
+    clearTimeout(this.indexSaveTimer);
+    this.indexSaveTimer = setTimeout(() => {
+      this.saveIndex().catch(error => console.warn(`⚠️ Could not save ${this.indexPath}: ${error.message}`));
+    }, INDEX_SAVE_DELAY_MS);
+    this.indexSaveTimer.unref();
+  }
+
+  // Saves are queued; each one snapshots the index as it is when its turn comes
+  saveIndex() {
+    clearTimeout(this.indexSaveTimer);
+    this.indexSaveTimer = null;
+    const saved = this.indexSaves.then(() => this.index.save(this.indexPath, {
+      logBytes: this.logBytes,
+      count: this.objects.size
+    }));
+    this.indexSaves = saved.catch(() => {});
+    return saved;
+  }
+
+  // Rewrite the log with one put per live object
+  compact() {
+    const tmpPath = `${this.logPath}.${process.pid}.tmp`;
+    const lines = Array.from(this.objects, ([id, object]) => JSON.stringify(this.putEntry(id, object)));
+    fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+    fs.renameSync(tmpPath, this.logPath);
+  }
+
+  putEntry(id, object) {
+    return {
+      op: 'put',
+      id,
+      properties: object.properties,
+      vector: Buffer.from(object.vector.buffer, object.vector.byteOffset, object.vector.byteLength).toString('base64')
+    };
+  }
+
+  apply(entry) {
+    this.termIndex.delete(entry.id);
+    if (entry.op === 'put') {
+      // Copied into its own buffer: a pooled Buffer's offset need not be float-aligned
+      const vector = new Float32Array(new Uint8Array(Buffer.from(entry.vector, 'base64')).buffer);
+      this.objects.set(entry.id, { properties: entry.properties, vector, norm: vectorNorm(vector) });
+      if (this.index) {
+        // An emptied collection can be refilled with vectors of another length
+        if (this.index.size === 0 && this.index.dimensions !== vector.length) this.index = this.newIndex();
+        this.index.insert(entry.id, vector);
+      }
+    } else if (entry.op === 'merge') {
+      const object = this.objects.get(entry.id);
+      if (object) Object.assign(object.properties, entry.properties);
+    } else if (entry.op === 'delete') {
+      this.objects.delete(entry.id);
+      if (this.index) this.index.delete(entry.id);
+    }
+  }
+
+  // Append entries to the log, then apply them. Writes are queued so entries are applied in order.
+  write(entries) {
+    const written = this.writes.then(async () => {
+      if (entries.length === 0) return;
+      const text = `${entries.map(entry => JSON.stringify(entry)).join('\n')}\n`;
+      await fs.promises.appendFile(this.logPath, text);
+      this.logBytes += Buffer.byteLength(text);
+      entries.forEach(entry => this.apply(entry));
+      if (this.index) this.scheduleIndexSave();
+    });
+    this.writes = written.catch(() => {});
+    return written;
+  }
+
+  async getCollection() {
+    return this.schema ? { name: this.schema.class, properties: this.schema.properties || [] } : null;
+  }
+
+  async createCollection(schema) {
+    await writeJSON(this.schemaPath, schema);
+    this.schema = schema;
+  }
+
+  // Objects need no change: a property they don't have reads as null
+  async addProperty(property) {
+    const schema = { ...this.schema, properties: [...(this.schema.properties || []), property] };
+    await writeJSON(this.schemaPath, schema);
+    this.schema = schema;
+  }
+
+  async getMigrations() {
+    return [...this.migrations].sort((a, b) => a.version - b.version);
+  }
+
+  async recordMigration(migration) {
+    const migrations = [...this.migrations.filter(applied => applied.version !== migration.version), migration];
+    await writeJSON(this.migrationsPath, migrations);
+    this.migrations = migrations;
+  }
+
+  // Vector length of the stored objects (all have the same), or null while empty
+  dimensions() {
+    const first = this.objects.values().next().value;
+    return first ? first.vector.length : null;
+  }
+
+  async upsert(objects) {
+    let dimensions = this.dimensions();
+    const rejected = [];
+    const entries = [];
+
+    objects.forEach(object => {
+      if (!Array.isArray(object.vector) && !ArrayBuffer.isView(object.vector)) {
+        rejected.push(`object ${object.id} has no vector`);
+        return;
+      }
+      if (dimensions === null) dimensions = object.vector.length;
+      if (object.vector.length !== dimensions) {
+        rejected.push(`vector lengths don't match: ${object.vector.length} vs ${dimensions}`);
+        return;
+      }
+      const vector = Float32Array.from(object.vector);
+      entries.push(this.putEntry(object.id, { properties: { ...object.properties }, vector }));
+    });
+
+    if (rejected.length > 0) {
+      const messages = [...new Set(rejected)];
+      const error = new Error(`Vector store rejected ${rejected.length} of ${objects.length} chunks: ${messages.join('; ')}`);
+      error.code = 'BATCH_OBJECTS_FAILED';
+      error.data = { failed: rejected.length, total: objects.length, errors: messages };
+      throw error;
+    }
+
+    await this.write(entries);
+    return entries.length;
+  }
+
+  async update(id, properties) {
+    if (!this.objects.has(id)) {
+      const error = new Error(`Object ${id} not found`);
+      error.status = 404;
+      throw error;
+    }
+    await this.write([{ op: 'merge', id, properties }]);
+  }
+
+  async deleteWhere(where) {
+    const ids = this.matching(where).map(([id]) => id);
+    await this.write(ids.map(id => ({ op: 'delete', id })));
+    return ids.length;
+  }
+
+  // [id, object] pairs matching `where`, in storage order
+  matching(where) {
+    return Array.from(this.objects).filter(([, object]) => matchesFilter(object.properties, where));
+  }
+
+  // Requested fields of an object (all properties without `fields`), null where missing
+  project(id, object, fields, additional = {}) {
+    const properties = fields
+      ? Object.fromEntries(fields.map(field => [field, object.properties[field] ?? null]))
+      : { ...object.properties };
+    return { ...properties, _additional: { id, ...additional } };
+  }
+
+  async find({ where, fields, limit } = {}) {
+    return this.matching(where)
+      .slice(0, limit || undefined)
+      .map(([id, object]) => this.project(id, object, fields));
+  }
+
+  // Cosine distance of every match, closest first: [{ id, object, distance }]. With a `limit`
+  // and more than flatSearchCutoff matches, only the `limit` nearest the index finds.
+  rankByVector(vector, where, limit) {
+    const matches = this.matching(where);
+    if (this.index && limit && matches.length > this.flatSearchCutoff) {
+      const allowed = matches.length < this.objects.size ? new Set(matches.map(([id]) => id)) : null;
+      return this.index.search(vector, limit, { ...(allowed && { filter: id => allowed.has(id) }) })
+        .map(({ id, distance }) => ({ id, object: this.objects.get(id), distance }));
+    }
+
+    const query = Float32Array.from(vector);
+    const queryNorm = vectorNorm(query);
+    return matches
+      .map(([id, object]) => ({ id, object, distance: cosineDistance(query, queryNorm, object) }))
+      .sort((a, b) => a.distance - b.distance);
+  }
+
+  async nearVector({ vector, where, fields, limit }) {
+    return this.rankByVector(vector, where, limit)
+      .slice(0, limit || undefined)
+      .map(({ id, object, distance }) => this.project(id, object, fields, { distance, certainty: 1 - distance / 2 }));
+  }
+
+  // Word counts of the text properties of an object, cached until it changes
+  terms(id, object, properties) {
+    if (!this.termIndex.has(id)) this.termIndex.set(id, {});
+    const cached = this.termIndex.get(id);
+    properties.forEach(property => {
+      if (cached[property]) return;
+      const words = object.properties[property] == null ? [] : tokenize(object.properties[property]);
+      const terms = new Map();
+      words.forEach(word => terms.set(word, (terms.get(word) || 0) + 1));
+      cached[property] = { terms, length: words.length };
+    });
+    return cached;
+  }
+
+  // BM25 score of every match with a positive score, best first: [{ id, object, score }].
+  // Term statistics cover the whole collection, as in Weaviate; each property is scored on its
+  // own and the scores are added.
+  rankByKeywords(query, properties = ['content'], where) {
+    const queryWords = [...new Set(tokenize(query))];
+    if (queryWords.length === 0) return [];
+
+    const all = Array.from(this.objects, ([id, object]) => ({ id, object, terms: this.terms(id, object, properties) }));
+    const documentFrequency = new Map(queryWords.map(word => [word, 0]));
+    const averageLength = {};
+    properties.forEach(property => {
+      averageLength[property] = all.reduce((sum, { terms }) => sum + terms[property].length, 0) / (all.length || 1);
+    });
+    all.forEach(({ terms }) => queryWords.forEach(word => {
+      if (properties.some(property => terms[property].terms.has(word))) {
+        documentFrequency.set(word, documentFrequency.get(word) + 1);
+      }
+    }));
+
+    return all
+      .filter(({ object }) => matchesFilter(object.properties, where))
+      .map(({ id, object, terms }) => {
+        let score = 0;
+        queryWords.forEach(word => {
+          const df = documentFrequency.get(word);
+          const idf = Math.log(1 + (all.length - df + 0.5) / (df + 0.5));
+          properties.forEach(property => {
+            const { terms: counts, length } = terms[property];
+            const tf = counts.get(word) || 0;
+            if (tf === 0) return;
+            const norm = 1 - BM25_B + BM25_B * (length / (averageLength[property] || 1));
+            score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+          });
+        });
+        return { id, object, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  async bm25({ query, properties, where, fields, limit }) {
+    return this.rankByKeywords(query, properties, where)
+      .slice(0, limit || undefined)
+      .map(({ id, object, score }) => this.project(id, object, fields, { score }));
+  }
+
+  // Ranked fusion of the vector and keyword rankings, weighted by alpha (1 = vector only,
+  // 0 = keywords only), as Weaviate's rankedFusion
+  async hybrid({ query, vector, alpha = 0.75, where, fields, limit, properties }) {
+    const fused = new Map();
+    const addRanking = (ranking, weight) => {
+      if (weight <= 0) return;
+      ranking.forEach(({ id, object }, rank) => {
+        const entry = fused.get(id) || { id, object, score: 0 };
+        entry.score += weight / (rank + RANKED_FUSION_K);
+        fused.set(id, entry);
+      });
+    };
+    addRanking(this.rankByVector(vector, where, limit && Math.max(limit, HYBRID_VECTOR_CANDIDATES)), alpha);
+    addRanking(this.rankByKeywords(query, properties, where), 1 - alpha);
+
+    return Array.from(fused.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit || undefined)
+      .map(({ id, object, score }) => this.project(id, object, fields, { score }));
+  }
+
+  async count(where) {
+    return this.matching(where).length;
+  }
+
+  // Count per group and numeric metrics of the given properties (dates are compared as dates)
+  async aggregate({ where, groupBy, metrics = {} } = {}) {
+    const groups = new Map();
+    this.matching(where).forEach(([, object]) => {
+      const value = groupBy ? object.properties[groupBy] : null;
+      if (groupBy && (value === undefined || value === null)) return;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(object.properties);
+    });
+    if (!groupBy && groups.size === 0) groups.set(null, []);
+
+    return Array.from(groups, ([value, members]) => ({
+      ...(groupBy && { groupedBy: value }),
+      count: members.length,
+      ...Object.fromEntries(Object.entries(metrics).map(([property, names]) => [
+        property,
+        aggregateValues(members.map(properties => properties[property]), names)
+      ]))
+    }));
+  }
+
+  // Resolves once every queued write is on disk, and the index with them
+  async flush() {
+    await this.writes;
+    if (this.indexSaveTimer) await this.saveIndex();
+    await this.indexSaves;
+  }
+}
+
+// Write-then-rename, so a crash never leaves a half-written file
+async function writeJSON(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(value, null, 2));
+  await fs.promises.rename(tmpPath, filePath);
+}
+
+function vectorNorm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+function cosineDistance(query, queryNorm, object) {
+  if (queryNorm === 0 || object.norm === 0) return 1;
+  let dot = 0;
+  for (let i = 0; i < query.length; i++) dot += query[i] * object.vector[i];
+  return 1 - dot / (queryNorm * object.norm);
+}
+
+// maximum, minimum, sum, mean and count of the present values
+function aggregateValues(values, names) {
+  const present = values.filter(value => value !== undefined && value !== null);
+  const isDate = present.length > 0 && typeof present[0] === 'string';
+  const numbers = present.map(value => (isDate ? Date.parse(value) : value));
+  const result = {};
+
+  names.forEach(name => {
+    if (name === 'count') {
+      result.count = present.length;
+      return;
+    }
+    if (numbers.length === 0) {
+      result[name] = null;
+      return;
+    }
+    let value;
+    if (name === 'maximum') value = numbers.reduce((max, number) => Math.max(max, number));
+    else if (name === 'minimum') value = numbers.reduce((min, number) => Math.min(min, number));
+    else if (name === 'sum') value = numbers.reduce((sum, number) => sum + number, 0);
+    else if (name === 'mean') value = numbers.reduce((sum, number) => sum + number, 0) / numbers.length;
+    else throw new Error(`Unsupported aggregate "${name}"`);
+    result[name] = isDate && name !== 'sum' && name !== 'mean' ? new Date(value).toISOString() : value;
+  });
+  return result;
+}
+
+module.exports = {
+  EmbeddedVectorStore,
+  matchesFilter
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Same text up to Unicode normalization and whitespace, so re-extracted text that only differs
+// in line breaks or spacing still hits the cache. Case is kept: it can change the embedding.
+function normalizeText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+// Persistent cache of embedding vectors on disk, one file per vector:
+//   <dir>/<model>/<first 2 hex chars>/<sha256 of model + normalized text>.f32
+// Vectors are stored as raw float32 (the precision the API and Weaviate work with). Reads and
+// writes that fail are logged and treated as misses, so the cache never fails an embedding.
+class EmbeddingCache {
+  constructor(options = {}) {
+    const { dir = './cache/embeddings', enabled = true } = options;
+
+    this.dir = dir;
+    this.enabled = enabled;
+    // Since startup
+    this.hits = 0;
+    this.misses = 0;
+    this.entries = enabled ? this.countEntries() : 0;
+  }
+
+  countEntries() {
+    if (!fs.existsSync(this.dir)) return 0;
+
+    let count = 0;
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(dirent => {
+        if (dirent.isDirectory()) {
+          walk(path.join(dir, dirent.name));
+        } else if (dirent.name.endsWith('.f32')) {
+          count++;
+        }
+      });
+    };
+    walk(this.dir);
+    return count;
+  }
+
+  // Model names like "org/model" must not nest directories
+  modelDir(model) {
+    return path.join(this.dir, encodeURIComponent(model));
+  }
+
+  entryPath(model, text) {
+    const key = crypto.createHash('sha256').update(`${model}\n${normalizeText(text)}`).digest('hex');
+    return path.join(this.modelDir(model), key.slice(0, 2), `${key}.f32`);
+  }
+
+  // Cached vectors of `texts` for `model`, undefined where there is none
+  async getMany(model, texts) {
+    if (!this.enabled) return texts.map(() => undefined);
+
+    return Promise.all(texts.map(async text => {
+      try {
+        const buffer = await fs.promises.readFile(this.entryPath(model, text));
+        this.hits++;
+        return Array.from(new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Embedding cache read failed:', error.message);
+        }
+        this.misses++;
+        return undefined;
+      }
+    }));
+  }
+
+  async setMany(model, texts, vectors) {
+    if (!this.enabled) return;
+
+    await Promise.all(texts.map(async (text, i) => {
+      const entryPath = this.entryPath(model, text);
+      // Write-then-rename so a concurrent reader never sees a half-written vector
+      const tmpPath = `${entryPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(entryPath), { recursive: true });
+        const existed = fs.existsSync(entryPath);
+        await fs.promises.writeFile(tmpPath, Buffer.from(new Float32Array(vectors[i]).buffer));
+        await fs.promises.rename(tmpPath, entryPath);
+        if (!existed) this.entries++;
+      } catch (error) {
+        console.error('Embedding cache write failed:', error.message);
+        await fs.promises.rm(tmpPath, { force: true });
+      }
+    }));
+  }
+
+  // Remove the vectors of one model, or all of them. Returns the number of entries removed.
+  async purge(model) {
+    const target = model ? this.modelDir(model) : this.dir;
+    const before = this.entries;
+
+    await fs.promises.rm(target, { recursive: true, force: true });
+    this.entries = this.countEntries();
+    return before - this.entries;
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      entries: this.entries,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+}
+
+module.exports = {
+  EmbeddingCache,
+  normalizeText
+};
@@ -0,0 +1,166 @@
+// Embedding providers turn texts into vectors. A provider is
+//   { name, model, maxInputs, maxTokensPerRequest, embed(texts) -> Promise<number[][]> }
+// and is chosen with EMBEDDING_PROVIDER. Providers only embed: caching, batching, rate limits
+// and input limits are handled by generateEmbeddings (utility.js) for all of them.
+const crypto = require('crypto');
+const { InferenceClient } = require('@huggingface/inference');
+const { loadTransformers } = require('./huggingFaceModels');
+
+const providers = new Map();
+
+// `create(options)` returns a provider; options are { model, openai } (see utility.js)
+function registerEmbeddingProvider(name, create) {
+  providers.set(name, create);
+}
+
+function createEmbeddingProvider(name, options) {
+  const create = providers.get(name);
+  if (!create) {
+    throw new Error(`Unknown embedding provider "${name}". Use one of: ${Array.from(providers.keys()).join(', ')}`);
+  }
+  return create(options);
+}
+
+// OpenAI embeddings API
+registerEmbeddingProvider('openai', ({ model, openai }) => ({
+  name: 'openai',
+  model,
+  maxInputs: 2048,
+  maxTokensPerRequest: 300000,
+  embed: async (texts) => {
+    const response = await openai.embeddings.create({ model, input: texts });
+    if (response.data.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings, got ${response.data.length}`);
+    }
+    // Each vector carries the index of its input
+    const vectors = new Array(texts.length);
+    response.data.forEach(result => {
+      vectors[result.index] = result.embedding;
+    });
+    return vectors;
+  }
+}));
+
+// Mean of token vectors, for models that return one vector per token instead of per text
+function meanPool(tokenVectors) {
+  const pooled = new Array(tokenVectors[0].length).fill(0);
+  tokenVectors.forEach(vector => vector.forEach((value, i) => {
+    pooled[i] += value / tokenVectors.length;
+  }));
+  return pooled;
+}
+
+// Hugging Face feature extraction, on the serverless Inference Providers (HF_TOKEN, optionally
+// HF_INFERENCE_PROVIDER) or on a dedicated Inference Endpoint (HF_ENDPOINT_URL)
+registerEmbeddingProvider('huggingface', ({ model }) => {
+  const client = new InferenceClient(process.env.HF_TOKEN);
+  const endpointUrl = process.env.HF_ENDPOINT_URL;
+  const provider = process.env.HF_INFERENCE_PROVIDER;
+
+  return {
+    name: 'huggingface',
+    model,
+    maxInputs: parseInt(process.env.HF_BATCH_MAX_INPUTS, 10) || 32,
+    maxTokensPerRequest: Infinity,
+    embed: async (texts) => {
+      const output = await client.featureExtraction({
+        model,
+        inputs: texts,
+        ...(endpointUrl && { endpointUrl }),
+        ...(provider && { provider })
+      });
+      if (!Array.isArray(output) || output.length !== texts.length) {
+        throw new Error(`Expected ${texts.length} embeddings from ${model}, got an unexpected response`);
+      }
+      return output.map(vector => (Array.isArray(vector[0]) ? meanPool(vector) : vector));
+    }
+  };
+});
+
+// Local model, run in-process with Transformers.js on ONNX Runtime (see huggingFaceModels.js):
+// no API key, and no network once the model is downloaded or with LOCAL_MODELS_DIR. The default,
+// Xenova/all-MiniLM-L6-v2, is the ONNX export of sentence-transformers/all-MiniLM-L6-v2; its
+// vectors are mean-pooled and normalized as sentence-transformers does.
+registerEmbeddingProvider('local', ({ model }) => {
+  let extractor = null;
+  const getExtractor = () => {
+    if (!extractor) {
+      extractor = loadTransformers().pipeline('feature-extraction', model);
+      // A failed load is tried again by the next request
+      extractor.catch(() => {
+        extractor = null;
+      });
+    }
+    return extractor;
+  };
+
+  return {
+    name: 'local',
+    model,
+    maxInputs: parseInt(process.env.LOCAL_BATCH_MAX_INPUTS, 10) || 32,
+    maxTokensPerRequest: Infinity,
+    embed: async (texts) => {
+      const extract = await getExtractor();
+      const output = await extract(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    }
+  };
+});
+
+// Words and character trigrams of a text with their counts
+function lexicalFeatures(text) {
+  const features = new Map();
+  const add = feature => features.set(feature, (features.get(feature) || 0) + 1);
+
+  (text.toLowerCase().normalize('NFC').match(/[\p{L}\p{N}]+/gu) || []).forEach(word => {
+    add(`w:${word}`);
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      add(`c:${padded.slice(i, i + 3)}`);
+    }
+  });
+  return features;
+}
+
+// Lexical fallback, not an embedding model: words and character trigrams are hashed into a fixed
+// number of dimensions (signed feature hashing), weighted by log term frequency and
+// L2-normalized. Computed in-process with no download, network or API key, for tests and setups
+// that cannot run the local model. The vectors only match shared words and word parts, never
+// meaning, so "semantic" search with them is keyword search, and a warning says so. The model name sets the dimension: "lexical-hashing-384" (the
+// default) or e.g. "lexical-hashing-1024".
+registerEmbeddingProvider('lexical-fallback', ({ model }) => {
+  const match = /^lexical-hashing-(\d+)$/.exec(model);
+  if (!match) {
+    throw new Error(`Unknown lexical embedding model "${model}". Use lexical-hashing-<dimensions>, e.g. lexical-hashing-384.`);
+  }
+  const dimensions = parseInt(match[1], 10);
+  console.warn('⚠️ Embeddings use the lexical fallback: vector search only matches shared words, not meaning. Use EMBEDDING_PROVIDER=local for a local embedding model.');
+
+  const embedText = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    lexicalFeatures(text).forEach((count, feature) => {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32LE(0) % dimensions;
+      const sign = hash[4] & 1 ? -1 : 1;
+      // Whole words weigh more than their trigrams
+      const weight = (feature.startsWith('w:') ? 1 : 0.5) * (1 + Math.log(count));
+      vector[index] += sign * weight;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  };
+
+  return {
+    name: 'lexical-fallback',
+    model,
+    maxInputs: 256,
+    maxTokensPerRequest: Infinity,
+    embed: async (texts) => texts.map(embedText)
+  };
+});
+
+module.exports = {
+  registerEmbeddingProvider,
+  createEmbeddingProvider
+};
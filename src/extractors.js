@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const { convert: htmlToText } = require('html-to-text');
+const { extractPDFText, checkPDFAccess, validatePDFFile, assemblePages, readFileHeader } = require('./pdfExtraction');
+const { applyOCRFallback } = require('./ocr');
+
+// Registered extractors. Every extractor resolves to the same structure:
+// { text, numPages, pages: [{ pageNumber, title?, level?, text, start, end }], unitType }
+// where unitType is 'page' for paginated formats and 'section' for everything else.
+// Extractors that OCR scanned pages also return ocrPages and pagesWithoutText.
+// checkAccess(filePath, options) is an optional async check that the file can be opened
+// (e.g. that an encrypted PDF's password is correct) before the file is queued.
+const extractors = [];
+
+function registerExtractor(extractor) {
+  extractors.push({
+    mimeTypes: [],
+    validate: () => true,
+    checkAccess: async () => true,
+    ...extractor,
+    extensions: extractor.extensions.map(ext => ext.toLowerCase())
+  });
+}
+
+// Look up an extractor by file extension first, then by MIME type
+function getExtractor(originalName, mimeType) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  return extractors.find(extractor => extractor.extensions.includes(ext)) ||
+    (mimeType && extractors.find(extractor => extractor.mimeTypes.includes(mimeType))) ||
+    null;
+}
+
+function getSupportedExtensions() {
+  return extractors.flatMap(extractor => extractor.extensions);
+}
+
+function isSupportedFile(originalName, mimeType) {
+  return getExtractor(originalName, mimeType) !== null;
+}
+
+// Generic checks plus the format-specific validation of the matching extractor
+function validateDocumentFile(filePath, originalName, mimeType) {
+  const extractor = getExtractor(originalName, mimeType);
+  if (!extractor) {
+    throw new Error(`Unsupported file type. Supported types: ${getSupportedExtensions().join(', ')}`);
+  }
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      throw new Error('Uploaded file not found.');
+    }
+    if (fs.statSync(filePath).size === 0) {
+      throw new Error('Empty file.');
+    }
+  } catch (error) {
+    throw new Error(`File validation failed: ${error.message}`);
+  }
+
+  extractor.validate(filePath, originalName);
+  return extractor;
+}
+
+// Make sure a document can be opened with the given options (e.g. { password })
+async function checkDocumentAccess(filePath, originalName, mimeType, options = {}) {
+  const extractor = getExtractor(originalName, mimeType);
+  if (!extractor) {
+    throw new Error(`Unsupported file type: ${path.extname(originalName) || mimeType}`);
+  }
+  return extractor.checkAccess(filePath, options);
+}
+
+// Extract text with page/section offsets from any supported document.
+// options.password decrypts encrypted PDFs; other formats ignore it.
+async function extractDocument(filePath, originalName, mimeType, options = {}) {
+  const extractor = getExtractor(originalName, mimeType);
+  if (!extractor) {
+    throw new Error(`Unsupported file type: ${path.extname(originalName) || mimeType}`);
+  }
+
+  const result = await extractor.extract(filePath, options);
+  return { ...result, format: extractor.name };
+}
+
+// Build the common structure from a list of sections
+function fromSections(sections) {
+  const units = sections.length > 0 ? sections : [{ text: '' }];
+  const { text, pages } = assemblePages(units);
+  return {
+    text,
+    numPages: pages.length,
+    pages,
+    unitType: 'section'
+  };
+}
+
+// Split Markdown into sections at ATX headings ("# Title")
+function splitMarkdownSections(markdown) {
+  const sections = [];
+  let current = { lines: [] };
+
+  markdown.split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/);
+    if (heading && current.lines.some(l => l.trim())) {
+      sections.push(current);
+      current = { lines: [] };
+    }
+    if (heading && !current.title) {
+      current.title = heading[1];
+    }
+    current.lines.push(line);
+  });
+  sections.push(current);
+
+  return sections
+    .map(section => ({ title: section.title, text: section.lines.join('\n').trim() }))
+    .filter(section => section.text.length > 0);
+}
+
+// Split HTML into sections at h1-h3 headings and convert each one to plain text
+function splitHTMLSections(html) {
+  const body = html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] || html;
+  const parts = body.split(/(?=<h[1-3][\s>])/i);
+
+  return parts
+    .map(part => {
+      const heading = part.match(/^<h([1-3])[^>]*>([\s\S]*?)<\/h[1-3]>/i);
+      const headingHtml = heading?.[2];
+      const text = htmlToText(part, {
+        wordwrap: false,
+        selectors: [
+          { selector: 'a', options: { ignoreHref: true } },
+          { selector: 'img', format: 'skip' },
+          { selector: 'h1', options: { uppercase: false } },
+          { selector: 'h2', options: { uppercase: false } },
+          { selector: 'h3', options: { uppercase: false } },
+          { selector: 'h4', options: { uppercase: false } },
+          { selector: 'h5', options: { uppercase: false } },
+          { selector: 'h6', options: { uppercase: false } },
+          { selector: 'table', format: 'dataTable', options: { uppercaseHeaderCells: false } }
+        ]
+      }).trim();
+      const title = headingHtml ? htmlToText(headingHtml, { wordwrap: false }).trim() : undefined;
+      return { title, level: heading ? parseInt(heading[1], 10) : undefined, text };
+    })
+    .filter(section => section.text.length > 0);
+}
+
+// PDF: one unit per page, with OCR for scanned pages. Encrypted PDFs need options.password.
+registerExtractor({
+  name: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  validate: validatePDFFile,
+  checkAccess: checkPDFAccess,
+  extract: async (filePath, options = {}) => {
+    const extraction = await applyOCRFallback(filePath, await extractPDFText(filePath, options), options);
+    return { ...extraction, unitType: 'page' };
+  }
+});
+
+// DOCX: converted to HTML so headings become sections
+registerExtractor({
+  name: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  validate: (filePath) => {
+    // DOCX files are ZIP containers
+    const header = readFileHeader(filePath, 2).toString('ascii');
+    if (header !== 'PK') {
+      throw new Error('DOCX validation failed: Invalid DOCX file format.');
+    }
+  },
+  extract: async (filePath) => {
+    try {
+      const { value: html } = await mammoth.convertToHtml({ path: filePath });
+      return fromSections(splitHTMLSections(html));
+    } catch (error) {
+      throw new Error(`DOCX text extraction failed: ${error.message}`);
+    }
+  }
+});
+
+// HTML: sections at h1-h3
+registerExtractor({
+  name: 'html',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html'],
+  extract: async (filePath) => fromSections(splitHTMLSections(fs.readFileSync(filePath, 'utf8')))
+});
+
+// Markdown: sections at headings
+registerExtractor({
+  name: 'markdown',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extract: async (filePath) => fromSections(splitMarkdownSections(fs.readFileSync(filePath, 'utf8')))
+});
+
+// Plain text: form feeds are treated as page breaks, otherwise the file is a single page
+registerExtractor({
+  name: 'text',
+  extensions: ['.txt'],
+  mimeTypes: ['text/plain'],
+  extract: async (filePath) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const { text, pages } = assemblePages(content.split('\f').map(pageText => ({ text: pageText })));
+    return { text, numPages: pages.length, pages, unitType: 'page' };
+  }
+});
+
+module.exports = {
+  registerExtractor,
+  getExtractor,
+  getSupportedExtensions,
+  isSupportedFile,
+  validateDocumentFile,
+  checkDocumentAccess,
+  extractDocument
+};
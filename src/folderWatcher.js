@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { hashFile } = require('./documents');
+
+// States of a watched file
+const WATCH_STATES = {
+  QUEUED: 'queued',
+  INGESTED: 'ingested',
+  FAILED: 'failed'
+};
+
+// What happens to a document when its file disappears from the folder
+const DELETE_MODES = ['archive', 'remove'];
+
+// Watches directories for documents by polling (reliable on network shares, where file system
+// events are not). New and changed files are handed to `ingest` once their size and modification
+// time are stable across two scans. When a file is removed, only the uploads the watcher
+// ingested from it (`entry.uploads`, one per version) go to `removeUploads`: never other
+// versions of the same document, nor uploads it merely linked to because they had the same
+// content. What was processed is persisted to a JSON file, so a restart only picks up what
+// changed in the meantime.
+//
+// Callbacks:
+//   ingest(filePath, entry)        -> { jobId } or, when another upload has the same content,
+//                                     { jobId, linked: true } or
+//                                     { documentId, savedFilename, version, linked: true }
+//   getJob(jobId)                  -> the ingestion job (see JobQueue)
+//   removeUploads(savedFilenames, mode) -> removes or archives those uploads
+class FolderWatcher {
+  constructor(options = {}) {
+    const {
+      folders = [],
+      statePath = './jobs/watch-state.json',
+      intervalMs = 10000,
+      onDelete = 'archive',
+      isSupported = () => true,
+      ingest,
+      getJob,
+      removeUploads
+    } = options;
+
+    if (!DELETE_MODES.includes(onDelete)) {
+      throw new Error(`Unknown watch delete mode "${onDelete}". Use one of: ${DELETE_MODES.join(', ')}`);
+    }
+
+    this.folders = folders.map(folder => path.resolve(folder));
+    this.statePath = statePath;
+    this.intervalMs = intervalMs;
+    this.onDelete = onDelete;
+    this.isSupported = isSupported;
+    this.ingest = ingest;
+    this.getJob = getJob;
+    this.removeUploads = removeUploads;
+
+    // Processed files by absolute path
+    this.files = new Map();
+    // Size and modification time seen in the last scan, to wait for files still being copied
+    this.lastSeen = new Map();
+    this.timer = null;
+    this.scanning = false;
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.statePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+      saved.forEach(entry => this.files.set(entry.path, entry));
+      console.log(`👀 Loaded state of ${this.files.size} watched files from ${this.statePath}`);
+    } catch (error) {
+      console.error('Failed to load watch folder state:', error.message);
+    }
+  }
+
+  // Write-then-rename so a crash never leaves a half-written file
+  persist() {
+    const dir = path.dirname(this.statePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.statePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.files.values()), null, 2));
+    fs.renameSync(tmpPath, this.statePath);
+  }
+
+  update(entry, changes) {
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    this.files.set(entry.path, entry);
+    this.persist();
+  }
+
+  list() {
+    return Array.from(this.files.values());
+  }
+
+  // Uploads ingested from the file of an entry. Entries saved before uploads were tracked only
+  // know their last upload, and only own it if it came from their own job.
+  ownedUploads(entry) {
+    if (entry.uploads) return entry.uploads;
+    return entry.jobId && entry.savedFilename ? [entry.savedFilename] : [];
+  }
+
+  start() {
+    if (this.timer || this.folders.length === 0) return;
+    console.log(`👀 Watching ${this.folders.join(', ')} every ${this.intervalMs}ms (deleted files: ${this.onDelete})`);
+
+    const loop = async () => {
+      await this.scan();
+      this.timer = setTimeout(loop, this.intervalMs);
+    };
+    this.timer = setTimeout(loop, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Supported files below a folder; hidden files and Office lock files (~$name) are skipped
+  listFiles(folder) {
+    const files = [];
+    const walk = dir => {
+      fs.readdirSync(dir, { withFileTypes: true }).forEach(dirent => {
+        if (dirent.name.startsWith('.') || dirent.name.startsWith('~$')) return;
+        const fullPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+          walk(fullPath);
+        } else if (dirent.isFile() && this.isSupported(dirent.name)) {
+          files.push(fullPath);
+        }
+      });
+    };
+    walk(folder);
+    return files;
+  }
+
+  async scan() {
+    if (this.scanning) return;
+    this.scanning = true;
+
+    try {
+      this.refreshJobs();
+
+      const present = new Set();
+      for (const folder of this.folders) {
+        // A folder that is missing (e.g. an unmounted share) must not look like all its files were deleted
+        if (!fs.existsSync(folder)) {
+          console.warn(`⚠️ Watch folder ${folder} is not available; skipping it`);
+          this.files.forEach(entry => {
+            if (entry.folder === folder) present.add(entry.path);
+          });
+          continue;
+        }
+
+        for (const filePath of this.listFiles(folder)) {
+          present.add(filePath);
+          await this.checkFile(filePath, folder);
+        }
+      }
+
+      for (const entry of this.list()) {
+        if (!present.has(entry.path)) {
+          await this.handleDeleted(entry);
+        }
+      }
+    } catch (error) {
+      console.error('Watch folder scan failed:', error.message);
+    } finally {
+      this.scanning = false;
+    }
+  }
+
+  // Pick up the outcome of ingestion jobs (also of jobs retried by hand after failing)
+  refreshJobs() {
+    this.list()
+      .filter(entry => entry.jobId && entry.status !== WATCH_STATES.INGESTED)
+      .forEach(entry => {
+        const job = this.getJob(entry.jobId);
+        if (!job) {
+          this.update(entry, { status: WATCH_STATES.FAILED, lastError: 'Ingestion job no longer exists.' });
+        } else if (job.state === 'completed') {
+          const uploads = this.ownedUploads(entry);
+          this.update(entry, {
+            status: WATCH_STATES.INGESTED,
+            documentId: job.result.documentId,
+            savedFilename: job.result.savedFilename,
+            version: job.result.version,
+            // The job of another upload with the same content is not the watcher's
+            uploads: entry.linked || uploads.includes(job.result.savedFilename)
+              ? uploads
+              : [...uploads, job.result.savedFilename],
+            lastError: null
+          });
+          console.log(`👀 Ingested ${entry.path} as ${job.result.documentId} v${job.result.version}`);
+        } else if (job.state === 'failed' && entry.status !== WATCH_STATES.FAILED) {
+          const lastError = job.errors[job.errors.length - 1];
+          this.update(entry, {
+            status: WATCH_STATES.FAILED,
+            lastError: lastError ? lastError.message : 'Ingestion failed.',
+            errorCode: lastError && lastError.code
+          });
+        }
+      });
+  }
+
+  async checkFile(filePath, folder) {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      return; // Removed while scanning
+    }
+
+    const entry = this.files.get(filePath);
+    if (entry && entry.size === stats.size && entry.mtimeMs === stats.mtimeMs) return;
+    // Wait until an ingestion of the previous content is finished
+    if (entry && entry.status === WATCH_STATES.QUEUED) return;
+
+    // Only take files whose size and modification time did not change since the last scan
+    const seen = this.lastSeen.get(filePath);
+    this.lastSeen.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs });
+    if (!seen || seen.size !== stats.size || seen.mtimeMs !== stats.mtimeMs) return;
+    this.lastSeen.delete(filePath);
+
+    const contentHash = await hashFile(filePath);
+    if (entry && entry.contentHash === contentHash) {
+      // Touched, but the content is the same
+      this.update(entry, { size: stats.size, mtimeMs: stats.mtimeMs });
+      return;
+    }
+
+    const current = entry || { path: filePath, folder, firstSeenAt: new Date().toISOString() };
+    const changes = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      contentHash,
+      uploads: this.ownedUploads(current),
+      errorCode: null
+    };
+    console.log(`👀 ${entry ? 'Changed' : 'New'} file ${filePath}`);
+
+    try {
+      const outcome = await this.ingest(filePath, current);
+      changes.linked = outcome.linked === true;
+      if (outcome.jobId) {
+        this.update(current, { ...changes, status: WATCH_STATES.QUEUED, jobId: outcome.jobId, lastError: null });
+      } else {
+        this.update(current, {
+          ...changes,
+          status: WATCH_STATES.INGESTED,
+          jobId: null,
+          documentId: outcome.documentId,
+          savedFilename: outcome.savedFilename,
+          version: outcome.version,
+          lastError: null
+        });
+      }
+    } catch (error) {
+      // Recorded as processed so the file is not retried until it changes again
+      this.update(current, { ...changes, status: WATCH_STATES.FAILED, lastError: error.message, errorCode: error.code || null });
+      console.error(`❌ Watched file ${filePath} could not be ingested: ${error.message}`);
+    }
+  }
+
+  async handleDeleted(entry) {
+    this.lastSeen.delete(entry.path);
+    // Decide once the ingestion of the file is finished
+    if (entry.status === WATCH_STATES.QUEUED) return;
+
+    // Uploads that another watched file links to (same content) stay
+    const inUse = new Set();
+    this.list()
+      .filter(other => other !== entry)
+      .forEach(other => {
+        this.ownedUploads(other).forEach(savedFilename => inUse.add(savedFilename));
+        if (other.savedFilename) inUse.add(other.savedFilename);
+      });
+    const uploads = this.ownedUploads(entry).filter(savedFilename => !inUse.has(savedFilename));
+
+    if (uploads.length > 0) {
+      try {
+        await this.removeUploads(uploads, this.onDelete);
+        console.log(`👀 ${entry.path} was deleted; ${this.onDelete === 'remove' ? 'removed' : 'archived'} ${uploads.join(', ')}`);
+      } catch (error) {
+        // Keep the entry so the next scan tries again
+        console.error(`❌ Could not ${this.onDelete} ${uploads.join(', ')} for deleted file ${entry.path}: ${error.message}`);
+        return;
+      }
+    }
+
+    this.files.delete(entry.path);
+    this.persist();
+  }
+}
+
+module.exports = {
+  FolderWatcher,
+  WATCH_STATES,
+  DELETE_MODES
+};
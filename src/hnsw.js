@@ -0,0 +1,546 @@
+// Hierarchical navigable small world graph (see hnsw.md) for approximate nearest neighbour search
+// in the app's own process. The embedded vector store keeps one for its chunks; Weaviate has its
+// own. Run this file with --benchmark to measure recall against brute force (see the bottom).
+const fs = require('fs');
+
+const DISTANCES = ['cosine', 'l2'];
+
+// Binary heap ordered by `compare` (smallest first)
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const closestFirst = (a, b) => a.distance - b.distance;
+const farthestFirst = (a, b) => b.distance - a.distance;
+
+// Seeded random numbers (mulberry32), so a benchmark builds the same graph every run
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Index of vectors by id. Options:
+//   dimensions       vector length; taken from the first insert when not given
+//   M                links per node and level (2 * M on level 0); more is better recall and
+//                    more memory
+//   efConstruction   candidates considered when linking a new node; more is a better graph and
+//                    slower inserts
+//   efSearch         candidates considered by a search (at least k); more is better recall and
+//                    slower searches
+//   distance         'cosine' (1 - cosine similarity, as Weaviate reports it) or 'l2' (squared)
+//   seed             for reproducible levels
+// Deleting only marks a node: it still routes searches but is never returned. Inserting an id
+// that exists replaces its vector the same way.
+class HNSWIndex {
+  constructor(options = {}) {
+    const {
+      dimensions = null,
+      M = 16,
+      efConstruction = 128,
+      efSearch = 64,
+      distance = 'cosine',
+      seed
+    } = options;
+
+    if (!DISTANCES.includes(distance)) {
+      throw new Error(`Unknown distance "${distance}". Use one of: ${DISTANCES.join(', ')}`);
+    }
+    if (!(M >= 2)) throw new Error('M must be at least 2');
+
+    this.dimensions = dimensions;
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.distance = distance;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.random = seed === undefined ? Math.random : seededRandom(seed);
+
+    // Per node: id, vector (unit length for cosine), links per level, deleted flag
+    this.ids = [];
+    this.vectors = [];
+    this.links = [];
+    this.deleted = [];
+    // Live nodes by id
+    this.nodes = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    // Nodes visited by the current search carry its generation
+    this.visited = new Uint32Array(0);
+    this.generation = 0;
+  }
+
+  // Live vectors
+  get size() {
+    return this.nodes.size;
+  }
+
+  get deletedCount() {
+    return this.ids.length - this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  prepare(vector) {
+    if (this.dimensions === null) this.dimensions = vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector.length} dimensions, the index ${this.dimensions}`);
+    }
+    const prepared = Float32Array.from(vector);
+    if (this.distance === 'cosine') {
+      let norm = 0;
+      for (let i = 0; i < prepared.length; i++) norm += prepared[i] * prepared[i];
+      norm = Math.sqrt(norm);
+      if (norm > 0) {
+        for (let i = 0; i < prepared.length; i++) prepared[i] /= norm;
+      }
+    }
+    return prepared;
+  }
+
+  distanceBetween(a, b) {
+    let sum = 0;
+    if (this.distance === 'cosine') {
+      for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+      return 1 - sum;
+    }
+    for (let i = 0; i < a.length; i++) {
+      const diff = a[i] - b[i];
+      sum += diff * diff;
+    }
+    return sum;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelMultiplier);
+  }
+
+  startSearch() {
+    if (this.visited.length < this.ids.length) {
+      const visited = new Uint32Array(Math.max(1024, this.ids.length * 2));
+      visited.set(this.visited);
+      this.visited = visited;
+    }
+    this.generation++;
+    if (this.generation === 0xFFFFFFFF) {
+      this.visited.fill(0);
+      this.generation = 1;
+    }
+  }
+
+  // Best-first search of one level from `entries`, keeping the `ef` closest nodes that
+  // `accept` (all by default). Nodes that are not accepted are still traversed.
+  // Returns [{ node, distance }], closest first.
+  searchLevel(query, entries, ef, level, accept = null) {
+    this.startSearch();
+    const candidates = new Heap(closestFirst);
+    const results = new Heap(farthestFirst);
+
+    entries.forEach(node => {
+      this.visited[node] = this.generation;
+      const item = { node, distance: this.distanceBetween(query, this.vectors[node]) };
+      candidates.push(item);
+      if (!accept || accept(node)) results.push(item);
+    });
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.distance > results.peek().distance) break;
+
+      const neighbors = this.links[current.node][level];
+      for (let i = 0; i < neighbors.length; i++) {
+        const node = neighbors[i];
+        if (this.visited[node] === this.generation) continue;
+        this.visited[node] = this.generation;
+
+        const distance = this.distanceBetween(query, this.vectors[node]);
+        if (results.size < ef || distance < results.peek().distance) {
+          const item = { node, distance };
+          candidates.push(item);
+          if (!accept || accept(node)) {
+            results.push(item);
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort(closestFirst);
+  }
+
+  // Neighbours for a node out of candidates sorted closest first (the paper's heuristic): a
+  // candidate is skipped when it is closer to an already selected neighbour than to the node,
+  // which keeps links spread in all directions. Skipped candidates fill up the remaining slots.
+  selectNeighbors(candidates, max) {
+    const selected = [];
+    const skipped = [];
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      const vector = this.vectors[candidate.node];
+      const diverse = selected.every(other => this.distanceBetween(vector, this.vectors[other.node]) > candidate.distance);
+      (diverse ? selected : skipped).push(candidate);
+    }
+    for (let i = 0; i < skipped.length && selected.length < max; i++) {
+      selected.push(skipped[i]);
+    }
+    return selected;
+  }
+
+  // Greedy descent from the entry point to `level`
+  descend(query, level) {
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.searchLevel(query, [entry], 1, l)[0].node;
+    }
+    return entry;
+  }
+
+  insert(id, vector) {
+    if (this.nodes.has(id)) this.delete(id);
+
+    const prepared = this.prepare(vector);
+    const node = this.ids.length;
+    const level = this.randomLevel();
+    this.ids.push(id);
+    this.vectors.push(prepared);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.deleted.push(false);
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entries = [this.descend(prepared, level)];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLevel(prepared, entries, this.efConstruction, l);
+      const neighbors = this.selectNeighbors(candidates, this.M);
+      this.links[node][l] = neighbors.map(neighbor => neighbor.node);
+
+      const maxLinks = l === 0 ? 2 * this.M : this.M;
+      neighbors.forEach(({ node: neighbor }) => {
+        const links = this.links[neighbor][l];
+        links.push(node);
+        if (links.length > maxLinks) {
+          const vector = this.vectors[neighbor];
+          const ranked = links
+            .map(other => ({ node: other, distance: this.distanceBetween(vector, this.vectors[other]) }))
+            .sort(closestFirst);
+          this.links[neighbor][l] = this.selectNeighbors(ranked, maxLinks).map(item => item.node);
+        }
+      });
+      entries = candidates.map(candidate => candidate.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  delete(id) {
+    const node = this.nodes.get(id);
+    if (node === undefined) return false;
+    this.deleted[node] = true;
+    this.nodes.delete(id);
+    return true;
+  }
+
+  // The k nearest live vectors: [{ id, distance }], closest first. `filter(id)` restricts the
+  // results; `ef` overrides efSearch.
+  search(vector, k, options = {}) {
+    const { ef = this.efSearch, filter } = options;
+    if (this.entryPoint === -1 || k <= 0) return [];
+
+    const query = this.prepare(vector);
+    const accept = node => !this.deleted[node] && (!filter || filter(this.ids[node]));
+    return this.searchLevel(query, [this.descend(query, 0)], Math.max(ef, k), 0, accept)
+      .slice(0, k)
+      .map(({ node, distance }) => ({ id: this.ids[node], distance }));
+  }
+
+  // Exact k nearest live vectors, by scanning all of them (what search approximates)
+  bruteForce(vector, k, options = {}) {
+    const { filter } = options;
+    const query = this.prepare(vector);
+    const results = [];
+    this.nodes.forEach((node, id) => {
+      if (!filter || filter(id)) {
+        results.push({ id, distance: this.distanceBetween(query, this.vectors[node]) });
+      }
+    });
+    return results.sort(closestFirst).slice(0, k);
+  }
+
+  // Binary snapshot: "HNSW", header length, JSON header (parameters, ids, levels, deleted
+  // nodes, `meta`), float32 vectors, then per node and level a link count and the links
+  serialize(meta = {}) {
+    const header = Buffer.from(JSON.stringify({
+      version: 1,
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      distance: this.distance,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      ids: this.ids,
+      levels: this.links.map(levels => levels.length - 1),
+      deleted: this.deleted.reduce((nodes, deleted, node) => (deleted ? nodes.concat(node) : nodes), []),
+      meta
+    }));
+
+    const vectors = new Float32Array(this.ids.length * (this.dimensions || 0));
+    this.vectors.forEach((vector, node) => vectors.set(vector, node * this.dimensions));
+
+    const linkCount = this.links.reduce((sum, levels) => sum + levels.reduce((n, links) => n + 1 + links.length, 0), 0);
+    const links = new Int32Array(linkCount);
+    let offset = 0;
+    this.links.forEach(levels => levels.forEach(nodeLinks => {
+      links[offset++] = nodeLinks.length;
+      links.set(nodeLinks, offset);
+      offset += nodeLinks.length;
+    }));
+
+    const lengths = Buffer.alloc(8);
+    lengths.write('HNSW', 0, 'latin1');
+    lengths.writeUInt32LE(header.length, 4);
+    return Buffer.concat([
+      lengths,
+      header,
+      // Pad so the vectors start on a 4-byte boundary
+      Buffer.alloc((4 - (header.length % 4)) % 4),
+      Buffer.from(vectors.buffer),
+      Buffer.from(links.buffer)
+    ]);
+  }
+
+  // Returns { index, meta }
+  static deserialize(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== 'HNSW') throw new Error('Not an HNSW index file');
+    const headerLength = buffer.readUInt32LE(4);
+    const header = JSON.parse(buffer.toString('utf8', 8, 8 + headerLength));
+    if (header.version !== 1) throw new Error(`Unsupported HNSW index version ${header.version}`);
+
+    const index = new HNSWIndex({
+      dimensions: header.dimensions,
+      M: header.M,
+      efConstruction: header.efConstruction,
+      efSearch: header.efSearch,
+      distance: header.distance
+    });
+    const count = header.ids.length;
+    const copy = (start, bytes) => buffer.buffer.slice(buffer.byteOffset + start, buffer.byteOffset + start + bytes);
+
+    let offset = 8 + headerLength + ((4 - (headerLength % 4)) % 4);
+    const vectorBytes = count * (header.dimensions || 0) * 4;
+    const vectors = new Float32Array(copy(offset, vectorBytes));
+    offset += vectorBytes;
+    const links = new Int32Array(copy(offset, buffer.length - offset));
+
+    let position = 0;
+    const deleted = new Set(header.deleted);
+    header.ids.forEach((id, node) => {
+      index.ids.push(id);
+      index.vectors.push(vectors.subarray(node * header.dimensions, (node + 1) * header.dimensions));
+      const levels = [];
+      for (let l = 0; l <= header.levels[node]; l++) {
+        const length = links[position++];
+        levels.push(Array.from(links.subarray(position, position + length)));
+        position += length;
+      }
+      index.links.push(levels);
+      index.deleted.push(deleted.has(node));
+      if (!deleted.has(node)) index.nodes.set(id, node);
+    });
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+
+    return { index, meta: header.meta };
+  }
+
+  // Write-then-rename, so a crash never leaves a half-written index
+  async save(filePath, meta) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, this.serialize(meta));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  static load(filePath) {
+    return HNSWIndex.deserialize(fs.readFileSync(filePath));
+  }
+}
+
+// Recall@k of index.search against brute force for the given query vectors, and the average
+// time per query of each: { k, ef, queries, recall, searchMs, bruteForceMs }
+function benchmarkRecall(index, queries, k, ef = index.efSearch) {
+  let found = 0;
+  let expected = 0;
+  let searchTime = 0;
+  let bruteForceTime = 0;
+
+  queries.forEach(query => {
+    let start = process.hrtime.bigint();
+    const exact = index.bruteForce(query, k);
+    bruteForceTime += Number(process.hrtime.bigint() - start);
+
+    start = process.hrtime.bigint();
+    const approximate = index.search(query, k, { ef });
+    searchTime += Number(process.hrtime.bigint() - start);
+
+    const approximateIds = new Set(approximate.map(result => result.id));
+    found += exact.filter(result => approximateIds.has(result.id)).length;
+    expected += exact.length;
+  });
+
+  return {
+    k,
+    ef,
+    queries: queries.length,
+    recall: expected > 0 ? found / expected : 1,
+    searchMs: searchTime / 1e6 / (queries.length || 1),
+    bruteForceMs: bruteForceTime / 1e6 / (queries.length || 1)
+  };
+}
+
+// Clustered random vectors (points around `clusters` random centres), closer to real embeddings
+// than uniform noise
+function randomVectors(count, dimensions, random, clusters = 50) {
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  const centres = Array.from({ length: clusters }, () => Array.from({ length: dimensions }, gaussian));
+  return Array.from({ length: count }, () => {
+    const centre = centres[Math.floor(random() * clusters)];
+    return centre.map(value => value + 0.5 * gaussian());
+  });
+}
+
+// node src/hnsw.js --benchmark [--count 10000] [--dimensions 384] [--queries 200] [--k 10]
+//   [--M 16] [--ef-construction 128] [--ef-search 16,32,64,128] [--seed 1] [--store <dir>]
+// Builds an index of random vectors, or of the chunks of an embedded store directory (--store,
+// then queries are stored vectors), and prints recall@k against brute force for each efSearch.
+async function runBenchmark(args) {
+  const option = (name, fallback) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 && args[i + 1] !== undefined ? args[i + 1] : fallback;
+  };
+  const number = (name, fallback) => parseInt(option(name, fallback), 10);
+
+  const k = number('k', 10);
+  const seed = number('seed', 1);
+  const random = seededRandom(seed);
+  const efSearches = String(option('ef-search', '16,32,64,128')).split(',').map(value => parseInt(value, 10));
+  const index = new HNSWIndex({
+    M: number('M', 16),
+    efConstruction: number('ef-construction', 128),
+    seed
+  });
+
+  let vectors;
+  let queries;
+  const queryCount = number('queries', 200);
+  const storeDir = option('store', null);
+  if (storeDir) {
+    const { EmbeddedVectorStore } = require('./embeddedVectorStore');
+    const store = new EmbeddedVectorStore({ dir: storeDir, index: false });
+    vectors = Array.from(store.objects.values(), object => object.vector);
+    queries = Array.from({ length: Math.min(queryCount, vectors.length) }, () => vectors[Math.floor(random() * vectors.length)]);
+    console.log(`Benchmarking ${vectors.length} vectors from ${storeDir}`);
+  } else {
+    // Queries come from the same clusters but are not indexed
+    const count = number('count', 10000);
+    vectors = randomVectors(count + queryCount, number('dimensions', 384), random);
+    queries = vectors.splice(count);
+    console.log(`Benchmarking ${vectors.length} clustered random vectors of ${vectors[0].length} dimensions`);
+  }
+  if (vectors.length === 0) throw new Error('No vectors to benchmark');
+
+  const start = Date.now();
+  vectors.forEach((vector, i) => index.insert(i, vector));
+  const buildSeconds = (Date.now() - start) / 1000;
+  console.log(`Built with M=${index.M} efConstruction=${index.efConstruction} in ${buildSeconds.toFixed(1)}s (${Math.round(vectors.length / buildSeconds)} inserts/s)`);
+
+  const rows = efSearches.map(ef => {
+    const result = benchmarkRecall(index, queries, k, ef);
+    return {
+      efSearch: ef,
+      [`recall@${k}`]: result.recall.toFixed(4),
+      'search ms': result.searchMs.toFixed(3),
+      'brute force ms': result.bruteForceMs.toFixed(3),
+      speedup: `${(result.bruteForceMs / result.searchMs).toFixed(1)}x`
+    };
+  });
+  console.table(rows);
+}
+
+module.exports = {
+  HNSWIndex,
+  benchmarkRecall,
+  randomVectors,
+  seededRandom
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (!args.includes('--benchmark')) {
+    console.log('Usage: node src/hnsw.js --benchmark [--count 10000] [--dimensions 384] [--queries 200] [--k 10] [--M 16] [--ef-construction 128] [--ef-search 16,32,64,128] [--seed 1] [--store <dir>]');
+    process.exit(1);
+  }
+  runBenchmark(args).catch(error => {
+    console.error('Benchmark failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,26 @@
+// Hugging Face models run in-process with Transformers.js (ONNX Runtime): the local embedding
+// model and the tokenizers of Hugging Face embedding models. The library is large, so it is only
+// loaded when one of them is used.
+// Models are downloaded from the Hugging Face Hub on first use and cached under ./cache/models
+// (TRANSFORMERS_CACHE_DIR). With LOCAL_MODELS_DIR set they are read from <dir>/<model id>/
+// instead, and nothing is downloaded.
+let transformers = null;
+
+function loadTransformers() {
+  if (!transformers) {
+    transformers = require('@huggingface/transformers');
+    const { env } = transformers;
+    env.cacheDir = process.env.TRANSFORMERS_CACHE_DIR || './cache/models';
+    if (process.env.LOCAL_MODELS_DIR) {
+      env.localModelPath = process.env.LOCAL_MODELS_DIR;
+      env.allowRemoteModels = false;
+    } else {
+      env.allowLocalModels = false;
+    }
+  }
+  return transformers;
+}
+
+module.exports = {
+  loadTransformers
+};
@@ -1,23 +1,81 @@
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
+const crypto = require('crypto');
 const OpenAI = require('openai');
 const weaviate = require('weaviate-ts-client').default;
+const { generateUuid5 } = require('weaviate-ts-client');
 const express = require('express');
 const multer = require('multer');
 
 // Import from searchMethods.js
 const {
   client,
+  vectorStore,
   openai,
-  generateEmbedding,
+  generateEmbeddings,
+  embeddingCache,
+  embeddingProvider,
+  assertEmbeddingModel,
+  createChatCompletion,
   enhanceQuery,
   searchPDFContent,
   searchPDFContentAdvanced,
   smartSearchPDFContent,
   basicSearchPDFContent,
-  fuseSearchResults
+  fuseSearchResults,
+  searchFilter,
+  COMMITTED_FILTER
 } = require('./utility');
+const { extractPDFText, validatePDFFile, annotateChunkPages, createPasswordError } = require('./pdfExtraction');
+const {
+  getExtractor,
+  getSupportedExtensions,
+  isSupportedFile,
+  validateDocumentFile,
+  checkDocumentAccess,
+  extractDocument
+} = require('./extractors');
+const { JobQueue, JOB_STATES } = require('./jobQueue');
+const { FolderWatcher } = require('./folderWatcher');
+const { isZipFile, extractZipEntries } = require('./archives');
+const { annotateChunkOCR } = require('./ocr');
+const {
+  DEFAULT_CHUNKING,
+  resolveRequestChunking,
+  resolveStoredChunking,
+  chunkText,
+  chunkTextWithOverlap
+} = require('./chunking');
+const { detectHeadings, buildSectionTree, annotateChunkSections, formatSectionLabel, buildSectionFilter } = require('./sections');
+const { EMBEDDING_MAX_TOKENS, loadEmbeddingTokenizer, countTokens, createTokenLimitError } = require('./tokenizer');
+const { getTaskModel } = require('./llmProviders');
+const { assemblePrompt } = require('./promptAssembly');
+const { spoolPDFPages, removeSpool, streamSpooledChunks } = require('./streamingExtraction');
+const { migrateSchema } = require('./migrations');
+const { chunkMetadata, documentTypeSignals, detectDocumentType } = require('./chunkMetadata');
+const { buildSearchFilter } = require('./searchFilters');
+const {
+  hashFile,
+  findDocumentByHash,
+  parseTags,
+  resolveDocumentVersion,
+  releaseDocumentVersion,
+  assertVersionAvailable,
+  markPreviousVersionsSuperseded,
+  restoreLatestVersion,
+  buildUploadsFilter,
+  archiveUploads,
+  unarchiveUploads,
+  buildVersionFilter,
+  buildMetadataFilter,
+  combineFilters,
+  buildDocumentFilter,
+  findDocumentUploads,
+  deleteChunks,
+  commitIngestion,
+  rollbackIngestion,
+  findPendingIngestions
+} = require('./documents');
 
 // Load environment variables - adjust path if needed
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
@@ -34,330 +92,639 @@ app.use((req, res, next) => {
   next();
 });
 
+// Upload size limit per file. Large PDFs are ingested page by page, so this can be raised
+// well beyond the default.
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB, 10) || 50;
+
 // Configure multer for file uploads
 const upload = multer({
   dest: 'uploads/',
   fileFilter: (req, file, cb) => {
-    // Initial file type check
-    if (file.mimetype === 'application/pdf' || path.extname(file.originalname).toLowerCase() === '.pdf') {
+    // Initial file type check against the registered extractors
+    if (isSupportedFile(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed!'), false);
+      cb(new Error(`Unsupported file type. Supported types: ${getSupportedExtensions().join(', ')}`), false);
     }
   },
   limits: {
-    fileSize: 50 * 1024 * 1024 // 50MB limit
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024
   }
 });
 
-if (!process.env.WEAVIATE_API_KEY) {
-  console.error('❌ WEAVIATE_API_KEY environment variable is missing!');
-  process.exit(1);
-}
+// Batch uploads accept any file type; each file is validated separately so one bad file
+// does not fail the whole batch
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES, 10) || 50;
+const batchUpload = multer({
+  dest: 'uploads/',
+  limits: {
+    fileSize: MAX_UPLOAD_MB * 1024 * 1024,
+    files: MAX_BATCH_FILES
+  }
+});
 
-if (!process.env.OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY environment variable is missing!');
-  process.exit(1);
+// Create user_uploads directory if it doesn't exist
+const USER_UPLOADS_DIR = './user_uploads';
+if (!fs.existsSync(USER_UPLOADS_DIR)) {
+  fs.mkdirSync(USER_UPLOADS_DIR, { recursive: true });
+  console.log('📁 Created user_uploads directory');
 }
 
-// Define schema for PDF documents
-const pdfSchema = {
-  class: 'PDFDocument',
-  description: 'PDF document chunks with vector embeddings',
-  vectorizer: 'none', // Manual vectorization
-  properties: [
-    { name: 'content', dataType: ['text'], description: 'Chunk text content' },
-    { name: 'filename', dataType: ['string'], description: 'Original filename' },
-    { name: 'savedFilename', dataType: ['string'], description: 'Saved filename with timestamp' },
-    { name: 'pageNumber', dataType: ['int'], description: 'Page number' },
-    { name: 'chunkIndex', dataType: ['int'], description: 'Chunk index' },
-    { name: 'totalPages', dataType: ['int'], description: 'Total pages in document' },
-    { name: 'totalChunks', dataType: ['int'], description: 'Total chunks in document' },
-    { name: 'chunkStart', dataType: ['int'], description: 'Chunk start position' },
-    { name: 'chunkEnd', dataType: ['int'], description: 'Chunk end position' },
-    { name: 'uploadDate', dataType: ['date'], description: 'Upload timestamp' },
-    { name: 'filePath', dataType: ['string'], description: 'Local file path' },
-  ],
-};
-
-// 1. File validation function
-function validatePDFFile(filePath, originalName) {
-  try {
-    // Check file extension
-    // here it should check the mime
-    const ext = path.extname(originalName).toLowerCase();
-    if (ext !== '.pdf') {
-      throw new Error('Invalid file extension. Only PDF files are supported.');
-    }
+// Chunks embedded in one request and stored in one vector store batch during ingestion
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || 100;
 
-    // Check if file exists
-    if (!fs.existsSync(filePath)) {
-      throw new Error('Uploaded file not found.');
-    }
+// PDFs of at least STREAMING_MIN_FILE_MB are ingested page by page (0 streams every PDF)
+const STREAMING_MIN_FILE_MB = parseFloat(process.env.STREAMING_MIN_FILE_MB || '20');
 
-    // Check file size (additional validation)
-    const stats = fs.statSync(filePath);
-    if (stats.size === 0) {
-      throw new Error('Empty PDF file.');
-    }
+const JOB_STORE_PATH = process.env.JOB_STORE_PATH || './jobs/jobs.json';
 
-    // Try to read the PDF header
-    const buffer = fs.readFileSync(filePath, { start: 0, end: 4 });
-    const header = buffer.toString('ascii');
-    if (!header.startsWith('%PDF')) {
-      throw new Error('Invalid PDF file format.');
-    }
+// Id of this server instance: INSTANCE_ID, or one generated on first start and kept with the
+// job store, whose jobs retry this instance's ingestions after a restart
+function loadInstanceId() {
+  const idPath = path.join(path.dirname(JOB_STORE_PATH), 'instance-id');
+  if (fs.existsSync(idPath)) return fs.readFileSync(idPath, 'utf8').trim();
 
-    return true;
-  } catch (error) {
-    throw new Error(`PDF validation failed: ${error.message}`);
-  }
+  const id = crypto.randomUUID();
+  fs.mkdirSync(path.dirname(idPath), { recursive: true });
+  fs.writeFileSync(idPath, `${id}\n`);
+  return id;
 }
 
-// 2. Text chunking with boundary overlap
-function chunkTextWithOverlap(text, maxChunkSize = 1000, overlap = 100) {
-  const chunks = [];
-  let start = 0;
-
-  while (start < text.length) {
-    let end = Math.min(start + maxChunkSize, text.length);
+// Every chunk records the instance that ingested it. Servers may share a vector store, so at
+// startup only this instance's pending ingestions are rolled back, plus those of any instance
+// that stored nothing for INGESTION_STALE_MINUTES (it is gone, or stuck).
+const INSTANCE_ID = process.env.INSTANCE_ID || loadInstanceId();
+const INGESTION_STALE_MINUTES = parseFloat(process.env.INGESTION_STALE_MINUTES || '60');
 
-    // Find a good break point at sentence boundaries
-    if (end < text.length) {
-      const sentenceEnds = ['.', '!', '?', '\n'];
-      let bestBreak = -1;
-
-      for (let i = end; i > start + maxChunkSize * 0.5; i--) {
-        if (sentenceEnds.includes(text[i])) {
-          bestBreak = i + 1;
-          break;
-        }
-      }
+function isStreamedFile(filePath, originalFilename, mimeType) {
+  const extractor = getExtractor(originalFilename, mimeType);
+  return Boolean(extractor) && extractor.name === 'pdf' &&
+    fs.statSync(filePath).size >= STREAMING_MIN_FILE_MB * 1024 * 1024;
+}
 
-      if (bestBreak > -1) {
-        end = bestBreak;
-      }
-    }
+async function storePDFInWeaviateParallel(filePath, originalFilename, options = {}) {
+  // `reindex` is an existing upload (see findDocumentUploads) whose stored file is being re-processed.
+  // `chunking` is a resolved { strategy, params } (see chunking.js). A reindex keeps the upload's tags.
+  // `owner` is recorded as the ingestion's owner, this server instance by default.
+  const { onProgress = () => {}, reindex, chunking = DEFAULT_CHUNKING, owner = INSTANCE_ID } = options;
+  const tags = reindex ? reindex.tags || [] : options.tags || [];
+
+  // Chunks are stored as pending under this ingestion id and only become searchable in the
+  // commit step; on failure everything the ingestion stored is rolled back
+  const ingestionId = crypto.randomUUID();
+  let savedFilename;
+  let permanentPath;
+  let savedFile = false;
+  let committing = false;
+  let documentId;
+  let reservedVersion = null;
+  let spool;
 
-    const chunkText = text.slice(start, end).trim();
-    if (chunkText.length > 50) { // Only include meaningful chunks
-      chunks.push({
-        text: chunkText,
-        start,
-        end
+  try {
+    // Chunk budgets are counted with the embedding model's tokenizer
+    await loadEmbeddingTokenizer();
+    const contentHash = options.contentHash || await hashFile(filePath);
+
+    // Reindexing keeps the document's identity; new uploads reserve the next version
+    const identity = reindex && reindex.documentId
+      ? reindex
+      : await resolveDocumentVersion(originalFilename, options.documentName);
+    const { documentName, version } = identity;
+    documentId = identity.documentId;
+    if (identity !== reindex) reservedVersion = version;
+    const superseded = reindex ? reindex.superseded === true : false;
+
+    // Large PDFs are read page by page with bounded memory; everything else in one piece.
+    // Either way `chunkGroups` yields the annotated chunks, all at once or as they are completed.
+    const streaming = isStreamedFile(filePath, originalFilename, options.mimeType);
+    let extraction;
+    if (streaming) {
+      console.log(`🌊 Streaming ${originalFilename} page by page`);
+      spool = await spoolPDFPages(filePath, {
+        password: options.password,
+        onPage: onProgress
       });
+      extraction = {
+        ...spool,
+        format: 'pdf',
+        unitType: 'page',
+        totalChunks: null,
+        chunkGroups: streamSpooledChunks(spool, chunking)
+      };
+    } else {
+      const { text, pages, ...document } = await extractDocument(filePath, originalFilename, options.mimeType, { password: options.password });
+      // Section hierarchy from headings and numbering ("4.2.1 Assay (By HPLC)")
+      const headings = detectHeadings(text, pages, document.format);
+      const chunks = annotateChunkSections(
+        annotateChunkOCR(annotateChunkPages(chunkText(text, chunking), pages), document.ocrPages),
+        headings
+      );
+      extraction = {
+        ...document,
+        headings,
+        textLength: text.length,
+        hasText: chunks.length > 0,
+        totalChunks: chunks.length,
+        chunkGroups: [chunks]
+      };
     }
 
-    // Move start position with overlap
-    start = Math.max(start + 1, end - overlap);
-    if (start >= text.length) break;
-  }
-
-  return chunks;
-}
-
-// Extract text from PDF
-async function extractPDFText(filePath) {
-  try {
-    const buffer = fs.readFileSync(filePath);
-    const data = await pdf(buffer);
-    return {
-      text: data.text,
-      numPages: data.numpages
-    };
-  } catch (error) {
-    throw new Error(`PDF text extraction failed: ${error.message}`);
-  }
-}
-
-// Create user_uploads directory if it doesn't exist
-const USER_UPLOADS_DIR = './user_uploads';
-if (!fs.existsSync(USER_UPLOADS_DIR)) {
-  fs.mkdirSync(USER_UPLOADS_DIR, { recursive: true });
-  console.log('📁 Created user_uploads directory');
-}
+    const {
+      numPages,
+      format,
+      unitType,
+      headings,
+      totalChunks,
+      metadata = {},
+      ocrPages = [],
+      pagesWithoutText = []
+    } = extraction;
+    console.log(`Extracted ${numPages} ${unitType}s from ${format} document: ${originalFilename}`);
+    if (ocrPages.length > 0) {
+      console.log(`🔎 OCR'd pages: ${ocrPages.map(page => page.pageNumber).join(', ')}`);
+    }
+    if (headings.length > 0) {
+      console.log(`📑 Detected ${headings.length} section headings`);
+    }
 
-// 4. Store PDF vectors in Weaviate and save file locally
-async function storePDFInWeaviate(filePath, originalFilename) {
-  try {
-    const { text, numPages } = await extractPDFText(filePath);
-    console.log(`Extracted ${numPages} pages from PDF: ${originalFilename}`);
-    const chunks = chunkTextWithOverlap(text, 800, 200);
+    // Never store a document silently without any searchable content
+    if (!extraction.hasText) {
+      throw new Error(pagesWithoutText.length > 0
+        ? `No extractable text found (pages without text: ${pagesWithoutText.join(', ')}). The document may be scanned and OCR is unavailable.`
+        : 'No extractable text found in document.');
+    }
 
-    console.log(`Processing ${chunks.length} chunks from ${originalFilename}`);
+    console.log(streaming
+      ? `Processing chunks from ${originalFilename} page by page (${chunking.strategy} chunking)`
+      : `Processing ${totalChunks} chunks from ${originalFilename} (${chunking.strategy} chunking)`);
+    onProgress({ storedChunks: 0, totalChunks });
 
-    // Save PDF to user_uploads folder
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const savedFilename = `${timestamp}_${originalFilename}`;
-    const permanentPath = path.join(USER_UPLOADS_DIR, savedFilename);
+    if (reindex) {
+      // The file is already in user_uploads
+      savedFilename = reindex.savedFilename;
+      permanentPath = reindex.filePath;
+    } else {
+      // Save PDF to user_uploads folder
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      savedFilename = `${timestamp}_${originalFilename}`;
+      permanentPath = path.join(USER_UPLOADS_DIR, savedFilename);
+
+      fs.copyFileSync(filePath, permanentPath);
+      savedFile = true;
+      console.log(`📄 PDF saved to: ${permanentPath}`);
+    }
 
-    // Copy file to permanent location
-    fs.copyFileSync(filePath, permanentPath);
-    console.log(`📄 PDF saved to: ${permanentPath}`);
+    // Process with controlled concurrency
+    const concurrencyLimit = 3; // Adjust based on your API limits
+    // Chunks per embedding request and per vector store batch
+    const batchSize = EMBEDDING_BATCH_SIZE;
 
-    // Process in smaller batches to handle rate limits
-    const batchSize = 5;
+    // Chunks waiting to be stored, numbered in document order
+    const queuedChunks = [];
+    let chunkCount = 0;
     let storedChunks = 0;
+    // Document type signals of all chunks; the type is set at the commit
+    const documentTypes = new Set();
 
-    for (let i = 0; i < chunks.length; i += batchSize) {
-      const batch = chunks.slice(i, i + batchSize);
+    // Process batches with limited concurrency
+    const processBatch = async (batch) => {
       const objects = [];
 
-      for (let j = 0; j < batch.length; j++) {
-        const chunk = batch[j];
-        const embedding = await generateEmbedding(chunk.text);
+      // One embedding request for the whole batch
+      const embeddings = await generateEmbeddings(batch.map(chunk => chunk.text));
 
+      // Create objects with embeddings
+      batch.forEach((chunk, j) => {
         objects.push({
-          class: 'PDFDocument',
+          // Fixed per chunk, so a batch that is retried overwrites instead of duplicating
+          id: generateUuid5(`${ingestionId}:${chunk.chunkIndex}`),
           properties: {
             content: chunk.text,
             filename: originalFilename,
-            savedFilename: savedFilename, // Store the saved filename with timestamp
-            pageNumber: Math.floor((chunk.start / text.length) * numPages) + 1,
-            chunkIndex: i + j,
+            savedFilename: savedFilename,
+            pageNumber: chunk.startPage,
+            startPage: chunk.startPage,
+            endPage: chunk.endPage,
+            chunkIndex: chunk.chunkIndex,
             totalPages: numPages,
-            totalChunks: chunks.length,
+            // Streamed documents only know their chunk count at the commit
+            ...(totalChunks !== null && { totalChunks }),
             chunkStart: chunk.start,
             chunkEnd: chunk.end,
             uploadDate: new Date().toISOString(),
-            filePath: permanentPath // Store the full path for future reference
+            filePath: permanentPath,
+            format,
+            ocr: chunk.ocr,
+            ...(chunk.ocr && { ocrConfidence: chunk.ocrConfidence }),
+            sectionNumber: chunk.sectionNumber,
+            sectionTitle: chunk.sectionTitle,
+            sectionPath: chunk.sectionPath,
+            chunkingStrategy: chunking.strategy,
+            chunkingParams: JSON.stringify(chunking.params),
+            tokenCount: chunk.tokenCount,
+            embeddingModel: embeddingProvider.model,
+            embeddingDimensions: embeddings[j].length,
+            ...chunkMetadata(chunk.text),
+            ...(tags.length > 0 && { tags }),
+            contentHash,
+            documentId,
+            documentName,
+            version,
+            superseded,
+            ingestionId,
+            ingestionOwner: owner,
+            pending: true,
+            ...metadata
           },
-          vector: embedding
+          vector: embeddings[j]
         });
-      }
+      });
 
-      await client.batch.objectsBatcher()
-        .withObjects(...objects)
-        .do();
+      // Store batch in the vector store; objects it rejects fail the ingestion
+      await vectorStore.upsert(objects);
 
       storedChunks += objects.length;
-      console.log(`Stored ${storedChunks}/${chunks.length} chunks`);
+      console.log(`Stored ${storedChunks}/${totalChunks !== null ? totalChunks : chunkCount} chunks`);
+      onProgress({ storedChunks, totalChunks });
+
+      return objects.length;
+    };
+
+    // Store queued chunks in groups of concurrently processed batches; `final` also stores the
+    // last, partial group
+    const storeQueuedChunks = async (final) => {
+      const groupSize = batchSize * concurrencyLimit;
+      while (queuedChunks.length >= groupSize || (final && queuedChunks.length > 0)) {
+        const group = queuedChunks.splice(0, groupSize);
+        const batchPromises = [];
+        for (let i = 0; i < group.length; i += batchSize) {
+          batchPromises.push(processBatch(group.slice(i, i + batchSize)));
+        }
+
+        // Wait for every batch in the group, so none is still writing when a failure is rolled back
+        const outcomes = await Promise.allSettled(batchPromises);
+        const failure = outcomes.find(outcome => outcome.status === 'rejected');
+        if (failure) throw failure.reason;
+      }
+    };
+
+    // Streamed chunks are embedded and stored while the rest of the document is still chunked
+    for await (const chunks of extraction.chunkGroups) {
+      chunks.forEach(chunk => {
+        queuedChunks.push({ ...chunk, chunkIndex: chunkCount++ });
+        documentTypeSignals(chunk.text).forEach(type => documentTypes.add(type));
+      });
+      await storeQueuedChunks(false);
+    }
+    await storeQueuedChunks(true);
+
+    // Another writer may have stored the same version meanwhile (reservations are per process)
+    if (reservedVersion !== null) {
+      await assertVersionAvailable(documentId, version, ingestionId);
+    }
+
+    // Commit: all chunks are stored, make them searchable (a reindex drops the chunks it replaces)
+    committing = true;
+    const { replaced } = await commitIngestion(ingestionId, {
+      replaces: reindex && reindex.savedFilename,
+      properties: { totalChunks: chunkCount, documentType: detectDocumentType(documentTypes) }
+    });
+    console.log(`✅ Committed ingestion ${ingestionId} (${chunkCount} chunks)`);
 
-      // Rate limiting delay
-      await new Promise(resolve => setTimeout(resolve, 200));
+    // Only retire older versions once the new one is fully stored
+    if (!superseded) {
+      await markPreviousVersionsSuperseded(documentId, version);
     }
 
     return {
       success: true,
-      chunksStored: chunks.length,
+      ingestionId,
+      chunksStored: chunkCount,
+      chunksReplaced: replaced,
       filename: originalFilename,
       savedFilename: savedFilename,
       savedPath: permanentPath,
-      pages: numPages
+      pages: numPages,
+      format,
+      chunking,
+      metadata,
+      sections: buildSectionTree(headings, extraction.textLength),
+      streaming,
+      ocrPages,
+      pagesWithoutText,
+      contentHash,
+      documentId,
+      version
     };
   } catch (error) {
-    throw new Error(`Failed to store PDF: ${error.message}`);
+    // Leave nothing half-indexed behind; a reindex keeps its file and its previous chunks
+    let rollback;
+    try {
+      rollback = await rollbackIngestion(ingestionId, { filePath: savedFile ? permanentPath : undefined });
+      // The commit may have started superseding older versions
+      if (committing && !reindex) {
+        await restoreLatestVersion(documentId);
+      }
+      if (rollback.chunksDeleted > 0 || rollback.fileRemoved) {
+        console.log(`↩️ Rolled back ingestion ${ingestionId}: removed ${rollback.chunksDeleted} chunks${rollback.fileRemoved ? ` and ${savedFilename}` : ''}`);
+      }
+    } catch (rollbackError) {
+      // Uncommitted chunks stay hidden from searches and are retried at the next startup
+      console.error(`❌ Rollback of ingestion ${ingestionId} failed:`, rollbackError.message);
+      rollback = { error: rollbackError.message };
+    }
+
+    // Keep codes such as PDF_PASSWORD_INVALID so clients and the job queue can act on them
+    const storeError = new Error(`Failed to store document: ${error.message}`);
+    ['code', 'status', 'retryable'].forEach(key => {
+      if (error[key] !== undefined) storeError[key] = error[key];
+    });
+    storeError.data = { ...error.data, ingestionId, rollback };
+    throw storeError;
+  } finally {
+    if (spool) removeSpool(spool.spoolPath);
+    // Committed or rolled back, the version no longer needs reserving
+    if (reservedVersion !== null) await releaseDocumentVersion(documentId, reservedVersion);
   }
 }
 
-async function storePDFInWeaviateParallel(filePath, originalFilename) {
-  try {
-    const { text, numPages } = await extractPDFText(filePath);
-    console.log(`Extracted ${numPages} pages from PDF: ${originalFilename}`);
-    const chunks = chunkTextWithOverlap(text, 1000, 100);
+// Background ingestion queue, persisted under ./jobs so uploads survive restarts
+const jobQueue = new JobQueue({
+  storePath: JOB_STORE_PATH,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+  // Completed and failed jobs are kept this long, and at most this many of them
+  retentionMs: parseFloat(process.env.JOB_RETENTION_DAYS || '7') * 24 * 60 * 60 * 1000,
+  maxFinishedJobs: parseInt(process.env.JOB_RETENTION_COUNT, 10) || 1000
+});
+
+// Jobs for encrypted PDFs get the password as an in-memory secret, which a restart loses
+function requirePassword(payload, secrets) {
+  if (payload.passwordProvided && !secrets.password) {
+    throw createPasswordError(1, 'The PDF password is not kept across server restarts; retry the job with its password or submit the document again.');
+  }
+  return secrets.password;
+}
 
-    console.log(`Processing ${chunks.length} chunks from ${originalFilename}`);
+// Ingest an uploaded PDF; the temp upload is only removed once it has been stored
+jobQueue.registerHandler('ingest-pdf', async (payload, reportProgress, job, secrets) => {
+  const { tempPath, originalFilename, mimeType, contentHash, documentName, tags, chunking } = payload;
 
-    // Save PDF to user_uploads folder
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const savedFilename = `${timestamp}_${originalFilename}`;
-    const permanentPath = path.join(USER_UPLOADS_DIR, savedFilename);
+  if (!fs.existsSync(tempPath)) {
+    throw new Error('Uploaded file is no longer available.');
+  }
 
-    fs.copyFileSync(filePath, permanentPath);
-    console.log(`📄 PDF saved to: ${permanentPath}`);
+  const result = await storePDFInWeaviateParallel(tempPath, originalFilename, {
+    mimeType,
+    contentHash,
+    documentName,
+    tags,
+    chunking,
+    password: requirePassword(payload, secrets),
+    onProgress: reportProgress
+  });
+  console.log(`✅ PDF processed: ${result.savedFilename} with ${result.chunksStored} chunks`);
 
-    // Process with controlled concurrency
-    const concurrencyLimit = 3; // Adjust based on your API limits
-    const batchSize = 5;
+  fs.unlinkSync(tempPath);
+  return result;
+});
 
-    // Create batches
-    const batches = [];
-    for (let i = 0; i < chunks.length; i += batchSize) {
-      batches.push(chunks.slice(i, i + batchSize));
-    }
+// Re-extract, re-chunk and re-embed a stored upload from its saved file
+jobQueue.registerHandler('reindex-pdf', async (payload, reportProgress, job, secrets) => {
+  const { savedFilename } = payload;
+  const password = requirePassword(payload, secrets);
 
-    let storedChunks = 0;
+  const [upload] = await findDocumentUploads({
+    path: ['savedFilename'],
+    operator: 'Equal',
+    valueString: savedFilename
+  });
+  if (!upload) {
+    throw new Error(`Document ${savedFilename} no longer exists.`);
+  }
+  if (!upload.filePath || !fs.existsSync(upload.filePath)) {
+    throw new Error(`Stored file for ${savedFilename} is missing.`);
+  }
 
-    // Process batches with limited concurrency
-    const processBatch = async (batch, batchIndex) => {
-      const objects = [];
+  // Fail early for an encrypted PDF without its password
+  await checkDocumentAccess(upload.filePath, upload.filename, undefined, { password });
+
+  // Store the new chunks under the same identity; the old ones stay searchable until the
+  // new ones are committed, and are kept if the reindex fails
+  const result = await storePDFInWeaviateParallel(upload.filePath, upload.filename, {
+    contentHash: upload.contentHash,
+    reindex: upload,
+    // Re-chunk with the requested strategy, or the one the document was stored with
+    chunking: payload.chunking || resolveStoredChunking(upload),
+    password,
+    onProgress: reportProgress
+  });
+  console.log(`✅ PDF reindexed: ${savedFilename} with ${result.chunksStored} chunks (replaced ${result.chunksReplaced})`);
 
-      // Generate embeddings in parallel for this batch
-      const embeddingPromises = batch.map(chunk => generateEmbedding(chunk.text));
-      const embeddings = await Promise.all(embeddingPromises);
+  return { ...result, chunksDeleted: result.chunksReplaced };
+});
 
-      // Create objects with embeddings
-      batch.forEach((chunk, j) => {
-        objects.push({
-          class: 'PDFDocument',
-          properties: {
-            content: chunk.text,
-            filename: originalFilename,
-            savedFilename: savedFilename,
-            pageNumber: Math.floor((chunk.start / text.length) * numPages) + 1,
-            chunkIndex: batchIndex * batchSize + j,
-            totalPages: numPages,
-            totalChunks: chunks.length,
-            chunkStart: chunk.start,
-            chunkEnd: chunk.end,
-            uploadDate: new Date().toISOString(),
-            filePath: permanentPath
-          },
-          vector: embeddings[j]
-        });
-      });
+// Only ever delete files that live inside user_uploads
+function isInUploadsDir(filePath) {
+  const uploadsDir = path.resolve(USER_UPLOADS_DIR);
+  return path.resolve(filePath).startsWith(uploadsDir + path.sep);
+}
 
-      // Store batch in Weaviate
-      await client.batch.objectsBatcher()
-        .withObjects(...objects)
-        .do();
+// Shape a job for API responses
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    filename: job.payload.originalFilename,
+    batchId: job.payload.batchId,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    errors: job.errors,
+    result: job.result,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    nextAttemptAt: job.nextAttemptAt
+  };
+}
 
-      storedChunks += objects.length;
-      console.log(`Stored ${storedChunks}/${chunks.length} chunks`);
+// Find an identical document that is already stored or still being ingested
+async function findDuplicateUpload(contentHash) {
+  const existingDocument = await findDocumentByHash(contentHash);
+  if (existingDocument) {
+    return { document: existingDocument };
+  }
 
-      return objects.length;
+  const pendingJob = jobQueue.list()
+    .find(job => job.payload.contentHash === contentHash &&
+      (job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.PROCESSING));
+  if (pendingJob) {
+    return { job: pendingJob };
+  }
+
+  return null;
+}
+
+// Summary of the document (or pending job) an upload duplicates
+function describeDuplicate(duplicate) {
+  if (duplicate.document) {
+    return {
+      filename: duplicate.document.filename,
+      savedFilename: duplicate.document.savedFilename,
+      uploadDate: duplicate.document.uploadDate,
+      totalPages: duplicate.document.totalPages,
+      totalChunks: duplicate.document.totalChunks,
+      documentId: duplicate.document.documentId,
+      version: duplicate.document.version
     };
+  }
 
-    // Process batches with controlled concurrency
-    for (let i = 0; i < batches.length; i += concurrencyLimit) {
-      const currentBatches = batches.slice(i, i + concurrencyLimit);
-      const batchPromises = currentBatches.map((batch, idx) =>
-        processBatch(batch, i + idx)
-      );
+  return {
+    jobId: duplicate.job.id,
+    state: duplicate.job.state,
+    statusUrl: `/jobs/${duplicate.job.id}`
+  };
+}
 
-      await Promise.all(batchPromises);
+// Validate, deduplicate and queue one uploaded file. Resolves to { duplicate: true, ... } when
+// the content is already known, otherwise { duplicate: false, job }. Rejected duplicates throw
+// an error with code DUPLICATE_DOCUMENT, encrypted PDFs without the right password an error
+// with code PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INVALID. The temp file is removed unless
+// a job now owns it.
+async function queueUploadedFile(tempPath, originalFilename, options = {}) {
+  const { onDuplicate = 'link', documentName, tags, batchId, mimeType, password, chunking } = options;
 
-      // Small delay between concurrent batch groups if needed
-      if (i + concurrencyLimit < batches.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+  try {
+    validateDocumentFile(tempPath, originalFilename, mimeType);
+
+    const contentHash = await hashFile(tempPath);
+    const duplicate = await findDuplicateUpload(contentHash);
+
+    if (duplicate) {
+      console.log(`♻️ Duplicate upload of ${originalFilename} (${contentHash})`);
+      fs.unlinkSync(tempPath);
+
+      const existing = describeDuplicate(duplicate);
+      if (onDuplicate === 'reject') {
+        const error = new Error('An identical document has already been uploaded');
+        error.code = 'DUPLICATE_DOCUMENT';
+        error.status = 409;
+        error.data = { contentHash, existing };
+        throw error;
       }
+
+      // Uploading archived content again makes that upload searchable again
+      if (duplicate.document && duplicate.document.archived) {
+        await unarchiveUploads([duplicate.document.savedFilename]);
+        console.log(`🗂️ Restored archived upload ${duplicate.document.savedFilename}`);
+      }
+
+      return { duplicate: true, contentHash, existing };
     }
 
+    // Fail fast on encrypted PDFs instead of queueing a job that cannot succeed
+    await checkDocumentAccess(tempPath, originalFilename, mimeType, { password });
+
+    // Queue for background processing; the temp file is cleaned up by the job.
+    // The password is only held in memory for the job, never in the job store.
+    const job = jobQueue.enqueue('ingest-pdf', {
+      tempPath,
+      originalFilename,
+      mimeType,
+      contentHash,
+      documentName,
+      tags,
+      batchId,
+      chunking,
+      passwordProvided: Boolean(password)
+    }, { secrets: password ? { password } : undefined });
+    console.log(`📋 Queued ingestion job ${job.id} for ${originalFilename}`);
+
+    return { duplicate: false, job };
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+// Per-file report entry for batch uploads
+async function queueBatchFile(tempPath, filename, options) {
+  try {
+    const result = await queueUploadedFile(tempPath, filename, options);
+    if (result.duplicate) {
+      return {
+        filename,
+        success: true,
+        status: 'duplicate',
+        contentHash: result.contentHash,
+        existing: result.existing
+      };
+    }
     return {
+      filename,
       success: true,
-      chunksStored: chunks.length,
-      filename: originalFilename,
-      savedFilename: savedFilename,
-      savedPath: permanentPath,
-      pages: numPages
+      status: 'queued',
+      jobId: result.job.id,
+      statusUrl: `/jobs/${result.job.id}`
     };
   } catch (error) {
-    throw new Error(`Failed to store PDF: ${error.message}`);
+    return {
+      filename,
+      success: false,
+      status: 'failed',
+      error: error.message,
+      ...(error.code && { code: error.code })
+    };
   }
 }
 
-// Initialize schema
-async function initializeSchema() {
-  try {
-    const schema = await client.schema.getter().do();
-    const classExists = schema.classes.some(cls => cls.class === 'PDFDocument');
+// Watch folders: documents dropped into these directories are ingested like uploads, changed
+// files become a new version and deleted files archive (or remove) their document
+const WATCH_FOLDERS = (process.env.WATCH_FOLDERS || '')
+  .split(path.delimiter)
+  .map(folder => folder.trim())
+  .filter(Boolean);
+
+const folderWatcher = new FolderWatcher({
+  folders: WATCH_FOLDERS,
+  statePath: process.env.WATCH_STATE_PATH || './jobs/watch-state.json',
+  intervalMs: parseInt(process.env.WATCH_INTERVAL_MS, 10) || 10000,
+  onDelete: process.env.WATCH_ON_DELETE || 'archive',
+  isSupported: filename => isSupportedFile(filename),
+  getJob: id => jobQueue.get(id),
+
+  // Queue a copy, so the job never depends on the watched file staying in place
+  ingest: async (filePath) => {
+    fs.mkdirSync('uploads', { recursive: true });
+    const tempPath = path.join('uploads', crypto.randomBytes(16).toString('hex'));
+    fs.copyFileSync(filePath, tempPath);
+
+    const result = await queueUploadedFile(tempPath, path.basename(filePath));
+    if (!result.duplicate) {
+      return { jobId: result.job.id };
+    }
+    // Identical content is already stored, or still being ingested, by another upload
+    const { jobId, documentId, savedFilename, version } = result.existing;
+    return jobId ? { jobId, linked: true } : { documentId, savedFilename, version, linked: true };
+  },
 
-    if (!classExists) {
-      await client.schema.classCreator().withClass(pdfSchema).do();
-      console.log('✅ Schema created successfully');
+  removeUploads: async (savedFilenames, mode) => {
+    if (mode === 'archive') {
+      await archiveUploads(savedFilenames);
     } else {
-      console.log('ℹ️ Schema already exists');
+      await deleteDocument(buildUploadsFilter(savedFilenames), { restoreLatest: true });
     }
+  }
+});
+
+// Create the schema, or bring an existing one up to date (see migrations.js). With
+// SCHEMA_MIGRATIONS_ON_STARTUP=false pending migrations are only listed.
+async function initializeSchema() {
+  try {
+    await migrateSchema(vectorStore, { dryRun: process.env.SCHEMA_MIGRATIONS_ON_STARTUP === 'false' });
   } catch (error) {
     console.error('Schema initialization failed:', error);
     throw error;
@@ -377,22 +744,43 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
       });
     }
 
-    // Validate PDF file
-    validatePDFFile(req.file.path, req.file.originalname);
     console.log(`📥 Received file: ${req.file.originalname}`);
 
-    // Process and store in Weaviate
-    // const result = await storePDFInWeaviate(req.file.path, req.file.originalname);
-    const result = await storePDFInWeaviateParallel(req.file.path, req.file.originalname);
-    console.log(`✅ PDF processed: ${result.savedFilename} with ${result.chunksStored} chunks`);
+    // What to do when identical content was already uploaded: 'link' (default) or 'reject'.
+    // password decrypts encrypted PDFs for extraction and is never stored.
+    const { onDuplicate = 'link', documentName, password, chunkingStrategy, chunkingParams } = req.body;
+    if (!['link', 'reject'].includes(onDuplicate)) {
+      throw new Error('onDuplicate must be either "link" or "reject".');
+    }
+    const chunking = resolveRequestChunking(chunkingStrategy, chunkingParams);
+    const tags = parseTags(req.body.tags);
+
+    const result = await queueUploadedFile(req.file.path, req.file.originalname, {
+      onDuplicate,
+      documentName,
+      tags,
+      password,
+      chunking,
+      mimeType: req.file.mimetype
+    });
 
-    // Clean up uploaded file
-    fs.unlinkSync(req.file.path);
+    if (result.duplicate) {
+      return res.json({
+        success: true,
+        message: 'Identical document already uploaded; linked to the existing document',
+        data: { duplicate: true, contentHash: result.contentHash, existing: result.existing }
+      });
+    }
 
-    res.json({
+    const { job } = result;
+    res.status(202).json({
       success: true,
-      message: 'PDF processed and stored successfully',
-      data: result
+      message: 'Document accepted for processing',
+      data: {
+        jobId: job.id,
+        state: job.state,
+        statusUrl: `/jobs/${job.id}`
+      }
     });
 
   } catch (error) {
@@ -401,6 +789,96 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
       fs.unlinkSync(req.file.path);
     }
 
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message,
+      ...(error.code && { code: error.code }),
+      ...(error.data && { data: error.data })
+    });
+  }
+});
+
+// Upload several PDFs and/or ZIP archives of PDFs in one request
+app.post('/upload/batch', batchUpload.array('files', MAX_BATCH_FILES), async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    console.log(`Batch upload request received with ${files.length} files`);
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded'
+      });
+    }
+
+    const { onDuplicate = 'link', chunkingStrategy, chunkingParams } = req.body;
+    if (!['link', 'reject'].includes(onDuplicate)) {
+      throw new Error('onDuplicate must be either "link" or "reject".');
+    }
+    const chunking = resolveRequestChunking(chunkingStrategy, chunkingParams);
+    // Tags apply to every file of the batch
+    const tags = parseTags(req.body.tags);
+
+    const batchId = crypto.randomUUID();
+    const report = [];
+
+    for (const file of files) {
+      if (!isZipFile(file.originalname)) {
+        report.push(await queueBatchFile(file.path, file.originalname, { onDuplicate, tags, batchId, chunking, mimeType: file.mimetype }));
+        continue;
+      }
+
+      // Unpack the archive and ingest each entry on its own
+      try {
+        const entries = extractZipEntries(file.path, 'uploads');
+        for (const entry of entries) {
+          const filename = entry.entryName;
+          if (entry.error) {
+            report.push({ filename, archive: file.originalname, success: false, status: 'failed', error: entry.error });
+            continue;
+          }
+          const entryReport = await queueBatchFile(entry.path, entry.name, { onDuplicate, tags, batchId, chunking });
+          report.push({ ...entryReport, filename, archive: file.originalname });
+        }
+      } catch (archiveError) {
+        report.push({
+          filename: file.originalname,
+          success: false,
+          status: 'failed',
+          error: archiveError.message
+        });
+      } finally {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      }
+    }
+
+    const summary = {
+      total: report.length,
+      queued: report.filter(r => r.status === 'queued').length,
+      duplicates: report.filter(r => r.status === 'duplicate').length,
+      failed: report.filter(r => r.status === 'failed').length
+    };
+    console.log(`📦 Batch ${batchId}: ${summary.queued} queued, ${summary.duplicates} duplicates, ${summary.failed} failed`);
+
+    res.status(summary.queued > 0 ? 202 : 200).json({
+      success: summary.failed < summary.total,
+      message: 'Batch processed',
+      data: {
+        batchId,
+        statusUrl: `/jobs?batchId=${batchId}`,
+        summary,
+        files: report
+      }
+    });
+  } catch (error) {
+    files.forEach(file => {
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    });
+
     res.status(400).json({
       success: false,
       error: error.message
@@ -408,11 +886,104 @@ app.post('/upload', upload.single('pdf'), async (req, res) => {
   }
 });
 
+// List ingestion jobs, optionally filtered by state or batch
+app.get('/jobs', (req, res) => {
+  const { state, batchId } = req.query;
+  const jobs = jobQueue.list(state)
+    .filter(job => !batchId || job.payload.batchId === batchId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(formatJob);
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      totalJobs: jobs.length
+    }
+  });
+});
+
+// Ingestion job status
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: formatJob(job)
+  });
+});
+
+// Retry a failed ingestion job. The password of an encrypted PDF is dropped when its job fails,
+// so it has to be sent again in the JSON body.
+app.post('/jobs/:id/retry', (req, res) => {
+  const existing = jobQueue.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  const { password } = req.body || {};
+  if (existing.payload.passwordProvided && !password) {
+    const error = createPasswordError(1, 'The PDF password is not kept once a job fails; send it as "password" to retry.');
+    return res.status(error.status).json({
+      success: false,
+      code: error.code,
+      error: error.message
+    });
+  }
+
+  try {
+    const job = jobQueue.retry(req.params.id, existing.payload.passwordProvided ? { secrets: { password } } : {});
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: formatJob(job)
+    });
+  } catch (error) {
+    res.status(409).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Watched folders and the processing state of every file in them
+app.get('/watch', (req, res) => {
+  const { status } = req.query;
+  const files = folderWatcher.list()
+    .filter(entry => !status || entry.status === status)
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  res.json({
+    success: true,
+    data: {
+      folders: folderWatcher.folders,
+      intervalMs: folderWatcher.intervalMs,
+      onDelete: folderWatcher.onDelete,
+      files,
+      totalFiles: files.length
+    }
+  });
+});
+
+// Model that answers /search queries, and the tokens reserved for its answer; the rest of its
+// context window is filled with search results
+const SEARCH_ANSWER_MODEL = getTaskModel('answer');
+const SEARCH_ANSWER_MAX_TOKENS = 1000;
+
 // Search endpoint
 app.post('/search', async (req, res) => {
   try {
     console.log('Search request received');
-    const { query, limit = 10, searchType = 'hybrid' } = req.body;
+    const { query, limit = 10, searchType = 'hybrid', documentId, version = 'latest', metadata, section, filters } = req.body;
 
     // Validate query input early
     if (!query || typeof query !== 'string') {
@@ -422,6 +993,39 @@ app.post('/search', async (req, res) => {
       });
     }
 
+    // Queries are embedded whole, never truncated
+    await loadEmbeddingTokenizer();
+    const queryTokens = countTokens(query);
+    if (queryTokens > EMBEDDING_MAX_TOKENS) {
+      const error = createTokenLimitError(queryTokens);
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    // Restrict to the latest document versions unless a version (or 'all') is requested,
+    // and optionally by document metadata (title, author, dates, ...), section and structured
+    // filters (see searchFilters.js)
+    let where;
+    try {
+      where = combineFilters(
+        buildVersionFilter({ documentId, version }),
+        buildMetadataFilter(metadata),
+        buildSectionFilter(section),
+        buildSearchFilter(filters)
+      );
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError.message
+      });
+    }
+
+    // Vectors of another model would be compared with the query vector as if they were comparable
+    await assertEmbeddingModel(where);
+
     // Enhance the user query using your enhancement function
     const enhancedQuery = query //await enhanceQuery(query);
     console.log(`Search query: "${query}", Enhanced query: "${enhancedQuery}", Limit: ${limit}, Search Type: ${searchType}`);
@@ -431,17 +1035,17 @@ app.post('/search', async (req, res) => {
     // Determine which search strategy to use
     switch (searchType.toLowerCase()) {
       case 'basic':
-        searchResults = await basicSearchPDFContent(enhancedQuery, limit);
+        searchResults = await basicSearchPDFContent(enhancedQuery, limit, { where });
         break;
       case 'advanced':
-        searchResults = await searchPDFContentAdvanced(enhancedQuery, limit, 0.7);
+        searchResults = await searchPDFContentAdvanced(enhancedQuery, limit, 0.7, { where });
         break;
       case 'smart':
-        searchResults = await smartSearchPDFContent(enhancedQuery, limit);
+        searchResults = await smartSearchPDFContent(enhancedQuery, limit, { where });
         break;
       case 'hybrid':
       default:
-        searchResults = await searchPDFContent(enhancedQuery, limit, 0);
+        searchResults = await searchPDFContent(enhancedQuery, limit, 0, { where });
         break;
     }
 
@@ -456,6 +1060,8 @@ app.post('/search', async (req, res) => {
     // const  = fuseSearchResults(searchResults, query);
     const finalSearchResults = searchResults.results.map(result => ({
       content: result.content,
+      label: formatSectionLabel(result),
+      tokenCount: result.tokenCount,
       // filename: result.filename,
       // savedFilename: result.savedFilename,
       // pageNumber: result.pageNumber,
@@ -471,39 +1077,53 @@ app.post('/search', async (req, res) => {
 
     // If search results exist, ask LLM to generate a response
     let llmResponse = null;
+    let contextUsage = null;
+    let sourceResults = searchResults.results;
 
     if (finalSearchResults && finalSearchResults.length > 0) {
-      try {
-        console.log('Sending request to OpenAI...');
-
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4',
-          messages: [
-            {
-              role: 'system',
-              content: `You are an assistant that must answer strictly based on the content of the provided PDF document search results.
+      // Pack as many results, best first, as fit in the context window
+      const { messages, usage } = assemblePrompt({
+        model: SEARCH_ANSWER_MODEL,
+        results: finalSearchResults,
+        maxResponseTokens: SEARCH_ANSWER_MAX_TOKENS,
+        buildMessages: context => [
+          {
+            role: 'system',
+            content: `You are an assistant that must answer strictly based on the content of the provided PDF document search results.
 Do not use any external knowledge, assumptions, paraphrasing, or inferred logic.
 Only use exact or clearly stated information from the search results.
 If the answer is not explicitly present, respond with:
 "Answer not found in the provided document."
 Do not attempt to guess, expand, or provide helpful context beyond what is given.`
-            },
-            {
-              role: 'user',
-              content: `Original Query: "${query}"
+          },
+          {
+            role: 'user',
+            content: `Original Query: "${query}"
 Enhanced Query: "${enhancedQuery}"
 
-Final Search Results: ${JSON.stringify(finalSearchResults, null, 2)}
+Final Search Results:
+
+${context}
 
 Your task is to answer the user's question ONLY based on the provided context, i.e., the final search results. 
 If the answer is not found in the provided context, you must respond with: "Answer not found in the provided document.". Please provide a concise and accurate answer.`
-            }
-          ],
+          }
+        ]
+      });
+      contextUsage = usage;
+      sourceResults = searchResults.results.slice(0, usage.resultsIncluded);
+      console.log(`Prompt: ${usage.promptTokens}/${usage.contextWindow - usage.maxResponseTokens} tokens, ${usage.resultsIncluded} of ${finalSearchResults.length} results`);
+
+      try {
+        console.log(`Sending request to ${SEARCH_ANSWER_MODEL}...`);
+
+        const completion = await createChatCompletion('answer', {
+          messages,
           temperature: 0.7,
-          max_tokens: 1000
+          max_tokens: SEARCH_ANSWER_MAX_TOKENS
         });
 
-        console.log('OpenAI API response received');
+        console.log('LLM response received');
         console.log('Completion object:', JSON.stringify(completion, null, 2));
 
         llmResponse = completion.choices?.[0]?.message?.content;
@@ -540,48 +1160,65 @@ If the answer is not found in the provided context, you must respond with: "Answ
         enhancedQuery,
         // searchResults: searchResults || [],
         aiResponse: llmResponse,
+        context: contextUsage,
+        sources: sourceResults.map(result => ({
+          filename: result.filename,
+          documentId: result.documentId,
+          startPage: result.startPage,
+          endPage: result.endPage,
+          section: formatSectionLabel(result)
+        })),
         // resultsCount: searchResults ? searchResults.length : 0
       }
     });
 
   } catch (error) {
     console.error('Search endpoint error:', error);
-    return res.status(500).json({
+    return res.status(error.status || 500).json({
       success: false,
       error: 'An error occurred while processing the search request.',
-      details: error.message
+      code: error.code,
+      details: error.message,
+      ...(error.code === 'EMBEDDING_MODEL_MISMATCH' && { data: error.data })
     });
   }
 });
 
 
 // Get document statistics
+// Chunks by state; every chunk is in exactly one. `searchable` are those a default search covers:
+// committed, of the latest version and not archived.
+async function countChunksByState() {
+  const committed = (...operands) => ({ operator: 'And', operands: [COMMITTED_FILTER, ...operands] });
+  const [total, searchable, pending, superseded, archived] = await Promise.all([
+    vectorStore.count(),
+    vectorStore.count(searchFilter(buildVersionFilter())),
+    vectorStore.count({ path: ['pending'], operator: 'Equal', valueBoolean: true }),
+    vectorStore.count(committed(
+      { path: ['superseded'], operator: 'Equal', valueBoolean: true },
+      { path: ['archived'], operator: 'NotEqual', valueBoolean: true }
+    )),
+    vectorStore.count(committed({ path: ['archived'], operator: 'Equal', valueBoolean: true }))
+  ]);
+  return { total, searchable, pending, superseded, archived };
+}
+
 app.get('/stats', async (req, res) => {
   try {
-    const totalResult = await client.graphql
-      .aggregate()
-      .withClassName('PDFDocument')
-      .withFields('meta { count }')
-      .do();
+    const chunks = await countChunksByState();
 
+    console.log('Chunks by state:', chunks);
 
-    console.log('Total documents:', JSON.stringify(totalResult, null, 2));
-
-    const uniqueResult = await client.graphql
-      .aggregate()
-      .withClassName('PDFDocument')
-      .withFields('filename { count }')
-      .withGroupBy(['filename'])
-      .do();
-
-
-      console.log('Total uniqueResult:=====>', JSON.stringify(uniqueResult, null, 2));
+    // Files with searchable chunks, as searches see them
+    const files = await vectorStore.aggregate({ where: searchFilter(buildVersionFilter()), groupBy: 'filename' });
 
     res.json({
       success: true,
       data: {
-        totalChunks: totalResult.data.Aggregate.PDFDocument?.[0]?.meta?.count || 0,
-        uniqueFiles: uniqueResult.data.Aggregate.PDFDocument?.length || 0,
+        totalChunks: chunks.searchable,
+        uniqueFiles: files.length,
+        chunks,
+        embeddingCache: embeddingCache.stats()
       }
     });
   } catch (error) {
@@ -592,6 +1229,27 @@ app.get('/stats', async (req, res) => {
   }
 });
 
+// Purge the embedding cache, e.g. after changing the embedding model: all of it, or only the
+// vectors of ?model=
+app.delete('/embedding-cache', async (req, res) => {
+  try {
+    const model = req.query.model || null;
+    const entriesRemoved = await embeddingCache.purge(model);
+    console.log(`🧹 Purged ${entriesRemoved} cached embeddings${model ? ` of ${model}` : ''}`);
+
+    res.json({
+      success: true,
+      message: `Removed ${entriesRemoved} cached embeddings.`,
+      data: { model, entriesRemoved, ...embeddingCache.stats() }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Health check route
 app.get('/check', (req, res) => {
   res.json({
@@ -616,26 +1274,41 @@ app.get('/files', async (req, res) => {
       };
     });
 
-    // Get unique files from Weaviate
-    const weaviateResult = await client.graphql
-      .get()
-      .withClassName('PDFDocument')
-      .withFields('filename savedFilename uploadDate totalPages')
-      .withLimit(1000)
-      .do();
+    // Get unique files from the vector store
+    const storedChunks = await vectorStore.find({
+      fields: ['filename', 'savedFilename', 'uploadDate', 'totalPages', 'documentId', 'documentName', 'version', 'superseded', 'archived', 'chunkingStrategy', 'chunkingParams', 'tags', 'title', 'author', 'subject', 'producer', 'creationDate', 'modificationDate'],
+      where: COMMITTED_FILTER,
+      limit: 1000
+    });
 
     const weaviateFiles = [];
     const seen = new Set();
 
-    if (weaviateResult.data.Get.PDFDocument) {
-      weaviateResult.data.Get.PDFDocument.forEach(doc => {
-        if (!seen.has(doc.filename)) {
-          seen.add(doc.filename);
+    if (storedChunks.length > 0) {
+      storedChunks.forEach(doc => {
+        // One entry per stored upload, so every version of a document is listed
+        const key = doc.savedFilename || doc.filename;
+        if (!seen.has(key)) {
+          seen.add(key);
           weaviateFiles.push({
             originalFilename: doc.filename,
             savedFilename: doc.savedFilename,
             uploadDate: doc.uploadDate,
-            totalPages: doc.totalPages
+            totalPages: doc.totalPages,
+            documentId: doc.documentId,
+            documentName: doc.documentName,
+            version: doc.version,
+            superseded: doc.superseded === true,
+            archived: doc.archived === true,
+            tags: doc.tags || [],
+            chunking: doc.chunkingStrategy
+              ? { strategy: doc.chunkingStrategy, params: JSON.parse(doc.chunkingParams || '{}') }
+              : null,
+            metadata: Object.fromEntries(
+              ['title', 'author', 'subject', 'producer', 'creationDate', 'modificationDate']
+                .filter(field => doc[field])
+                .map(field => [field, doc[field]])
+            )
           });
         }
       });
@@ -658,13 +1331,166 @@ app.get('/files', async (req, res) => {
   }
 });
 
+// Delete the chunks and saved files of the uploads matching `where` (see buildDocumentFilter).
+// With `restoreLatest` (only some versions deleted) the latest remaining version becomes
+// current. Resolves to null when nothing matches.
+async function deleteDocument(where, { restoreLatest = false } = {}) {
+  const uploads = await findDocumentUploads(where);
+  if (uploads.length === 0) return null;
+
+  const chunksDeleted = await deleteChunks(where);
+
+  const filesDeleted = [];
+  uploads.forEach(upload => {
+    if (upload.filePath && isInUploadsDir(upload.filePath) && fs.existsSync(upload.filePath)) {
+      fs.unlinkSync(upload.filePath);
+      filesDeleted.push(upload.savedFilename);
+    }
+  });
+
+  // Deleting some versions may have removed the current one
+  const documentId = uploads[0].documentId;
+  let latestVersion = null;
+  if (restoreLatest && documentId) {
+    latestVersion = await restoreLatestVersion(documentId);
+  }
+
+  return {
+    documentId,
+    versionsDeleted: uploads.map(upload => upload.version).filter(Boolean),
+    chunksDeleted,
+    filesDeleted,
+    latestVersion
+  };
+}
+
+// Delete a document (all versions, or one with ?version=N) and its saved PDFs
+app.delete('/files/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version } = req.query;
+
+    let where;
+    try {
+      where = buildDocumentFilter(id, version);
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError.message
+      });
+    }
+
+    const deleted = await deleteDocument(where, { restoreLatest: Boolean(version) });
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    console.log(`🗑️ Deleted ${id}${version ? ` v${version}` : ''}: ${deleted.chunksDeleted} chunks, ${deleted.filesDeleted.length} files`);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully',
+      data: {
+        id,
+        ...deleted
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-extract, re-chunk and re-embed a stored document (latest version by default)
+app.post('/files/:id/reindex', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { version = 'latest' } = { ...req.query, ...req.body };
+    // Encrypted PDFs need their password again; only accepted in the body, never the URL
+    const { password, chunkingStrategy, chunkingParams } = req.body || {};
+
+    // Optional new chunking; by default each upload is re-chunked the way it was stored
+    let chunking;
+    try {
+      chunking = chunkingStrategy || chunkingParams
+        ? resolveRequestChunking(chunkingStrategy, chunkingParams)
+        : undefined;
+    } catch (chunkingError) {
+      return res.status(400).json({
+        success: false,
+        error: chunkingError.message
+      });
+    }
+
+    let where;
+    try {
+      where = buildDocumentFilter(id, ['latest', 'all'].includes(version) ? undefined : version);
+    } catch (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError.message
+      });
+    }
+
+    let uploads = await findDocumentUploads(where);
+    if (uploads.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    if (version === 'latest') {
+      uploads = [uploads.find(upload => upload.superseded !== true) || uploads[uploads.length - 1]];
+    }
+
+    for (const upload of uploads) {
+      if (upload.filePath && fs.existsSync(upload.filePath)) {
+        await checkDocumentAccess(upload.filePath, upload.filename, undefined, { password });
+      }
+    }
+
+    const jobs = uploads.map(upload => jobQueue.enqueue('reindex-pdf', {
+      savedFilename: upload.savedFilename,
+      originalFilename: upload.filename,
+      chunking,
+      passwordProvided: Boolean(password)
+    }, { secrets: password ? { password } : undefined }));
+    console.log(`📋 Queued ${jobs.length} reindex job(s) for ${id}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Reindexing queued',
+      data: {
+        id,
+        jobs: jobs.map(job => ({
+          jobId: job.id,
+          savedFilename: job.payload.savedFilename,
+          statusUrl: `/jobs/${job.id}`
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
         success: false,
-        error: 'File too large. Maximum size is 50MB.'
+        error: `File too large. Maximum size is ${MAX_UPLOAD_MB}MB.`
       });
     }
   }
@@ -675,18 +1501,44 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Roll back ingestions this server stopped in the middle of (their jobs are retried by the queue)
+// and stale ones of other servers; ingestions other servers are still running are left alone
+async function recoverPendingIngestions(instanceId = INSTANCE_ID) {
+  const staleBefore = Date.now() - INGESTION_STALE_MINUTES * 60 * 1000;
+  const ingestions = (await findPendingIngestions()).filter(({ owner, lastStoredAt }) =>
+    owner === instanceId || !lastStoredAt || lastStoredAt.getTime() < staleBefore);
+
+  for (const { ingestionId, filePath } of ingestions) {
+    const rollback = await rollbackIngestion(ingestionId, {
+      filePath: filePath && isInUploadsDir(filePath) ? filePath : undefined
+    });
+    console.log(`↩️ Rolled back interrupted ingestion ${ingestionId}: removed ${rollback.chunksDeleted} chunks${rollback.fileRemoved ? ` and ${filePath}` : ''}`);
+  }
+}
+
 // Start server
 async function startServer() {
   try {
     await initializeSchema();
+    // Fail now rather than on the first upload when the tokenizer cannot be loaded
+    await loadEmbeddingTokenizer();
+    await recoverPendingIngestions();
+    jobQueue.start();
+    folderWatcher.start();
 
     const PORT = process.env.PORT || 3000;
     app.listen(PORT, () => {
       console.log(`🚀 Graviti Reg Search running on port ${PORT}`);
       console.log(`📄 Upload PDFs: POST /upload`);
+      console.log(`📦 Batch Upload (PDFs/ZIP): POST /upload/batch`);
+      console.log(`📋 Job Status: GET /jobs/:id`);
       console.log(`🔍 Search: POST /search`);
       console.log(`📊 Stats: GET /stats`);
+      console.log(`🧹 Purge Embedding Cache: DELETE /embedding-cache`);
       console.log(`📁 Files: GET /files`);
+      console.log(`🗑️ Delete File: DELETE /files/:id`);
+      console.log(`🔄 Reindex File: POST /files/:id/reindex`);
+      console.log(`👀 Watch Folders: GET /watch`);
       console.log(`❤️ Health Check: GET /check`);
     });
   } catch (error) {
@@ -695,8 +1547,10 @@ async function startServer() {
   }
 }
 
-// Start the application
-startServer();
+// Start the application (unless required, as by the tests)
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = {
   app,
@@ -709,6 +1563,10 @@ module.exports = {
   smartSearchPDFContent,
   validatePDFFile,
   extractPDFText,
-  storePDFInWeaviate,
+  storePDFInWeaviateParallel,
+  recoverPendingIngestions,
+  INSTANCE_ID,
+  jobQueue,
+  folderWatcher,
   chunkTextWithOverlap
 };
\ No newline at end of file
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Job states
+const JOB_STATES = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local job queue persisted to a JSON file so queued work survives restarts.
+// Finished (completed or failed) jobs are kept for retentionMs, and at most maxFinishedJobs of
+// them, so the store does not grow with every job ever run. Progress is saved at most every
+// progressPersistMs; state changes are saved right away.
+class JobQueue {
+  constructor(options = {}) {
+    const {
+      storePath = './jobs/jobs.json',
+      concurrency = 1,
+      maxAttempts = 3,
+      retryDelayMs = 5000,
+      retentionMs = 7 * DAY_MS,
+      maxFinishedJobs = 1000,
+      progressPersistMs = 2000
+    } = options;
+
+    this.storePath = storePath;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.retentionMs = retentionMs;
+    this.maxFinishedJobs = maxFinishedJobs;
+    this.progressPersistMs = progressPersistMs;
+    this.persistTimer = null;
+    this.handlers = {};
+    this.jobs = new Map();
+    // Per-job secrets (e.g. PDF passwords) are kept in memory only and never persisted
+    this.secrets = new Map();
+    this.running = 0;
+    this.started = false;
+
+    this.load();
+  }
+
+  // Load persisted jobs; anything left mid-processing by a crash goes back to the queue
+  load() {
+    if (!fs.existsSync(this.storePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      saved.forEach(job => {
+        if (job.state === JOB_STATES.PROCESSING) {
+          job.state = JOB_STATES.QUEUED;
+          job.updatedAt = new Date().toISOString();
+        }
+        this.jobs.set(job.id, job);
+      });
+      this.prune();
+      console.log(`📋 Loaded ${this.jobs.size} jobs from ${this.storePath}`);
+    } catch (error) {
+      console.error('Failed to load job queue:', error.message);
+    }
+  }
+
+  // Drop finished jobs past the retention period, and the oldest beyond maxFinishedJobs
+  prune() {
+    const expiredBefore = Date.now() - this.retentionMs;
+    this.list()
+      .filter(job => job.state === JOB_STATES.COMPLETED || job.state === JOB_STATES.FAILED)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .forEach((job, index) => {
+        if (index >= this.maxFinishedJobs || new Date(job.updatedAt).getTime() < expiredBefore) {
+          this.jobs.delete(job.id);
+          this.secrets.delete(job.id);
+        }
+      });
+  }
+
+  // Write all jobs to disk (write-then-rename so a crash never leaves a half-written file),
+  // after dropping the finished jobs no longer kept
+  persist() {
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+    }
+    this.prune();
+
+    const dir = path.dirname(this.storePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Array.from(this.jobs.values()), null, 2));
+    fs.renameSync(tmpPath, this.storePath);
+  }
+
+  // Persist within progressPersistMs, once for any number of changes until then
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persist(), this.progressPersistMs);
+    // Pending progress alone does not keep the process alive
+    this.persistTimer.unref();
+  }
+
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  // Add a job and return it immediately; processing happens in the background.
+  // options.secrets are handed to the handler but never written to the job store,
+  // so they are lost on restart.
+  enqueue(type, payload, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      state: JOB_STATES.QUEUED,
+      payload,
+      progress: { storedChunks: 0, totalChunks: 0 },
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.maxAttempts,
+      errors: [],
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    if (options.secrets) {
+      this.secrets.set(job.id, options.secrets);
+    }
+    this.persist();
+    this.tick();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list(state) {
+    const jobs = Array.from(this.jobs.values());
+    return state ? jobs.filter(job => job.state === state) : jobs;
+  }
+
+  update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.persist();
+  }
+
+  // Put a failed job back on the queue with a fresh set of attempts. Secrets don't outlive a
+  // failed job, so options.secrets must be given again for a job that needs them.
+  retry(id, options = {}) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      throw new Error('Job not found.');
+    }
+    if (job.state !== JOB_STATES.FAILED) {
+      throw new Error(`Only failed jobs can be retried (job is ${job.state}).`);
+    }
+
+    if (options.secrets) {
+      this.secrets.set(job.id, options.secrets);
+    }
+    this.update(job, {
+      state: JOB_STATES.QUEUED,
+      attempts: 0,
+      nextAttemptAt: null,
+      progress: { storedChunks: 0, totalChunks: 0 }
+    });
+    this.tick();
+    return job;
+  }
+
+  start() {
+    this.started = true;
+
+    // Wake up again for jobs that were waiting on a retry delay before the restart
+    this.list(JOB_STATES.QUEUED)
+      .filter(job => job.nextAttemptAt)
+      .forEach(job => {
+        const delay = Math.max(0, new Date(job.nextAttemptAt).getTime() - Date.now());
+        setTimeout(() => this.tick(), delay);
+      });
+
+    this.tick();
+  }
+
+  // Pick up queued jobs while there is free capacity
+  tick() {
+    if (!this.started) return;
+
+    const now = Date.now();
+    const ready = this.list(JOB_STATES.QUEUED)
+      .filter(job => !job.nextAttemptAt || new Date(job.nextAttemptAt).getTime() <= now)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    while (this.running < this.concurrency && ready.length > 0) {
+      this.run(ready.shift());
+    }
+  }
+
+  async run(job) {
+    const handler = this.handlers[job.type];
+    if (!handler) {
+      this.update(job, {
+        state: JOB_STATES.FAILED,
+        errors: [...job.errors, { attempt: job.attempts, message: `No handler for job type "${job.type}"`, at: new Date().toISOString() }]
+      });
+      return;
+    }
+
+    this.running++;
+    this.update(job, { state: JOB_STATES.PROCESSING, attempts: job.attempts + 1 });
+    console.log(`⚙️ Job ${job.id} (${job.type}) started, attempt ${job.attempts}/${job.maxAttempts}`);
+
+    const reportProgress = (progress) => {
+      Object.assign(job, { progress: { ...job.progress, ...progress }, updatedAt: new Date().toISOString() });
+      this.schedulePersist();
+    };
+
+    try {
+      const result = await handler(job.payload, reportProgress, job, this.secrets.get(job.id) || {});
+      this.update(job, { state: JOB_STATES.COMPLETED, result, nextAttemptAt: null });
+      this.secrets.delete(job.id);
+      console.log(`✅ Job ${job.id} completed`);
+    } catch (error) {
+      const errors = [...job.errors, {
+        attempt: job.attempts,
+        message: error.message,
+        ...(error.code && { code: error.code }),
+        at: new Date().toISOString()
+      }];
+
+      // Errors flagged as not retryable (e.g. a wrong PDF password) fail the job right away
+      if (job.attempts < job.maxAttempts && error.retryable !== false) {
+        // Exponential backoff between automatic retries
+        const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+        this.update(job, {
+          state: JOB_STATES.QUEUED,
+          errors,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+        console.log(`🔁 Job ${job.id} failed, retrying in ${delay}ms: ${error.message}`);
+        setTimeout(() => this.tick(), delay);
+      } else {
+        this.update(job, { state: JOB_STATES.FAILED, errors });
+        this.secrets.delete(job.id);
+        console.error(`❌ Job ${job.id} failed after ${job.attempts} attempts: ${error.message}`);
+      }
+    } finally {
+      this.running--;
+      this.tick();
+    }
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JOB_STATES
+};
@@ -0,0 +1,99 @@
+// Chat model providers. A provider is
+//   { name, complete(params) -> Promise<chat completion> }
+// where params and the result have the shape of the OpenAI chat completions API, and is chosen
+// with LLM_PROVIDER. Rate limits and retries are handled by createChatCompletion (utility.js).
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const { countChatTokens, countTokens } = require('./tokenizer');
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+// Model per task: answering /search queries, rewriting queries (enhancement, variations and
+// expansion) and synthesizing or comparing several documents. LLM_MODEL sets all of them, e.g.
+// to the one model an OpenAI-compatible server runs.
+const LLM_TASK_MODELS = {
+  answer: process.env.LLM_ANSWER_MODEL || process.env.LLM_MODEL || 'gpt-4',
+  query: process.env.LLM_QUERY_MODEL || process.env.LLM_MODEL || 'gpt-3.5-turbo',
+  synthesis: process.env.LLM_SYNTHESIS_MODEL || process.env.LLM_MODEL || 'gpt-4'
+};
+
+const providers = new Map();
+
+// `create(options)` returns a provider; options are { openai } (see utility.js)
+function registerLLMProvider(name, create) {
+  providers.set(name, create);
+}
+
+function createLLMProvider(name, options) {
+  const create = providers.get(name);
+  if (!create) {
+    throw new Error(`Unknown LLM provider "${name}". Use one of: ${Array.from(providers.keys()).join(', ')}`);
+  }
+  return create(options);
+}
+
+function getTaskModel(task) {
+  const model = LLM_TASK_MODELS[task];
+  if (!model) {
+    throw new Error(`Unknown LLM task "${task}". Use one of: ${Object.keys(LLM_TASK_MODELS).join(', ')}`);
+  }
+  return model;
+}
+
+// OpenAI chat completions API
+registerLLMProvider('openai', ({ openai }) => ({
+  name: 'openai',
+  complete: params => openai.chat.completions.create(params)
+}));
+
+// Any server with an OpenAI-compatible /v1/chat/completions endpoint (vLLM, Ollama, llama.cpp,
+// LM Studio, ...), e.g. on-prem so confidential documents never leave the network.
+// LLM_BASE_URL is the API root, e.g. http://localhost:11434/v1; LLM_API_KEY if the server wants one.
+registerLLMProvider('openai-compatible', () => {
+  if (!process.env.LLM_BASE_URL) {
+    throw new Error('LLM_BASE_URL is required for the openai-compatible LLM provider');
+  }
+  const client = new OpenAI({
+    baseURL: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY || 'none',
+    // Retries are handled by createChatCompletion
+    maxRetries: 0
+  });
+
+  return {
+    name: 'openai-compatible',
+    complete: params => client.chat.completions.create(params)
+  };
+});
+
+// Deterministic stand-in for tests and offline runs: no network, and the same messages always
+// get the same answer. The answer names a digest of the request and repeats the start of the
+// last user message, so a test can tell which prompt produced it.
+registerLLMProvider('fake', () => ({
+  name: 'fake',
+  complete: async (params) => {
+    const { model, messages } = params;
+    const digest = crypto.createHash('sha256').update(JSON.stringify({ model, messages })).digest('hex');
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const content = `[fake ${model} ${digest.slice(0, 12)}] ${lastUser ? lastUser.content.slice(0, 200) : ''}`.trim();
+
+    const promptTokens = countChatTokens(messages, model);
+    const completionTokens = countTokens(content, model);
+    return {
+      id: `fake-${digest.slice(0, 24)}`,
+      object: 'chat.completion',
+      created: 0,
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+    };
+  }
+}));
+
+module.exports = {
+  LLM_PROVIDER,
+  LLM_TASK_MODELS,
+  registerLLMProvider,
+  createLLMProvider,
+  getTaskModel
+};
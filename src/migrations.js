@@ -0,0 +1,329 @@
+// Versioned migrations of the PDFDocument schema. A collection records the migrations applied to
+// it (the vector store's getMigrations/recordMigration); migrateSchema applies the pending ones in
+// order, at startup (unless SCHEMA_MIGRATIONS_ON_STARTUP=false) or with
+//   node src/migrations.js [--dry-run]
+// New collections are created with the whole current schema (schema.js) at the latest version.
+// A migration adds properties, named from pdfSchema, and can backfill existing objects. Both
+// steps skip what is already done, so an interrupted migration can simply be run again.
+// Collections created before migrations existed have only the baseline properties (content,
+// filename, savedFilename, pageNumber, chunkIndex, totalPages, totalChunks, chunkStart, chunkEnd,
+// uploadDate, filePath); the migrations add everything else.
+const fs = require('fs');
+const { pdfSchema } = require('./schema');
+const { chunkMetadata, documentTypeSignals, detectDocumentType } = require('./chunkMetadata');
+const { hashFile, getLogicalDocumentName, toDocumentId } = require('./documents');
+
+const RANKING_PROPERTIES = ['documentType', 'keywords', 'summary', 'importance', 'wordCount'];
+const VERSION_PROPERTIES = ['contentHash', 'documentId', 'documentName', 'version', 'superseded'];
+
+// In version order, one apart
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'ranking-metadata',
+    description: 'Document type and chunk keywords, summary, importance and word count used by enhanced search ranking',
+    properties: RANKING_PROPERTIES,
+    backfill: backfillRankingMetadata
+  },
+  {
+    version: 2,
+    name: 'document-tags',
+    description: 'Tags given at upload, for search filters (documents stored before have none)',
+    properties: ['tags']
+  },
+  {
+    version: 3,
+    name: 'page-ranges',
+    description: 'First and last page of each chunk (a chunk can span pages)',
+    properties: ['startPage', 'endPage'],
+    backfill: backfillPageRanges
+  },
+  {
+    version: 4,
+    name: 'document-versions',
+    description: 'Document identity, version and content hash; uploads of the same document are numbered by upload date and all but the latest superseded',
+    properties: VERSION_PROPERTIES,
+    backfill: backfillDocumentVersions
+  },
+  {
+    version: 5,
+    name: 'document-format-and-metadata',
+    description: 'Source format, OCR and the document metadata (title, author, subject, producer, dates); earlier uploads are PDFs without OCR',
+    properties: ['format', 'ocr', 'ocrConfidence', 'title', 'author', 'subject', 'producer', 'creationDate', 'modificationDate'],
+    backfill: backfillFormat
+  },
+  {
+    version: 6,
+    name: 'sections-and-chunking',
+    description: 'Section of each chunk, the chunking it was split with and its token count (unknown for documents stored before)',
+    properties: ['sectionNumber', 'sectionTitle', 'sectionPath', 'chunkingStrategy', 'chunkingParams', 'tokenCount']
+  },
+  {
+    version: 7,
+    name: 'ingestion-state',
+    description: 'Ingestion of each chunk and its pending and archived flags; chunks stored before are committed and not archived',
+    properties: ['ingestionId', 'pending', 'archived'],
+    backfill: backfillIngestionState
+  },
+  {
+    version: 8,
+    name: 'embedding-model',
+    description: 'Embedding model and dimensions of each chunk (chunks stored before count as text-embedding-3-small)',
+    properties: ['embeddingModel', 'embeddingDimensions']
+  },
+  {
+    version: 9,
+    name: 'ingestion-owner',
+    description: 'Server instance that ran each ingestion, so recovery leaves other servers\' ingestions alone (chunks stored before have none)',
+    properties: ['ingestionOwner']
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
+
+// Backfills get the store and { dryRun, properties }, `properties` being the property names the
+// collection has (a dry run can't read the ones it has not added), and return the number of
+// chunks backfilled (or that would be).
+
+// The chunks of every stored upload, upload by upload: [{ savedFilename, chunks }] with the
+// `fields` the collection has
+async function findUploads(store, fields, properties) {
+  const uploads = await store.aggregate({ groupBy: 'savedFilename' });
+  const present = fields.filter(name => properties.has(name));
+  const found = [];
+  for (const { groupedBy: savedFilename } of uploads) {
+    const chunks = await store.find({
+      where: { path: ['savedFilename'], operator: 'Equal', valueString: savedFilename },
+      fields: present,
+      limit: 10000
+    });
+    found.push({ savedFilename, chunks });
+  }
+  return found;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+// Set the `values` a chunk doesn't have yet (all of them in a dry run, where the properties may
+// not exist). Returns whether it was missing any.
+async function fillMissing(store, chunk, values, dryRun) {
+  const missing = Object.keys(values).filter(name => isMissing(chunk[name]) && values[name] !== undefined);
+  if (missing.length === 0) return false;
+  if (!dryRun) {
+    await store.update(chunk._additional.id, Object.fromEntries(missing.map(name => [name, values[name]])));
+  }
+  return true;
+}
+
+// Fill in the ranking metadata of chunks stored without it: the document type comes from all
+// chunks of an upload, the rest from each chunk's content
+async function backfillRankingMetadata(store, { dryRun, properties }) {
+  let backfilled = 0;
+  for (const { chunks } of await findUploads(store, ['content', ...RANKING_PROPERTIES], properties)) {
+    const signals = new Set();
+    chunks.forEach(chunk => documentTypeSignals(chunk.content || '').forEach(type => signals.add(type)));
+    const documentType = detectDocumentType(signals);
+
+    for (const chunk of chunks) {
+      if (RANKING_PROPERTIES.every(name => !isMissing(chunk[name]))) continue;
+      const values = { documentType, ...chunkMetadata(chunk.content || '') };
+      if (await fillMissing(store, chunk, values, dryRun)) backfilled++;
+    }
+  }
+  return backfilled;
+}
+
+// Chunks stored before page ranges covered a single page
+async function backfillPageRanges(store, { dryRun, properties }) {
+  let backfilled = 0;
+  for (const { chunks } of await findUploads(store, ['pageNumber', 'startPage', 'endPage'], properties)) {
+    for (const chunk of chunks) {
+      if (isMissing(chunk.pageNumber)) continue;
+      const values = { startPage: chunk.pageNumber, endPage: chunk.pageNumber };
+      if (await fillMissing(store, chunk, values, dryRun)) backfilled++;
+    }
+  }
+  return backfilled;
+}
+
+// Give uploads stored before versioning the identity the upload path would have given them: the
+// document comes from the filename, versions are numbered by upload date after those the
+// document already has, and only its newest upload stays current. The content hash is computed
+// from the stored file while it is still there. An upload whose chunks were partly backfilled
+// (an interrupted run) keeps the version its chunks already have.
+async function backfillDocumentVersions(store, { dryRun, properties }) {
+  const uploads = await findUploads(store, ['filename', 'uploadDate', 'filePath', ...VERSION_PROPERTIES], properties);
+  const latestVersions = new Map();
+  const unversioned = new Map();
+
+  for (const upload of uploads) {
+    const versioned = upload.chunks.find(chunk => chunk.documentId && !isMissing(chunk.version));
+    if (versioned) {
+      upload.identity = versioned;
+      latestVersions.set(versioned.documentId, Math.max(latestVersions.get(versioned.documentId) || 0, versioned.version));
+      continue;
+    }
+    const first = upload.chunks[0];
+    if (!first || !first.filename) continue;
+    const documentName = getLogicalDocumentName(first.filename);
+    const documentId = toDocumentId(documentName);
+    if (!unversioned.has(documentId)) unversioned.set(documentId, []);
+    unversioned.get(documentId).push({ upload, documentName, uploadDate: first.uploadDate || '' });
+  }
+
+  for (const [documentId, documentUploads] of unversioned) {
+    const previous = latestVersions.get(documentId) || 0;
+    documentUploads
+      .sort((a, b) => String(a.uploadDate).localeCompare(String(b.uploadDate)))
+      .forEach(({ upload, documentName }, index) => {
+        upload.identity = {
+          documentId,
+          documentName,
+          version: previous + index + 1,
+          // Versions stored with versioning are newer than the uploads from before it
+          superseded: previous > 0 || index < documentUploads.length - 1
+        };
+      });
+  }
+
+  let backfilled = 0;
+  for (const { chunks, identity } of uploads) {
+    if (!identity) continue;
+    const incomplete = chunks.filter(chunk => VERSION_PROPERTIES.some(name => isMissing(chunk[name])));
+    if (incomplete.length === 0) continue;
+
+    const filePath = chunks[0].filePath;
+    const contentHash = chunks.find(chunk => chunk.contentHash)?.contentHash
+      ?? (!dryRun && filePath && fs.existsSync(filePath) ? await hashFile(filePath) : undefined);
+    const values = {
+      contentHash,
+      documentId: identity.documentId,
+      documentName: identity.documentName,
+      version: identity.version,
+      superseded: identity.superseded
+    };
+    for (const chunk of incomplete) {
+      if (await fillMissing(store, chunk, values, dryRun)) backfilled++;
+    }
+  }
+  return backfilled;
+}
+
+// Only PDFs were stored, and without OCR, before formats and OCR were recorded
+async function backfillFormat(store, { dryRun, properties }) {
+  let backfilled = 0;
+  for (const { chunks } of await findUploads(store, ['format', 'ocr'], properties)) {
+    for (const chunk of chunks) {
+      if (await fillMissing(store, chunk, { format: 'pdf', ocr: false }, dryRun)) backfilled++;
+    }
+  }
+  return backfilled;
+}
+
+// Chunks stored before ingestions were tracked are committed and not archived; the filters that
+// keep pending and archived chunks out of searches need the flags set
+async function backfillIngestionState(store, { dryRun, properties }) {
+  let backfilled = 0;
+  for (const { chunks } of await findUploads(store, ['pending', 'archived'], properties)) {
+    for (const chunk of chunks) {
+      if (await fillMissing(store, chunk, { pending: false, archived: false }, dryRun)) backfilled++;
+    }
+  }
+  return backfilled;
+}
+
+function propertyDefinition(name) {
+  const property = pdfSchema.properties.find(candidate => candidate.name === name);
+  if (!property) throw new Error(`Property "${name}" is not in the schema`);
+  return property;
+}
+
+// Create the collection or apply its pending migrations; with `dryRun` only log what would be
+// done. Returns { created, fromVersion, toVersion, dryRun, migrations: [{ version, name,
+// description, addProperties, backfilled }] }.
+async function migrateSchema(store, { dryRun = false, log = console.log } = {}) {
+  const collection = await store.getCollection();
+
+  if (!collection) {
+    if (dryRun) {
+      log(`📝 Would create the schema at version ${LATEST_VERSION} (dry run)`);
+    } else {
+      await store.createCollection(pdfSchema);
+      for (const migration of MIGRATIONS) {
+        await store.recordMigration({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+      }
+      log(`✅ Schema created at version ${LATEST_VERSION}`);
+    }
+    return { created: true, fromVersion: null, toVersion: LATEST_VERSION, dryRun, migrations: [] };
+  }
+
+  const applied = await store.getMigrations();
+  const fromVersion = applied.reduce((max, migration) => Math.max(max, migration.version), 0);
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+  if (pending.length === 0) {
+    log(`ℹ️ Schema is up to date (version ${fromVersion})`);
+    return { created: false, fromVersion, toVersion: fromVersion, dryRun, migrations: [] };
+  }
+
+  log(dryRun
+    ? `📝 Schema migration plan, version ${fromVersion} → ${LATEST_VERSION} (dry run, nothing is changed):`
+    : `🧱 Migrating schema from version ${fromVersion} to ${LATEST_VERSION}`);
+
+  const properties = new Set(collection.properties.map(property => property.name));
+  const steps = [];
+  for (const migration of pending) {
+    const addProperties = migration.properties
+      .filter(name => !properties.has(name))
+      .map(propertyDefinition);
+
+    if (!dryRun) {
+      for (const property of addProperties) {
+        await store.addProperty(property);
+        properties.add(property.name);
+      }
+    }
+    const backfilled = migration.backfill ? await migration.backfill(store, { dryRun, properties }) : 0;
+    if (!dryRun) {
+      await store.recordMigration({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+    }
+
+    const added = addProperties.map(property => `${property.name} (${property.dataType.join(', ')})`);
+    log(`${dryRun ? '  ' : '✅ '}${migration.version} ${migration.name}: ${migration.description}`);
+    log(`    ${dryRun ? 'add' : 'added'} properties: ${added.length > 0 ? added.join(', ') : 'none'}`);
+    if (migration.backfill) log(`    ${dryRun ? 'backfill' : 'backfilled'} ${backfilled} chunks`);
+
+    steps.push({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      addProperties: addProperties.map(property => property.name),
+      backfilled
+    });
+  }
+  if (dryRun) log('Apply with: node src/migrations.js');
+
+  return { created: false, fromVersion, toVersion: LATEST_VERSION, dryRun, migrations: steps };
+}
+
+module.exports = {
+  MIGRATIONS,
+  LATEST_VERSION,
+  migrateSchema
+};
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  const { vectorStore } = require('./utility');
+  migrateSchema(vectorStore, { dryRun })
+    .then(async () => {
+      // The embedded store saves its index in the background
+      if (vectorStore.flush) await vectorStore.flush();
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Schema migration failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { assemblePages } = require('./pdfExtraction');
+
+const execFileAsync = promisify(execFile);
+
+// OCR runs locally through the poppler (pdftoppm) and tesseract command line tools
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+const OCR_DPI = parseInt(process.env.OCR_DPI, 10) || 300;
+// Pages with fewer extractable characters than this are treated as scanned
+const OCR_MIN_PAGE_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS, 10) || 20;
+
+let ocrAvailable = null;
+
+// Check once whether both tools are installed
+async function isOCRAvailable() {
+  if (!OCR_ENABLED) return false;
+  if (ocrAvailable !== null) return ocrAvailable;
+
+  try {
+    await execFileAsync(TESSERACT_PATH, ['--version']);
+    await execFileAsync(PDFTOPPM_PATH, ['-v']);
+    ocrAvailable = true;
+  } catch (error) {
+    console.warn(`⚠️ OCR unavailable (${TESSERACT_PATH}/${PDFTOPPM_PATH} not found); scanned pages will not be read`);
+    ocrAvailable = false;
+  }
+  return ocrAvailable;
+}
+
+// Rebuild text from tesseract TSV output and average the word confidences (0-100)
+function parseTesseractTSV(tsv) {
+  const lines = new Map();
+  const confidences = [];
+
+  tsv.split('\n').slice(1).forEach(row => {
+    const cols = row.split('\t');
+    if (cols.length < 12 || cols[0] !== '5') return; // level 5 = word
+
+    const word = cols[11].trim();
+    const conf = parseFloat(cols[10]);
+    if (!word) return;
+
+    const key = `${cols[2]}-${cols[3]}-${cols[4]}`; // block-paragraph-line
+    if (!lines.has(key)) {
+      lines.set(key, { paragraph: `${cols[2]}-${cols[3]}`, words: [] });
+    }
+    lines.get(key).words.push(word);
+    if (conf >= 0) confidences.push(conf);
+  });
+
+  let text = '';
+  let lastParagraph = null;
+  for (const line of lines.values()) {
+    if (lastParagraph !== null) {
+      text += line.paragraph === lastParagraph ? '\n' : '\n\n';
+    }
+    text += line.words.join(' ');
+    lastParagraph = line.paragraph;
+  }
+
+  const confidence = confidences.length > 0
+    ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length / 100
+    : 0;
+
+  return { text, confidence: Math.round(confidence * 1000) / 1000 };
+}
+
+// Render one PDF page to an image and OCR it. Password-protected PDFs are never passed here:
+// pdftoppm only takes the password on its command line, where other local users can read it
+// (ps, /proc), so their scanned pages stay without text (see isOCRAvailableFor).
+async function ocrPDFPage(filePath, pageNumber) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-'));
+  const imagePrefix = path.join(tmpDir, 'page');
+
+  try {
+    await execFileAsync(PDFTOPPM_PATH, [
+      '-f', String(pageNumber),
+      '-l', String(pageNumber),
+      '-r', String(OCR_DPI),
+      '-png',
+      '-singlefile',
+      filePath,
+      imagePrefix
+    ]);
+
+    const { stdout } = await execFileAsync(
+      TESSERACT_PATH,
+      [`${imagePrefix}.png`, 'stdout', '-l', OCR_LANG, 'tsv'],
+      { maxBuffer: 50 * 1024 * 1024 }
+    );
+
+    return parseTesseractTSV(stdout);
+  } catch (error) {
+    throw new Error(`OCR failed on page ${pageNumber}: ${error.message}`);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+// Whether the pages of a document can be OCR'd: not when it needs a password (options.password)
+async function isOCRAvailableFor(options = {}) {
+  if (options.password) return false;
+  return isOCRAvailable();
+}
+
+// Whether a page has so little text that it is probably scanned
+function needsOCR(pageText) {
+  return pageText.trim().length < OCR_MIN_PAGE_CHARS;
+}
+
+// OCR a page with little or no text layer. Resolves to { text, confidence }, or null when OCR
+// failed or found no more text than the page already had.
+async function ocrLowTextPage(filePath, pageNumber, pageText) {
+  try {
+    const result = await ocrPDFPage(filePath, pageNumber);
+    // Keep the original text if OCR found nothing better
+    return result.text.trim().length > pageText.trim().length ? result : null;
+  } catch (error) {
+    // One unreadable page should not fail the whole document
+    console.error(error.message);
+    return null;
+  }
+}
+
+// OCR the pages of an extracted PDF that have little or no text layer, and rebuild the
+// text and offsets. Adds ocrPages: [{ pageNumber, confidence }] and pagesWithoutText (pages
+// that are still empty, e.g. blank pages, OCR being unavailable or the PDF being encrypted) to
+// the extraction result.
+async function applyOCRFallback(filePath, extraction, options = {}) {
+  const lowTextPages = extraction.pages.filter(page => needsOCR(page.text));
+  if (lowTextPages.length === 0) {
+    return { ...extraction, ocrPages: [], pagesWithoutText: [] };
+  }
+
+  if (options.password) {
+    console.warn(`⚠️ ${lowTextPages.length} page(s) with little or no text are not OCR'd: the PDF is password-protected`);
+  }
+  if (!(await isOCRAvailableFor(options))) {
+    return {
+      ...extraction,
+      ocrPages: [],
+      pagesWithoutText: lowTextPages.map(page => page.pageNumber)
+    };
+  }
+
+  console.log(`🔎 Running OCR on ${lowTextPages.length} page(s) with little or no text`);
+
+  const ocrResults = new Map();
+  for (const page of lowTextPages) {
+    const result = await ocrLowTextPage(filePath, page.pageNumber, page.text);
+    if (result) {
+      ocrResults.set(page.pageNumber, result);
+    }
+  }
+
+  const units = extraction.pages.map(page => ({
+    ...(page.title && { title: page.title }),
+    text: ocrResults.has(page.pageNumber) ? ocrResults.get(page.pageNumber).text : page.text
+  }));
+  const { text, pages } = assemblePages(units);
+
+  const ocrPages = Array.from(ocrResults.entries()).map(([pageNumber, result]) => ({
+    pageNumber,
+    confidence: result.confidence
+  }));
+
+  return {
+    ...extraction,
+    text,
+    pages,
+    ocrPages,
+    pagesWithoutText: lowTextPages
+      .map(page => page.pageNumber)
+      .filter(pageNumber => !ocrResults.has(pageNumber))
+  };
+}
+
+// Flag chunks that contain OCR'd text; the confidence is the lowest of the OCR'd pages they cover
+function annotateChunkOCR(chunks, ocrPages = []) {
+  const confidenceByPage = new Map(ocrPages.map(page => [page.pageNumber, page.confidence]));
+
+  return chunks.map(chunk => {
+    const confidences = [];
+    for (let page = chunk.startPage; page <= chunk.endPage; page++) {
+      if (confidenceByPage.has(page)) confidences.push(confidenceByPage.get(page));
+    }
+
+    return {
+      ...chunk,
+      ocr: confidences.length > 0,
+      ocrConfidence: confidences.length > 0 ? Math.min(...confidences) : null
+    };
+  });
+}
+
+module.exports = {
+  isOCRAvailable,
+  isOCRAvailableFor,
+  parseTesseractTSV,
+  ocrPDFPage,
+  needsOCR,
+  ocrLowTextPage,
+  applyOCRFallback,
+  annotateChunkOCR
+};
@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const pdf = require('pdf-parse');
+// The pdf.js build pdf-parse uses, for reading large PDFs page by page (see openPDF)
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+// Pages are joined with a blank line, the same separator pdf-parse uses
+const PAGE_SEPARATOR = '\n\n';
+
+// openPDF reads the file in ranges of this size, and reopens the document once pdf.js has
+// cached PDF_STREAM_CACHE_MB of it
+const RANGE_CHUNK_SIZE = 64 * 1024;
+const PDF_STREAM_CACHE_BYTES = (parseInt(process.env.PDF_STREAM_CACHE_MB, 10) || 64) * 1024 * 1024;
+
+// pdf.js PasswordException codes
+const PDF_PASSWORD_ERRORS = {
+  1: { code: 'PDF_PASSWORD_REQUIRED', message: 'PDF is password-protected; a password is required.' },
+  2: { code: 'PDF_PASSWORD_INVALID', message: 'Incorrect password for the encrypted PDF.' }
+};
+
+// Error with a specific code for encrypted PDFs, so clients can prompt for a password.
+// Retrying will not help, so jobs fail immediately.
+function createPasswordError(passwordCode, message) {
+  const details = PDF_PASSWORD_ERRORS[passwordCode] || PDF_PASSWORD_ERRORS[1];
+  const error = new Error(message || details.message);
+  const { code } = details;
+  error.code = code;
+  error.status = 422;
+  error.retryable = false;
+  return error;
+}
+
+// Parse a PDF with pdf-parse, decrypting it with the password when one is given.
+// The buffer is copied because pdf.js ignores the offset of Buffers that share a pooled ArrayBuffer.
+async function parsePDF(buffer, options = {}) {
+  const { password, ...parseOptions } = options;
+  try {
+    return await pdf({ data: new Uint8Array(buffer), ...(password && { password }) }, parseOptions);
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw createPasswordError(error.code);
+    }
+    throw error;
+  }
+}
+
+// First bytes of a file, without reading the whole file
+function readFileHeader(filePath, length) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// PDF file validation
+function validatePDFFile(filePath, originalName) {
+  try {
+    // Check file extension
+    // here it should check the mime
+    const ext = path.extname(originalName).toLowerCase();
+    if (ext !== '.pdf') {
+      throw new Error('Invalid file extension. Only PDF files are supported.');
+    }
+
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+      throw new Error('Uploaded file not found.');
+    }
+
+    // Check file size (additional validation)
+    const stats = fs.statSync(filePath);
+    if (stats.size === 0) {
+      throw new Error('Empty PDF file.');
+    }
+
+    // Try to read the PDF header
+    const header = readFileHeader(filePath, 4).toString('ascii');
+    if (!header.startsWith('%PDF')) {
+      throw new Error('Invalid PDF file format.');
+    }
+
+    return true;
+  } catch (error) {
+    throw new Error(`PDF validation failed: ${error.message}`);
+  }
+}
+
+// Render the text of a single page (same line-joining logic as pdf-parse's default renderer)
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY == item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+// Join page (or section) texts into one document text, recording each unit's exact offsets
+function assemblePages(units) {
+  const pages = [];
+  let text = '';
+
+  units.forEach((unit, i) => {
+    if (i > 0) text += PAGE_SEPARATOR;
+    pages.push({
+      pageNumber: i + 1,
+      ...(unit.title && { title: unit.title }),
+      ...(unit.level && { level: unit.level }),
+      text: unit.text,
+      start: text.length,
+      end: text.length + unit.text.length
+    });
+    text += unit.text;
+  });
+
+  return { text, pages };
+}
+
+// Load a PDF with pdf.js, reading byte ranges from the open file `fd` as pdf.js asks for them.
+// `loaded.bytes` counts what was read.
+async function loadPDFDocument(fd, length, password, loaded) {
+  const transport = new PDFJS.PDFDataRangeTransport(length, null);
+  transport.requestDataRange = (begin, end) => {
+    const buffer = Buffer.alloc(end - begin);
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, begin);
+    loaded.bytes += bytesRead;
+    // pdf.js expects the data to arrive asynchronously
+    setImmediate(() => transport.onDataRange(begin, new Uint8Array(buffer.buffer, buffer.byteOffset, bytesRead)));
+  };
+
+  PDFJS.disableWorker = true;
+  try {
+    return await PDFJS.getDocument({
+      range: transport,
+      length,
+      password,
+      rangeChunkSize: RANGE_CHUNK_SIZE,
+      disableAutoFetch: true,
+      disableStream: true
+    });
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw createPasswordError(error.code);
+    }
+    throw error;
+  }
+}
+
+// Open a PDF to read it page by page without loading the whole file: pdf.js reads the byte
+// ranges it needs from disk, and the document is reopened whenever it has cached
+// PDF_STREAM_CACHE_MB, so memory stays bounded for any file size.
+// Resolves to { numPages, metadata, readPage(pageNumber), close() }; readPage resolves to the
+// page text, rendered like extractPDFText does.
+async function openPDF(filePath, options = {}) {
+  const fd = fs.openSync(filePath, 'r');
+  const length = fs.fstatSync(fd).size;
+  const loaded = { bytes: 0 };
+  let cacheLimit = PDF_STREAM_CACHE_BYTES;
+  let doc;
+
+  try {
+    doc = await loadPDFDocument(fd, length, options.password, loaded);
+    const info = await doc.getMetadata().catch(() => null);
+
+    return {
+      numPages: doc.numPages,
+      metadata: extractPDFMetadata(info ? info.info : null, info ? info.metadata : null),
+      readPage: async (pageNumber) => {
+        if (loaded.bytes > cacheLimit) {
+          await doc.destroy();
+          loaded.bytes = 0;
+          cacheLimit = null;
+          doc = await loadPDFDocument(fd, length, options.password, loaded);
+        }
+
+        const page = await doc.getPage(pageNumber);
+        // A reopened document walks the page tree up to the page again (all earlier pages for a
+        // flat tree); only what is read after that counts towards the cache, or it would reopen on
+        // every page
+        if (cacheLimit === null) cacheLimit = loaded.bytes + PDF_STREAM_CACHE_BYTES;
+        try {
+          return await renderPageText(page);
+        } finally {
+          page.cleanup();
+        }
+      },
+      close: async () => {
+        await doc.destroy();
+        fs.closeSync(fd);
+      }
+    };
+  } catch (error) {
+    if (doc) await doc.destroy();
+    fs.closeSync(fd);
+    if (error.code) throw error;
+    throw new Error(`PDF could not be opened: ${error.message}`);
+  }
+}
+
+// Check that an (optionally encrypted) PDF can be opened without reading more of it than needed.
+// Throws PDF_PASSWORD_REQUIRED / PDF_PASSWORD_INVALID errors for encrypted files.
+async function checkPDFAccess(filePath, options = {}) {
+  const document = await openPDF(filePath, { password: options.password });
+  await document.close();
+  return true;
+}
+
+// Extract text from PDF, keeping per-page text and character offsets into the full text.
+// The password (for encrypted PDFs) is only used for decryption and never kept.
+async function extractPDFText(filePath, options = {}) {
+  try {
+    const buffer = fs.readFileSync(filePath);
+    const pageTexts = [];
+
+    const data = await parsePDF(buffer, {
+      password: options.password,
+      pagerender: async (pageData) => {
+        const pageText = await renderPageText(pageData);
+        pageTexts[pageData.pageIndex] = pageText;
+        return pageText;
+      }
+    });
+
+    // Pages that failed to render are kept as empty pages to preserve numbering
+    const units = [];
+    for (let i = 0; i < data.numpages; i++) {
+      units.push({ text: pageTexts[i] || '' });
+    }
+    const { text, pages } = assemblePages(units);
+
+    return {
+      text,
+      numPages: data.numpages,
+      pages,
+      metadata: extractPDFMetadata(data.info, data.metadata)
+    };
+  } catch (error) {
+    if (error.code) throw error;
+    throw new Error(`PDF text extraction failed: ${error.message}`);
+  }
+}
+
+// Convert a PDF date ("D:20220115123000+01'00'") or an XMP date to ISO 8601, or null
+function parsePDFDate(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const trimmed = value.trim();
+  const match = trimmed.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?|[+-]\d{2})?/);
+  let date;
+  if (match && !/^\d{4}-/.test(trimmed)) {
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+    let offset = 'Z';
+    if (zone && zone !== 'Z') {
+      const digits = zone.replace(/'/g, '');
+      offset = `${digits.slice(0, 3)}:${digits.slice(3, 5) || '00'}`;
+    }
+    date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  } else {
+    // XMP dates are already ISO 8601
+    date = new Date(trimmed);
+  }
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Document-level metadata from the info dictionary and XMP metadata (XMP wins when both
+// are present). Only fields that were found are returned.
+function extractPDFMetadata(info = {}, xmp = null) {
+  const fromXMP = (key) => {
+    const value = xmp && typeof xmp.get === 'function' ? xmp.get(key) : null;
+    return value ? value.replace(/\s+/g, ' ').trim() : null;
+  };
+  const fromInfo = (key) => {
+    const value = info && info[key];
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+  };
+
+  const metadata = {
+    title: fromXMP('dc:title') || fromInfo('Title'),
+    author: fromXMP('dc:creator') || fromInfo('Author'),
+    subject: fromXMP('dc:description') || fromInfo('Subject'),
+    producer: fromXMP('pdf:producer') || fromInfo('Producer'),
+    creationDate: parsePDFDate(fromXMP('xmp:createdate')) || parsePDFDate(fromInfo('CreationDate')),
+    modificationDate: parsePDFDate(fromXMP('xmp:modifydate')) || parsePDFDate(fromInfo('ModDate'))
+  };
+
+  return Object.fromEntries(Object.entries(metadata).filter(([, value]) => value));
+}
+
+// Find the first and last page covered by the character range [start, end)
+function getPageRange(pages, start, end) {
+  if (!pages || pages.length === 0) {
+    return { startPage: 1, endPage: 1 };
+  }
+
+  // First page that ends after `start` (offsets inside a separator belong to the next page)
+  let lo = 0;
+  let hi = pages.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pages[mid].end > start) hi = mid;
+    else lo = mid + 1;
+  }
+  const startIndex = lo;
+
+  // Last page that begins before `end`
+  lo = startIndex;
+  hi = pages.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (pages[mid].start < end) lo = mid;
+    else hi = mid - 1;
+  }
+  const endIndex = lo;
+
+  return {
+    startPage: pages[startIndex].pageNumber,
+    endPage: pages[endIndex].pageNumber
+  };
+}
+
+// Attach startPage/endPage to every chunk based on its exact source offsets
+function annotateChunkPages(chunks, pages) {
+  return chunks.map(chunk => ({
+    ...chunk,
+    ...getPageRange(pages, chunk.start, chunk.end)
+  }));
+}
+
+module.exports = {
+  PAGE_SEPARATOR,
+  createPasswordError,
+  readFileHeader,
+  validatePDFFile,
+  renderPageText,
+  assemblePages,
+  openPDF,
+  checkPDFAccess,
+  extractPDFText,
+  parsePDFDate,
+  extractPDFMetadata,
+  getPageRange,
+  annotateChunkPages
+};
@@ -0,0 +1,126 @@
+// Prompt assembly for answers: ranked search results are packed into the prompt until the
+// model's context window (minus the tokens reserved for the answer) is full.
+const {
+  EMBEDDING_MODEL,
+  countTokens,
+  sameEncoding,
+  fitTokens,
+  getContextWindow,
+  countChatTokens
+} = require('./tokenizer');
+
+const BLOCK_SEPARATOR = '\n\n';
+const TRUNCATED_MARKER = ' [truncated]';
+
+// Header line of a result in the prompt, e.g. "[2] Section 4.2 › Assay (By HPLC)"
+function blockHeader(index, label, truncated) {
+  return `[${index + 1}]${label ? ` ${label}` : ''}${truncated ? TRUNCATED_MARKER : ''}\n`;
+}
+
+// Block with the start of a result that only partly fits, or null when nothing fits
+function truncatedBlock(index, result, maxTokens, model) {
+  const end = fitTokens(result.content, 0, result.content.length, maxTokens, model);
+  if (end === 0) return null;
+  const content = result.content.slice(0, end);
+  return { index, text: blockHeader(index, result.label, true) + content, tokens: countTokens(content, model) };
+}
+
+// Tokens of a result's content; chunks store their count for the embedding model, which can be
+// reused when the answer model uses the same tokenizer
+function contentTokens(result, model) {
+  if (Number.isInteger(result.tokenCount) && sameEncoding(model, EMBEDDING_MODEL)) {
+    return result.tokenCount;
+  }
+  return countTokens(result.content, model);
+}
+
+// Build the chat messages for `results` ([{ content, label, tokenCount }], best first).
+// `buildMessages(context)` returns the messages with the packed results inserted.
+// Results are included in rank order while they fit; the first one that does not fit fills the
+// remaining space and is marked as truncated. Returns { messages, usage }.
+function assemblePrompt({ model, results, buildMessages, maxResponseTokens }) {
+  const contextWindow = getContextWindow(model);
+  const budget = contextWindow - maxResponseTokens;
+  const baseTokens = countChatTokens(buildMessages(''), model);
+  if (baseTokens > budget) {
+    const error = new Error(`The prompt needs ${baseTokens} tokens before any search results, more than the ${budget} tokens available in the ${model} context window.`);
+    error.code = 'PROMPT_TOO_LONG';
+    error.status = 413;
+    error.data = { promptTokens: baseTokens, contextWindow, maxResponseTokens };
+    throw error;
+  }
+
+  const separatorTokens = countTokens(BLOCK_SEPARATOR, model);
+  const blocks = [];
+  let used = baseTokens;
+  let truncated = null;
+
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    const header = blockHeader(i, result.label, false);
+    const overhead = countTokens(header, model) + (blocks.length > 0 ? separatorTokens : 0);
+    const tokens = contentTokens(result, model);
+
+    if (used + overhead + tokens <= budget) {
+      blocks.push({ index: i, text: header + result.content });
+      used += overhead + tokens;
+      continue;
+    }
+
+    // Fill the rest of the window with the start of this result
+    const remaining = budget - used - overhead - countTokens(TRUNCATED_MARKER, model);
+    if (remaining > 0) {
+      const block = truncatedBlock(i, result, remaining, model);
+      if (block) {
+        blocks.push(block);
+        truncated = { index: i, includedTokens: block.tokens, totalTokens: tokens };
+      }
+    }
+    break;
+  }
+
+  // Joined text can tokenize slightly differently at the seams; count the final prompt exactly
+  // and drop results from the end until it fits
+  const build = () => buildMessages(blocks.map(block => block.text).join(BLOCK_SEPARATOR));
+  let messages = build();
+  let promptTokens = countChatTokens(messages, model);
+  while (promptTokens > budget && blocks.length > 0) {
+    const dropped = blocks.pop();
+    if (truncated && truncated.index === dropped.index) truncated = null;
+    messages = build();
+    promptTokens = countChatTokens(messages, model);
+  }
+
+  // Give tokens left over at the seams to the truncated result
+  for (let attempt = 0; attempt < 3 && truncated && promptTokens < budget; attempt++) {
+    const last = blocks[blocks.length - 1];
+    const block = truncatedBlock(last.index, results[last.index], last.tokens + budget - promptTokens, model);
+    blocks[blocks.length - 1] = block;
+    const candidate = build();
+    const candidateTokens = countChatTokens(candidate, model);
+    if (candidateTokens > budget) {
+      blocks[blocks.length - 1] = last;
+      break;
+    }
+    messages = candidate;
+    promptTokens = candidateTokens;
+    truncated.includedTokens = block.tokens;
+  }
+
+  return {
+    messages,
+    usage: {
+      model,
+      contextWindow,
+      promptTokens,
+      maxResponseTokens,
+      resultsIncluded: blocks.length,
+      resultsOmitted: results.length - blocks.length,
+      truncatedResult: truncated
+    }
+  };
+}
+
+module.exports = {
+  assemblePrompt
+};
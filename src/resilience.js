@@ -0,0 +1,182 @@
+// Retries with backoff and rate limiting for calls to OpenAI and Weaviate. Each service gets a
+// caller (see createResilientCaller) that waits for its rate limiter, runs the call and retries
+// failures that are worth retrying: rate limits, server errors and dropped connections.
+
+// HTTP statuses worth retrying: timeouts, rate limits and server errors
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network errors (Node and undici codes) that mean the request never got a response
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT'
+];
+
+// Token bucket with reservations: take(cost) reserves `cost` right away and resolves once the
+// bucket has refilled enough to cover it, so concurrent callers are served in order and a cost
+// larger than the capacity (e.g. one long embedding input) still goes through.
+class TokenBucket {
+  constructor(options = {}) {
+    const { ratePerMinute, capacity = Math.max(1, ratePerMinute / 60) } = options;
+
+    this.ratePerMs = ratePerMinute / 60000;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs);
+    this.updatedAt = now;
+  }
+
+  take(cost = 1) {
+    this.refill();
+    this.tokens -= cost;
+    const wait = Math.max(this.tokens < 0 ? -this.tokens / this.ratePerMs : 0, this.pausedUntil - Date.now());
+    return wait > 0 ? sleep(wait) : Promise.resolve();
+  }
+
+  // Hold back every caller, e.g. after the service answered 429 with a Retry-After
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// HTTP status of a failed call: OpenAI errors carry it as `status`, graphql-request errors as
+// `response.status`, Hugging Face errors as `httpResponse.status`, and weaviate-ts-client REST
+// errors only in the message ("usage error (429): ...")
+function getErrorStatus(error) {
+  if (typeof error.status === 'number') return error.status;
+  if (error.response && typeof error.response.status === 'number') return error.response.status;
+  if (error.httpResponse && typeof error.httpResponse.status === 'number') return error.httpResponse.status;
+  const match = /usage error \((\d{3})\)/.exec(error.message || '');
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+// The OpenAI SDK reports dropped connections and timeouts as APIConnectionError (its errors keep
+// the name "Error", so they are told apart by class); fetch as TypeError("fetch failed")
+function isNetworkError(error) {
+  const code = error.code || (error.cause && error.cause.code);
+  const errorClass = error.constructor && error.constructor.name;
+  return RETRYABLE_NETWORK_CODES.includes(code) ||
+    errorClass === 'APIConnectionError' ||
+    errorClass === 'APIConnectionTimeoutError' ||
+    (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+// Whether a failed call may succeed when repeated. Errors that already say so (`retryable`)
+// are taken at their word; an exhausted quota is a 429 that no retry fixes.
+function isRetryableError(error) {
+  if (typeof error.retryable === 'boolean') return error.retryable;
+  if (error.code === 'insufficient_quota') return false;
+
+  const status = getErrorStatus(error);
+  if (status !== undefined) return RETRYABLE_STATUSES.includes(status);
+  return isNetworkError(error);
+}
+
+// Delay requested by a Retry-After (seconds or HTTP date) or retry-after-ms header, in ms
+function parseRetryAfter(headers) {
+  if (!headers) return null;
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(get('retry-after-ms'));
+  if (ms >= 0) return ms;
+
+  const value = get('retry-after');
+  if (!value) return null;
+  const seconds = parseFloat(value);
+  if (seconds >= 0) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with full jitter: a random delay up to base * 2^retry, capped at maxDelayMs
+function backoffDelay(retry, baseDelayMs, maxDelayMs) {
+  return Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * Math.pow(2, retry)));
+}
+
+// A function that runs calls to one service with rate limiting and retries:
+//   call(fn, { tokens }) -> resolves to what fn() resolves to
+// fn is called again for every attempt, so it must build its request from scratch. `tokens` is
+// what the call counts against a tokens-per-minute quota.
+//
+// Options:
+//   requestsPerMinute / tokensPerMinute  quotas to stay within (0 for no limit)
+//   maxRetries                           retries after the first attempt
+//   baseDelayMs / maxDelayMs             backoff range; a Retry-After longer than maxDelayMs
+//                                        is not waited for, the error is thrown instead
+function createResilientCaller(name, options = {}) {
+  const {
+    requestsPerMinute = 0,
+    tokensPerMinute = 0,
+    maxRetries = 5,
+    baseDelayMs = 500,
+    maxDelayMs = 30000
+  } = options;
+
+  const requestBucket = requestsPerMinute > 0 ? new TokenBucket({ ratePerMinute: requestsPerMinute }) : null;
+  const tokenBucket = tokensPerMinute > 0 ? new TokenBucket({ ratePerMinute: tokensPerMinute }) : null;
+
+  const call = async (fn, callOptions = {}) => {
+    const { tokens = 0 } = callOptions;
+
+    for (let retry = 0; ; retry++) {
+      await Promise.all([
+        requestBucket && requestBucket.take(1),
+        tokenBucket && tokens > 0 && tokenBucket.take(tokens)
+      ]);
+
+      try {
+        return await fn();
+      } catch (error) {
+        const retryable = isRetryableError(error);
+        const retryAfter = parseRetryAfter(error.headers);
+        const giveUp = !retryable || retry >= maxRetries || (retryAfter !== null && retryAfter > maxDelayMs);
+
+        if (giveUp) {
+          // Let callers further up (e.g. the job queue) know whether trying later can help
+          if (error.retryable === undefined && (getErrorStatus(error) !== undefined || isNetworkError(error))) {
+            error.retryable = retryable;
+          }
+          error.attempts = retry + 1;
+          throw error;
+        }
+
+        const delay = retryAfter !== null ? retryAfter : backoffDelay(retry, baseDelayMs, maxDelayMs);
+        if (getErrorStatus(error) === 429) {
+          // Everyone sharing the quota waits, not just this call
+          if (requestBucket) requestBucket.pause(delay);
+          if (tokenBucket) tokenBucket.pause(delay);
+        }
+        console.warn(`⏳ ${name} call failed (${getErrorStatus(error) || error.code || error.message}), retry ${retry + 1}/${maxRetries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return call;
+}
+
+module.exports = {
+  TokenBucket,
+  createResilientCaller,
+  isRetryableError,
+  getErrorStatus,
+  parseRetryAfter,
+  backoffDelay,
+  RETRYABLE_STATUSES
+};
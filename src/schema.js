@@ -0,0 +1,61 @@
+// Schema of the PDFDocument collection, shared by the servers. New collections are created with
+// it; existing ones are brought up to it by the migrations in migrations.js, so a property added
+// here also needs a migration.
+const pdfSchema = {
+  class: 'PDFDocument',
+  description: 'PDF document chunks with vector embeddings and ranking metadata',
+  vectorizer: 'none', // Manual vectorization
+  properties: [
+    { name: 'content', dataType: ['text'], description: 'Chunk text content' },
+    { name: 'filename', dataType: ['string'], description: 'Original filename' },
+    { name: 'savedFilename', dataType: ['string'], description: 'Saved filename with timestamp' },
+    { name: 'pageNumber', dataType: ['int'], description: 'Page number' },
+    { name: 'startPage', dataType: ['int'], description: 'First page covered by the chunk' },
+    { name: 'endPage', dataType: ['int'], description: 'Last page covered by the chunk' },
+    { name: 'chunkIndex', dataType: ['int'], description: 'Chunk index' },
+    { name: 'totalPages', dataType: ['int'], description: 'Total pages in document' },
+    { name: 'totalChunks', dataType: ['int'], description: 'Total chunks in document' },
+    { name: 'chunkStart', dataType: ['int'], description: 'Chunk start position' },
+    { name: 'chunkEnd', dataType: ['int'], description: 'Chunk end position' },
+    { name: 'uploadDate', dataType: ['date'], description: 'Upload timestamp' },
+    { name: 'filePath', dataType: ['string'], description: 'Local file path' },
+    { name: 'format', dataType: ['string'], description: 'Source document format (pdf, docx, html, markdown, text)' },
+    { name: 'ocr', dataType: ['boolean'], description: 'Chunk contains text recognised by OCR' },
+    { name: 'ocrConfidence', dataType: ['number'], description: 'Lowest OCR confidence (0-1) of the pages in the chunk' },
+    { name: 'contentHash', dataType: ['string'], description: 'SHA-256 of the original file content' },
+    { name: 'documentId', dataType: ['string'], description: 'Logical document identity shared by all versions' },
+    { name: 'documentName', dataType: ['string'], description: 'Logical document name' },
+    { name: 'version', dataType: ['int'], description: 'Document version number' },
+    { name: 'superseded', dataType: ['boolean'], description: 'True once a newer version has been stored' },
+    { name: 'sectionNumber', dataType: ['string'], description: 'Number of the section the chunk starts in, e.g. 4.2.1' },
+    { name: 'sectionTitle', dataType: ['text'], description: 'Heading title of the section the chunk starts in' },
+    { name: 'sectionPath', dataType: ['text'], description: 'Full section path, e.g. "4 Tests › 4.2 Assay"' },
+    { name: 'chunkingStrategy', dataType: ['string'], description: 'Chunking strategy the document was split with' },
+    { name: 'chunkingParams', dataType: ['string'], description: 'Chunking parameters (JSON)' },
+    { name: 'tokenCount', dataType: ['int'], description: 'Tokens in the chunk for the embedding model' },
+    { name: 'embeddingModel', dataType: ['string'], description: 'Model the chunk vector was computed with' },
+    { name: 'embeddingDimensions', dataType: ['int'], description: 'Dimensions of the chunk vector' },
+    { name: 'ingestionId', dataType: ['string'], description: 'Ingestion that stored the chunk' },
+    { name: 'ingestionOwner', dataType: ['string'], description: 'Server instance that ran the ingestion' },
+    { name: 'pending', dataType: ['boolean'], description: 'True until the ingestion is committed; pending chunks are not searchable' },
+    { name: 'archived', dataType: ['boolean'], description: 'True once the watched file of the document was deleted; archived documents are left out of default searches' },
+    { name: 'title', dataType: ['text'], description: 'Document title from the PDF metadata' },
+    { name: 'author', dataType: ['text'], description: 'Document author from the PDF metadata' },
+    { name: 'subject', dataType: ['text'], description: 'Document subject from the PDF metadata' },
+    { name: 'producer', dataType: ['text'], description: 'Software that produced the PDF' },
+    { name: 'creationDate', dataType: ['date'], description: 'Document creation date from the PDF metadata' },
+    { name: 'modificationDate', dataType: ['date'], description: 'Document modification date from the PDF metadata' },
+    // Ranking metadata (see chunkMetadata.js), added by migration 1
+    { name: 'documentType', dataType: ['string'], description: 'Document type/category' },
+    { name: 'keywords', dataType: ['string[]'], description: 'Extracted keywords' },
+    { name: 'summary', dataType: ['text'], description: 'Chunk summary' },
+    { name: 'importance', dataType: ['number'], description: 'Content importance score' },
+    { name: 'wordCount', dataType: ['int'], description: 'Word count in chunk' },
+    // Added by migration 2
+    { name: 'tags', dataType: ['string[]'], description: 'Tags given at upload, for search filters' },
+  ],
+};
+
+module.exports = {
+  pdfSchema
+};
@@ -0,0 +1,130 @@
+// Structured search filters (the `filters` parameter of /search and /batch-search), turned into
+// a where filter for the vector store. A filter object ANDs its conditions; "and" and "or" take
+// a list of filter objects and nest, e.g.
+//   { "documentType": "legal", "or": [{ "tags": "policy" }, { "uploadedAfter": "2024-01-01" }] }
+// Conditions:
+//   filename, documentId, documentType  a value, or a list of values matching any of them
+//   tags                                a tag, or a list of tags matching chunks with any of them
+//   uploadedAfter, uploadedBefore       upload date range (after inclusive, before exclusive)
+//   pages                               a page, or { from, to }: chunks overlapping the pages
+//   section                             section number (with its subsections) or heading title
+//   title, author, subject, producer,   document metadata, as in the `metadata` parameter
+//   createdAfter, createdBefore, modifiedAfter, modifiedBefore
+const { METADATA_TEXT_FIELDS, METADATA_DATE_FILTERS, parseFilterDate, combineFilters } = require('./documents');
+const { buildSectionFilter } = require('./sections');
+
+const MAX_FILTER_DEPTH = 5;
+
+// Any of one or more string values of a property
+function anyOf(property, value, name) {
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0 || values.some(item => typeof item !== 'string' || item === '')) {
+    throw new Error(`${name} must be a non-empty string or a list of them.`);
+  }
+  const operands = values.map(item => ({ path: [property], operator: 'Equal', valueString: item }));
+  return operands.length === 1 ? operands[0] : { operator: 'Or', operands };
+}
+
+function parsePage(value, name) {
+  const page = Number(value);
+  if (!Number.isInteger(page) || page < 1) {
+    throw new Error(`${name} must be a positive integer.`);
+  }
+  return page;
+}
+
+// Chunks overlapping the page range: they start at or before its end and end at or after its start
+function pageRange(value, name) {
+  const range = typeof value === 'object' && value !== null ? value : { from: value, to: value };
+  const from = range.from === undefined ? null : parsePage(range.from, `${name}.from`);
+  const to = range.to === undefined ? null : parsePage(range.to, `${name}.to`);
+  if (from === null && to === null) {
+    throw new Error(`${name} must be a page number or { from, to }.`);
+  }
+  if (from !== null && to !== null && from > to) {
+    throw new Error(`${name}.from must not be after ${name}.to.`);
+  }
+
+  return combineFilters(
+    to !== null && { path: ['startPage'], operator: 'LessThanEqual', valueInt: to },
+    from !== null && { path: ['endPage'], operator: 'GreaterThanEqual', valueInt: from }
+  );
+}
+
+const CONDITIONS = {
+  filename: (value, name) => anyOf('filename', value, name),
+  documentId: (value, name) => anyOf('documentId', value, name),
+  documentType: (value, name) => anyOf('documentType', value, name),
+  tags: (value, name) => {
+    const tags = Array.isArray(value) ? value : [value];
+    if (tags.length === 0 || tags.some(tag => typeof tag !== 'string' || tag === '')) {
+      throw new Error(`${name} must be a non-empty string or a list of them.`);
+    }
+    return { path: ['tags'], operator: 'ContainsAny', valueStringArray: tags };
+  },
+  uploadedAfter: (value, name) => ({ path: ['uploadDate'], operator: 'GreaterThanEqual', valueDate: parseFilterDate(value, name) }),
+  uploadedBefore: (value, name) => ({ path: ['uploadDate'], operator: 'LessThan', valueDate: parseFilterDate(value, name) }),
+  pages: pageRange,
+  section: (value, name) => {
+    try {
+      return buildSectionFilter(value);
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  }
+};
+
+METADATA_TEXT_FIELDS.forEach(field => {
+  CONDITIONS[field] = (value, name) => {
+    if (typeof value !== 'string' || value === '') {
+      throw new Error(`${name} must be a non-empty string.`);
+    }
+    return { path: [field], operator: 'Equal', valueText: value };
+  };
+});
+
+Object.entries(METADATA_DATE_FILTERS).forEach(([key, { path: field, operator }]) => {
+  CONDITIONS[key] = (value, name) => ({ path: [field], operator, valueDate: parseFilterDate(value, name) });
+});
+
+function parseFilter(filter, name, depth) {
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    throw new Error(`${name} must be an object.`);
+  }
+  if (depth > MAX_FILTER_DEPTH) {
+    throw new Error(`${name} is nested more than ${MAX_FILTER_DEPTH} levels deep.`);
+  }
+
+  const operands = Object.entries(filter).map(([key, value]) => {
+    if (key === 'and' || key === 'or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`${name}.${key} must be a non-empty list of filters.`);
+      }
+      const children = value.map((child, i) => parseFilter(child, `${name}.${key}[${i}]`, depth + 1));
+      if (key === 'and') return combineFilters(...children);
+      // An empty filter matches everything, and so does any "or" that contains one
+      if (children.some(child => !child)) return null;
+      return children.length === 1 ? children[0] : { operator: 'Or', operands: children };
+    }
+
+    const condition = CONDITIONS[key];
+    if (!condition) {
+      throw new Error(`Unknown filter "${key}" in ${name}. Use one of: and, or, ${Object.keys(CONDITIONS).join(', ')}.`);
+    }
+    if (value === undefined || value === null || value === '') return null;
+    return condition(value, `${name}.${key}`);
+  });
+
+  return combineFilters(...operands);
+}
+
+// Where filter for the `filters` parameter, null without conditions. Invalid filters throw an
+// error naming the offending part.
+function buildSearchFilter(filters) {
+  if (filters === undefined || filters === null) return null;
+  return parseFilter(filters, 'filters', 1);
+}
+
+module.exports = {
+  buildSearchFilter
+};
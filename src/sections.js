@@ -0,0 +1,308 @@
+// Heading detection and section hierarchy for extracted documents.
+// Numbered headings ("4.2.1 Assay (By HPLC)", CTD-style "3.2.P.4.2 Analytical Procedures") are
+// detected line by line and only accepted when they continue the numbering seen so far, which
+// filters out list items, table rows and repeated page footers.
+
+const MAX_SECTION_DEPTH = 6;
+const SECTION_PATH_SEPARATOR = ' › ';
+
+const NUMBERED_HEADING = /^(\d+(?:\.(?:\d+|[A-Z]))*)\.?\s+(.+)$/;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const SECTION_NUMBER = /^\d+(?:\.(?:\d+|[A-Z]))*$/;
+// Letter components (the "P" in 3.2.P.4) sort after all numbers
+const LETTER_BASE = 1000;
+
+function parseComponent(component) {
+  return /^\d+$/.test(component) ? parseInt(component, 10) : LETTER_BASE + component.charCodeAt(0);
+}
+
+// Numeric components of a section number; "2.0" is section 2 written with a trailing zero
+function parseSectionNumber(number) {
+  const components = number.split('.').map(parseComponent);
+  while (components.length > 1 && components[components.length - 1] === 0) {
+    components.pop();
+  }
+  return components;
+}
+
+// Heading titles are short, start with a capital letter and do not read like a sentence
+function isHeadingTitle(title) {
+  if (title.length < 2 || title.length > 120) return false;
+  if (!/^[A-Z(]/.test(title)) return false;
+  if (/[.,;:]$/.test(title) && !/\.\.\.$/.test(title)) return false;
+  // Table of contents entries: dot leaders or a trailing page number ("DOSAGE AND ADMINISTRATION10")
+  if (/\.{4,}/.test(title) || /([A-Za-z)]|\s)\d+$/.test(title)) return false;
+  if (title.split(/\s+/).length > 15) return false;
+
+  const letters = (title.match(/[A-Za-z]/g) || []).length;
+  const digits = (title.match(/\d/g) || []).length;
+  return letters >= 2 && digits <= letters;
+}
+
+// Whether a heading number continues the numbering of the previous heading
+// (next sibling, first child, or the next section of an ancestor)
+function continuesNumbering(previous, next) {
+  if (!previous) {
+    return next.every(component => component <= 20 || component >= LETTER_BASE);
+  }
+
+  const depth = next.length;
+  if (depth > previous.length + 1) return false;
+  for (let i = 0; i < depth - 1; i++) {
+    if (next[i] !== previous[i]) return false;
+  }
+
+  const last = next[depth - 1];
+  if (depth === previous.length + 1) {
+    return last <= 3 || last >= LETTER_BASE; // first child: 0-3 or a CTD letter
+  }
+
+  const gap = last - previous[depth - 1];
+  return gap > 0 && (gap <= 5 || last >= LETTER_BASE);
+}
+
+function cleanTitle(title) {
+  return title.replace(/\s+/g, ' ').trim();
+}
+
+// Numbered headings that form a consistent numbering. The first heading repeated with the same
+// title (the body after a table of contents) starts a new run; the longest run wins, the later
+// one on ties.
+function scanNumberedHeadings(lines) {
+  const runs = [];
+  let run = null;
+
+  lines.forEach(line => {
+    const match = line.text.match(NUMBERED_HEADING);
+    if (!match) return;
+
+    const title = cleanTitle(match[2]);
+    const components = parseSectionNumber(match[1]);
+    if (components.length > MAX_SECTION_DEPTH || !isHeadingTitle(title)) return;
+
+    const heading = { start: line.start, level: components.length, number: match[1], title };
+    if (run && continuesNumbering(run.previous, components)) {
+      run.headings.push(heading);
+      run.previous = components;
+    } else if (!run || `${components.join('.')} ${title.toLowerCase()}` === run.first) {
+      run = { headings: [heading], previous: components, first: `${components.join('.')} ${title.toLowerCase()}` };
+      runs.push(run);
+    }
+  });
+
+  return runs.reduce((best, candidate) =>
+    (!best || candidate.headings.length >= best.headings.length ? candidate : best), null)?.headings || [];
+}
+
+// Lines of the text with the offset of their first non-blank character
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  text.split('\n').forEach(line => {
+    const indent = line.length - line.trimStart().length;
+    lines.push({ text: line.trim(), start: offset + indent });
+    offset += line.length + 1;
+  });
+  return lines;
+}
+
+// Markdown ATX headings; the number of # sets the level
+function scanMarkdownHeadings(text) {
+  return splitLines(text)
+    .map(line => ({ line, match: line.text.match(MARKDOWN_HEADING) }))
+    .filter(({ match }) => match)
+    .map(({ line, match }) => {
+      const title = cleanTitle(match[2]);
+      const numbered = title.match(NUMBERED_HEADING);
+      return {
+        start: line.start,
+        level: match[1].length,
+        number: numbered ? numbered[1] : null,
+        title: numbered ? cleanTitle(numbered[2]) : title
+      };
+    });
+}
+
+// ALL CAPS line of at least two words
+function isCapsHeading(line) {
+  return line.text.length >= 8 &&
+    line.text.length <= 80 &&
+    /^[A-Z][A-Z\s&,'()\/-]+$/.test(line.text) &&
+    line.text.split(/\s+/).length >= 2 &&
+    isHeadingTitle(line.text);
+}
+
+// Scan the lines of plain text (PDF pages, text files) for numbered headings, otherwise for
+// unnumbered ALL CAPS headings
+function scanHeadingLines(lines) {
+  const numbered = scanNumberedHeadings(lines);
+  if (numbered.length > 0) return numbered;
+
+  // Lines repeated on many pages are running headers, not sections
+  const candidates = lines.filter(isCapsHeading);
+  const counts = new Map();
+  candidates.forEach(line => counts.set(line.text, (counts.get(line.text) || 0) + 1));
+
+  return candidates
+    .filter(line => counts.get(line.text) <= 2)
+    .map(line => ({ start: line.start, level: 1, number: null, title: cleanTitle(line.text) }));
+}
+
+// Lines of a page that could be headings, with offsets shifted to where the page starts in the
+// document. A document read page by page only needs to keep these lines for detectHeadingsInLines.
+function headingCandidateLines(text, offset = 0) {
+  return splitLines(text)
+    .filter(line => NUMBERED_HEADING.test(line.text) || isCapsHeading(line))
+    .map(line => ({ text: line.text, start: line.start + offset }));
+}
+
+// Headings from the section titles of sectioned formats (HTML, DOCX)
+function headingsFromSections(pages) {
+  return pages
+    .filter(page => page.title)
+    .map(page => {
+      const title = cleanTitle(page.title);
+      const numbered = title.match(NUMBERED_HEADING);
+      const number = numbered && parseSectionNumber(numbered[1]).length <= MAX_SECTION_DEPTH ? numbered[1] : null;
+      return {
+        start: page.start,
+        level: number ? parseSectionNumber(number).length : (page.level || 1),
+        number,
+        title: number ? cleanTitle(numbered[2]) : title
+      };
+    });
+}
+
+// Detect the headings of a document and give each one its full section path. Sectioned
+// formats (HTML, DOCX) use the headings found by their extractor.
+// Returns [{ start, level, number, title, path: ['4 Tests', '4.2 Assay', ...] }] in text order.
+function detectHeadings(text, pages = [], format) {
+  let headings;
+  if (format === 'markdown') {
+    headings = scanMarkdownHeadings(text);
+  } else if (pages.some(page => page.title)) {
+    headings = headingsFromSections(pages);
+  } else {
+    headings = scanHeadingLines(splitLines(text));
+  }
+  return withSectionPaths(headings);
+}
+
+// Headings of a plain text document from its candidate lines (see headingCandidateLines); the
+// same headings detectHeadings finds in the whole text
+function detectHeadingsInLines(lines) {
+  return withSectionPaths(scanHeadingLines(lines));
+}
+
+// Give every heading its full section path
+function withSectionPaths(headings) {
+  const stack = [];
+  return headings.map(heading => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+    return {
+      ...heading,
+      path: stack.map(entry => (entry.number ? `${entry.number} ${entry.title}` : entry.title))
+    };
+  });
+}
+
+// Nest the detected headings into a section tree; each section spans [start, end) of the text
+function buildSectionTree(headings, textLength) {
+  const root = { children: [] };
+  const stack = [{ level: 0, node: root }];
+
+  headings.forEach((heading, i) => {
+    // A section ends where the next heading at the same or a higher level begins
+    const next = headings.slice(i + 1).find(other => other.level <= heading.level);
+    const node = {
+      number: heading.number,
+      title: heading.title,
+      level: heading.level,
+      start: heading.start,
+      end: next ? next.start : textLength,
+      children: []
+    };
+
+    while (stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: heading.level, node });
+  });
+
+  return root.children;
+}
+
+// Attach the section a chunk starts in (number, heading title and full path) to every chunk.
+// Chunks before the first heading (front matter) get no section.
+function annotateChunkSections(chunks, headings) {
+  return chunks.map(chunk => {
+    // Last heading that starts at or before the chunk
+    let lo = 0;
+    let hi = headings.length - 1;
+    let index = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (headings[mid].start <= chunk.start) {
+        index = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+
+    if (index === -1) return chunk;
+
+    const heading = headings[index];
+    return {
+      ...chunk,
+      ...(heading.number && { sectionNumber: heading.number }),
+      sectionTitle: heading.title,
+      sectionPath: heading.path.join(SECTION_PATH_SEPARATOR)
+    };
+  });
+}
+
+// Display label for a search result, e.g. "Section 4.2.1 › Assay (By HPLC)"
+function formatSectionLabel(result) {
+  if (!result || !result.sectionTitle) return null;
+  return result.sectionNumber
+    ? `Section ${result.sectionNumber}${SECTION_PATH_SEPARATOR}${result.sectionTitle}`
+    : result.sectionPath;
+}
+
+// Where filter for a section: a section number matches the section and all of its
+// subsections ("4.2" matches 4.2, 4.2.1, ...); anything else matches words of the section path
+function buildSectionFilter(section) {
+  if (section === undefined || section === null || section === '') return null;
+  if (typeof section !== 'string' && typeof section !== 'number') {
+    throw new Error('section must be a section number or a heading title.');
+  }
+
+  const value = String(section).trim().replace(/\.$/, '');
+  if (SECTION_NUMBER.test(value)) {
+    return {
+      operator: 'Or',
+      operands: [
+        { path: ['sectionNumber'], operator: 'Equal', valueString: value },
+        { path: ['sectionNumber'], operator: 'Like', valueString: `${value}.*` }
+      ]
+    };
+  }
+
+  return { path: ['sectionPath'], operator: 'Equal', valueText: value };
+}
+
+module.exports = {
+  SECTION_PATH_SEPARATOR,
+  detectHeadings,
+  headingCandidateLines,
+  detectHeadingsInLines,
+  buildSectionTree,
+  annotateChunkSections,
+  formatSectionLabel,
+  buildSectionFilter
+};
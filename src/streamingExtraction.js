@@ -0,0 +1,138 @@
+// Page-by-page ingestion for PDFs too large to hold in memory. The document is read twice:
+// the first pass extracts every page (with OCR where needed) into a temporary spool file and
+// keeps only what needs the whole document (metadata, OCR results and heading candidates);
+// the second pass reads the pages back from the spool one at a time and chunks them.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { PAGE_SEPARATOR, openPDF, annotateChunkPages } = require('./pdfExtraction');
+const { isOCRAvailableFor, needsOCR, ocrLowTextPage, annotateChunkOCR } = require('./ocr');
+const { headingCandidateLines, detectHeadingsInLines, annotateChunkSections } = require('./sections');
+const { createChunkStream } = require('./chunking');
+
+// First pass: extract the pages of a PDF into a spool file, one JSON line per page.
+// onPage({ extractedPages, totalPages }) reports progress. The caller removes the spool with
+// removeSpool once it is done with it.
+async function spoolPDFPages(filePath, options = {}) {
+  const { password, onPage = () => {} } = options;
+  const document = await openPDF(filePath, { password });
+  let spoolPath;
+  let fd;
+
+  try {
+    spoolPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'spool-')), 'pages.jsonl');
+    fd = fs.openSync(spoolPath, 'w');
+
+    const headingLines = [];
+    const ocrPages = [];
+    const pagesWithoutText = [];
+    let textLength = 0;
+    let hasText = false;
+
+    for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+      let text;
+      try {
+        text = await document.readPage(pageNumber);
+      } catch (error) {
+        // Pages that fail to render are kept as empty pages to preserve numbering
+        text = '';
+      }
+
+      if (needsOCR(text)) {
+        const result = await isOCRAvailableFor({ password })
+          ? await ocrLowTextPage(filePath, pageNumber, text)
+          : null;
+        if (result) {
+          text = result.text;
+          ocrPages.push({ pageNumber, confidence: result.confidence });
+        } else {
+          pagesWithoutText.push(pageNumber);
+        }
+      }
+
+      if (pageNumber > 1) textLength += PAGE_SEPARATOR.length;
+      headingLines.push(...headingCandidateLines(text, textLength));
+      textLength += text.length;
+      hasText = hasText || text.trim().length > 0;
+
+      fs.writeSync(fd, JSON.stringify({ text }) + '\n');
+      onPage({ extractedPages: pageNumber, totalPages: document.numPages });
+    }
+
+    if (ocrPages.length > 0) {
+      console.log(`🔎 OCR'd ${ocrPages.length} page(s) with little or no text`);
+    }
+    if (password && pagesWithoutText.length > 0) {
+      console.warn(`⚠️ ${pagesWithoutText.length} page(s) with little or no text are not OCR'd: the PDF is password-protected`);
+    }
+
+    return {
+      spoolPath,
+      numPages: document.numPages,
+      metadata: document.metadata,
+      headings: detectHeadingsInLines(headingLines),
+      ocrPages,
+      pagesWithoutText,
+      textLength,
+      hasText
+    };
+  } catch (error) {
+    if (spoolPath) removeSpool(spoolPath);
+    throw error;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+    await document.close();
+  }
+}
+
+function removeSpool(spoolPath) {
+  fs.rmSync(path.dirname(spoolPath), { recursive: true, force: true });
+}
+
+// Second pass: the spooled pages in order, as { pageNumber, text, start, end } with offsets into
+// the whole text (pages joined with PAGE_SEPARATOR, like extractPDFText)
+async function* readSpooledPages(spoolPath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(spoolPath), crlfDelay: Infinity });
+  let pageNumber = 0;
+  let offset = 0;
+
+  for await (const line of lines) {
+    const { text } = JSON.parse(line);
+    pageNumber++;
+    if (pageNumber > 1) offset += PAGE_SEPARATOR.length;
+    yield { pageNumber, text, start: offset, end: offset + text.length };
+    offset += text.length;
+  }
+}
+
+// Chunks of a spooled PDF (see spoolPDFPages), annotated with pages, OCR and sections like the
+// chunks of an extracted document. Yields the chunks as they are completed, page by page.
+async function* streamSpooledChunks(spool, chunking) {
+  const stream = createChunkStream(chunking);
+  // Pages the chunks still held by the stream can start on
+  let pages = [];
+
+  const annotate = chunks => annotateChunkSections(
+    annotateChunkOCR(annotateChunkPages(chunks, pages), spool.ocrPages),
+    spool.headings
+  );
+
+  for await (const page of readSpooledPages(spool.spoolPath)) {
+    pages.push(page);
+    const chunks = stream.write(page.pageNumber > 1 ? PAGE_SEPARATOR + page.text : page.text);
+    if (chunks.length > 0) {
+      yield annotate(chunks);
+    }
+    pages = pages.filter(held => held.end >= stream.offset || held === page);
+  }
+
+  yield annotate(stream.end());
+}
+
+module.exports = {
+  spoolPDFPages,
+  removeSpool,
+  readSpooledPages,
+  streamSpooledChunks
+};
@@ -0,0 +1,238 @@
+// Local token counting, used for chunk budgets, embedding input limits and prompt assembly:
+// the tokenizers of the OpenAI models (js-tiktoken), and the model's own tokenizer for Hugging
+// Face embedding models (Transformers.js). Nothing is sent over the network, except to download
+// a Hugging Face tokenizer once (see huggingFaceModels.js).
+const { Tiktoken, getEncodingNameForModel } = require('js-tiktoken/lite');
+const { loadTransformers } = require('./huggingFaceModels');
+
+// Embedding provider (see embeddingProviders.js) and its default model and input limit, in tokens
+// of text. all-MiniLM-L6-v2 reads 256 WordPiece tokens, [CLS] and [SEP] included, and drops
+// the rest without an error, so 254 are left for text.
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || 'openai';
+const EMBEDDING_DEFAULTS = {
+  openai: { model: 'text-embedding-3-small', maxTokens: 8191 },
+  huggingface: { model: 'sentence-transformers/all-MiniLM-L6-v2', maxTokens: 254 },
+  local: { model: 'Xenova/all-MiniLM-L6-v2', maxTokens: 254 },
+  'lexical-fallback': { model: 'lexical-hashing-384', maxTokens: 8191 }
+};
+const embeddingDefaults = EMBEDDING_DEFAULTS[EMBEDDING_PROVIDER] || EMBEDDING_DEFAULTS.openai;
+
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || embeddingDefaults.model;
+
+// Providers of Hugging Face models, whose tokens are counted with the model's own tokenizer
+const USES_MODEL_TOKENIZER = ['huggingface', 'local'].includes(EMBEDDING_PROVIDER);
+
+// Input limit of the embedding model. The defaults only know their own model's limit.
+const EMBEDDING_MAX_TOKENS = parseInt(process.env.EMBEDDING_MAX_TOKENS, 10) ||
+  (EMBEDDING_MODEL === embeddingDefaults.model || !USES_MODEL_TOKENIZER ? embeddingDefaults.maxTokens : null);
+if (!EMBEDDING_MAX_TOKENS) {
+  throw new Error(`The input limit of ${EMBEDDING_MODEL} is unknown. Set EMBEDDING_MAX_TOKENS to the tokens of text it reads, without its special tokens.`);
+}
+
+// Context windows (prompt + completion) of the chat models used for answers
+const CONTEXT_WINDOWS = {
+  'gpt-4': 8192,
+  'gpt-4-32k': 32768,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4.1': 1047576,
+  'gpt-4.1-mini': 1047576,
+  'gpt-3.5-turbo': 16385
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Tokens the chat format adds per message, and to prime the reply
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// Rank files are large, so each encoding is only loaded when first used
+const RANKS = {
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base'),
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  p50k_base: () => require('js-tiktoken/ranks/p50k_base'),
+  p50k_edit: () => require('js-tiktoken/ranks/p50k_edit'),
+  r50k_base: () => require('js-tiktoken/ranks/r50k_base'),
+  gpt2: () => require('js-tiktoken/ranks/gpt2')
+};
+const encoders = new Map();
+
+// Tokenizer of the Hugging Face embedding model, once loadEmbeddingTokenizer has loaded it
+let modelTokenizer = null;
+let modelTokenizerLoading = null;
+
+// Load the tokenizer of a Hugging Face embedding model (nothing to do for other providers). Every
+// entry point that counts embedding tokens awaits it first; counting before fails.
+function loadEmbeddingTokenizer() {
+  if (!USES_MODEL_TOKENIZER) return Promise.resolve();
+  if (!modelTokenizerLoading) {
+    modelTokenizerLoading = (async () => {
+      const { AutoTokenizer } = loadTransformers();
+      const tokenizer = await AutoTokenizer.from_pretrained(EMBEDDING_MODEL);
+      const specialTokens = tokenizer.encode('').length;
+      if (EMBEDDING_MAX_TOKENS + specialTokens > tokenizer.model_max_length) {
+        throw new Error(`EMBEDDING_MAX_TOKENS (${EMBEDDING_MAX_TOKENS}) and ${specialTokens} special tokens exceed the ${tokenizer.model_max_length} tokens ${EMBEDDING_MODEL} reads.`);
+      }
+      modelTokenizer = createModelTokenizer(tokenizer);
+    })();
+    // A failed load is tried again by the next caller
+    modelTokenizerLoading.catch(() => {
+      modelTokenizerLoading = null;
+    });
+  }
+  return modelTokenizerLoading;
+}
+
+// A Hugging Face tokenizer counts tokens of text without the special tokens it adds around an
+// input. Its decoded tokens are normalized (e.g. lowercased), so prefixes and suffixes that fit
+// a budget are found by counting instead of decoding.
+function createModelTokenizer(tokenizer) {
+  const count = text => (text ? tokenizer.encode(text, { add_special_tokens: false }).length : 0);
+  // Never split a surrogate pair
+  const boundary = (text, index) => (/[\uDC00-\uDFFF]/.test(text[index] || '') ? index - 1 : index);
+
+  return {
+    count,
+    fit: (text, start, maxEnd, maxTokens) => {
+      if (count(text.slice(start, maxEnd)) <= maxTokens) return maxEnd;
+      // text[start, low) fits, text[start, high) does not
+      let low = start;
+      let high = maxEnd;
+      while (high - low > 1) {
+        const middle = boundary(text, Math.floor((low + high) / 2));
+        if (middle <= low) break;
+        if (count(text.slice(start, middle)) <= maxTokens) low = middle;
+        else high = middle;
+      }
+      return low;
+    },
+    lastStart: (text, start, end, tokens) => {
+      if (count(text.slice(start, end)) <= tokens) return start;
+      // text[high, end) fits, text[low, end) does not
+      let low = start;
+      let high = end;
+      while (high - low > 1) {
+        const middle = boundary(text, Math.floor((low + high) / 2));
+        if (middle <= low) break;
+        if (count(text.slice(middle, end)) <= tokens) high = middle;
+        else low = middle;
+      }
+      return high;
+    }
+  };
+}
+
+function usesModelTokenizer(model) {
+  return USES_MODEL_TOKENIZER && model === EMBEDDING_MODEL;
+}
+
+// Encoding of a model; models the tokenizer does not know (e.g. OpenAI-compatible servers)
+// are counted with cl100k_base or TOKENIZER_ENCODING
+function getEncodingName(model = EMBEDDING_MODEL) {
+  if (usesModelTokenizer(model)) return `huggingface:${model}`;
+  if (process.env.TOKENIZER_ENCODING) return process.env.TOKENIZER_ENCODING;
+  try {
+    return getEncodingNameForModel(model);
+  } catch (error) {
+    return 'cl100k_base';
+  }
+}
+
+function getEncoder(model) {
+  const name = getEncodingName(model);
+  if (!encoders.has(name)) {
+    if (!RANKS[name]) {
+      throw new Error(`Unknown tokenizer encoding "${name}". Available encodings: ${Object.keys(RANKS).join(', ')}`);
+    }
+    encoders.set(name, new Tiktoken(RANKS[name]()));
+  }
+  return encoders.get(name);
+}
+
+function getModelTokenizer() {
+  if (!modelTokenizer) {
+    throw new Error(`The tokenizer of ${EMBEDDING_MODEL} is not loaded yet (see loadEmbeddingTokenizer).`);
+  }
+  return modelTokenizer;
+}
+
+function countTokens(text, model = EMBEDDING_MODEL) {
+  if (!text) return 0;
+  if (usesModelTokenizer(model)) return getModelTokenizer().count(text);
+  return getEncoder(model).encode(text).length;
+}
+
+// Whether two models count tokens the same way (stored counts can be reused)
+function sameEncoding(modelA, modelB) {
+  return getEncodingName(modelA) === getEncodingName(modelB);
+}
+
+// Largest end <= maxEnd such that text[start, end) fits in maxTokens
+function fitTokens(text, start, maxEnd, maxTokens, model = EMBEDDING_MODEL) {
+  if (usesModelTokenizer(model)) return getModelTokenizer().fit(text, start, maxEnd, maxTokens);
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(text.slice(start, maxEnd));
+  if (tokens.length <= maxTokens) return maxEnd;
+
+  // The first maxTokens tokens decode to a prefix of the text (minus a character cut in half)
+  let end = start + encoder.decode(tokens.slice(0, maxTokens)).replace(/\uFFFD+$/, '').length;
+  // Never end inside a surrogate pair
+  if (end > start && /[\uD800-\uDBFF]/.test(text[end - 1])) end--;
+  // Re-encoding the prefix on its own can merge differently; shrink until it fits
+  while (end > start && encoder.encode(text.slice(start, end)).length > maxTokens) end--;
+  return end;
+}
+
+// Start of the last `count` tokens of text[start, end)
+function lastTokensStart(text, start, end, count, model = EMBEDDING_MODEL) {
+  if (count <= 0) return end;
+  if (usesModelTokenizer(model)) return getModelTokenizer().lastStart(text, start, end, count);
+  const encoder = getEncoder(model);
+  const tokens = encoder.encode(text.slice(start, end));
+  if (tokens.length <= count) return start;
+  return end - encoder.decode(tokens.slice(-count)).replace(/^\uFFFD+/, '').length;
+}
+
+// Error for input longer than the embedding model accepts; input is never truncated silently
+function createTokenLimitError(tokens, maxTokens = EMBEDDING_MAX_TOKENS, model = EMBEDDING_MODEL) {
+  const error = new Error(`Input is ${tokens} tokens, more than the ${maxTokens} tokens ${model} accepts.`);
+  error.code = 'EMBEDDING_INPUT_TOO_LONG';
+  error.status = 413;
+  error.retryable = false;
+  error.data = { tokens, maxTokens, model };
+  return error;
+}
+
+function getContextWindow(model) {
+  const configured = parseInt(process.env.LLM_CONTEXT_WINDOW, 10);
+  if (configured) return configured;
+  if (CONTEXT_WINDOWS[model]) return CONTEXT_WINDOWS[model];
+  // Dated snapshots ("gpt-4o-2024-08-06") share the window of their base model
+  const base = Object.keys(CONTEXT_WINDOWS)
+    .sort((a, b) => b.length - a.length)
+    .find(name => model && model.startsWith(`${name}-`));
+  return base ? CONTEXT_WINDOWS[base] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Prompt tokens of a list of chat messages [{ role, content }]
+function countChatTokens(messages, model) {
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + countTokens(message.role, model) + countTokens(message.content, model),
+    TOKENS_PER_REPLY
+  );
+}
+
+module.exports = {
+  EMBEDDING_PROVIDER,
+  EMBEDDING_MODEL,
+  EMBEDDING_MAX_TOKENS,
+  loadEmbeddingTokenizer,
+  getEncodingName,
+  countTokens,
+  sameEncoding,
+  fitTokens,
+  lastTokensStart,
+  createTokenLimitError,
+  getContextWindow,
+  countChatTokens
+};
@@ -1,5 +1,4 @@
 const OpenAI = require('openai');
-const weaviate = require('weaviate-ts-client').default;
 // const path = require('path');
 
 
@@ -7,39 +6,46 @@ const weaviate = require('weaviate-ts-client').default;
 const weaviateAgent = require('weaviate-client').default;
 const { QueryAgent } = require('weaviate-agents');
 const path = require('path');
-// Load environment variables with proper path resolution
+// Load environment variables with proper path resolution, before the modules below read their
+// settings
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
-
-// Validate environment variables before initializing clients
-if (!process.env.OPENAI_API_KEY) {
+const { EMBEDDING_PROVIDER, EMBEDDING_MODEL, EMBEDDING_MAX_TOKENS, loadEmbeddingTokenizer, countTokens, countChatTokens, createTokenLimitError } = require('./tokenizer');
+const { createResilientCaller } = require('./resilience');
+const { EmbeddingCache, normalizeText } = require('./embeddingCache');
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const { LLM_PROVIDER, createLLMProvider, getTaskModel } = require('./llmProviders');
+const { createVectorStore } = require('./vectorStores');
+
+const VECTOR_STORE = process.env.VECTOR_STORE || 'weaviate';
+const usesOpenAI = EMBEDDING_PROVIDER === 'openai' || LLM_PROVIDER === 'openai';
+
+// Validate environment variables before initializing clients. Only the services in use need
+// them: the embedded store, Hugging Face, local or lexical fallback embeddings and an on-prem LLM
+// run without.
+if (usesOpenAI && !process.env.OPENAI_API_KEY) {
   console.error('❌ OPENAI_API_KEY environment variable is missing!');
   console.log('Please add OPENAI_API_KEY=your_key_here to your .env file');
   process.exit(1);
 }
 
-if (!process.env.WEAVIATE_API_KEY) {
+if (VECTOR_STORE === 'weaviate' && !process.env.WEAVIATE_API_KEY) {
   console.error('❌ WEAVIATE_API_KEY environment variable is missing!');
   console.log('Please add WEAVIATE_API_KEY=your_key_here to your .env file');
   process.exit(1);
 }
 
-if (!process.env.WEAVIATE_HOST) {
+if (VECTOR_STORE === 'weaviate' && !process.env.WEAVIATE_HOST) {
   console.error('❌ WEAVIATE_HOST environment variable is missing!');
   console.log('Please add WEAVIATE_HOST=your_weaviate_host to your .env file');
   process.exit(1);
 }
 
-// Initialize OpenAI client
-const openai = new OpenAI({
+// Initialize OpenAI client (null when neither embeddings nor chat use OpenAI). Retries are left
+// to the callers below, so they are not multiplied.
+const openai = process.env.OPENAI_API_KEY ? new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Initialize Weaviate client
-const client = weaviate.client({
-  scheme: 'https',
-  host: process.env.WEAVIATE_HOST,
-  apiKey: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY),
-});
+  maxRetries: 0
+}) : null;
 
 const headers = {
     // Provide your required API key(s), e.g., Cohere, OpenAI, etc. for the configured vectorizer(s)
@@ -86,25 +92,221 @@ const headers = {
 // })();
 
 
-// Generate embeddings using OpenAI
-async function generateEmbedding(text) {
+// Numeric setting from the environment; unlike `parseInt(...) || fallback`, 0 is kept
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const retryOptions = {
+  maxRetries: envNumber('RETRY_MAX_RETRIES', 5),
+  baseDelayMs: envNumber('RETRY_BASE_DELAY_MS', 500),
+  maxDelayMs: envNumber('RETRY_MAX_DELAY_MS', 30000)
+};
+
+// Rate-limited, retrying callers per service (see resilience.js). The OpenAI quotas default to
+// tier 1 limits for the embedding and chat models; 0 turns a limit off.
+const EMBEDDING_QUOTAS = {
+  openai: {
+    requestsPerMinute: envNumber('OPENAI_EMBEDDING_REQUESTS_PER_MINUTE', 3000),
+    tokensPerMinute: envNumber('OPENAI_EMBEDDING_TOKENS_PER_MINUTE', 1000000)
+  },
+  huggingface: {
+    requestsPerMinute: envNumber('HF_REQUESTS_PER_MINUTE', 0)
+  }
+};
+const callEmbeddings = createResilientCaller(`Embeddings (${EMBEDDING_PROVIDER})`, {
+  ...retryOptions,
+  ...EMBEDDING_QUOTAS[EMBEDDING_PROVIDER]
+});
+const CHAT_QUOTAS = {
+  openai: {
+    requestsPerMinute: envNumber('OPENAI_CHAT_REQUESTS_PER_MINUTE', 500),
+    tokensPerMinute: envNumber('OPENAI_CHAT_TOKENS_PER_MINUTE', 200000)
+  },
+  'openai-compatible': {
+    requestsPerMinute: envNumber('LLM_REQUESTS_PER_MINUTE', 0),
+    tokensPerMinute: envNumber('LLM_TOKENS_PER_MINUTE', 0)
+  }
+};
+const callChat = createResilientCaller(`Chat (${LLM_PROVIDER})`, {
+  ...retryOptions,
+  ...CHAT_QUOTAS[LLM_PROVIDER]
+});
+const callWeaviate = createResilientCaller('Weaviate', {
+  ...retryOptions,
+  requestsPerMinute: envNumber('WEAVIATE_REQUESTS_PER_MINUTE', 0)
+});
+
+// Store of the chunks (see vectorStores.js): Weaviate unless VECTOR_STORE says otherwise
+const vectorStore = createVectorStore(VECTOR_STORE, {
+  collection: 'PDFDocument',
+  call: callWeaviate
+});
+// Weaviate client, for code that still needs one; null with other stores
+const client = vectorStore.client || null;
+
+// Chunk properties returned by the search functions
+const RESULT_FIELDS = ['content', 'filename', 'savedFilename', 'pageNumber', 'startPage', 'endPage', 'chunkIndex', 'totalPages', 'uploadDate', 'filePath', 'documentId', 'version', 'superseded', 'sectionNumber', 'sectionTitle', 'sectionPath', 'tokenCount'];
+
+// Chunks of an ingestion that has not been committed yet are never searched.
+// NotEqual also matches chunks stored before ingestions were committed.
+const COMMITTED_FILTER = { path: ['pending'], operator: 'NotEqual', valueBoolean: true };
+
+// Filter of a search: committed chunks, narrowed by an optional where filter
+function searchFilter(where) {
+  return where ? { operator: 'And', operands: [COMMITTED_FILTER, where] } : COMMITTED_FILTER;
+}
+
+const embeddingProvider = createEmbeddingProvider(EMBEDDING_PROVIDER, { model: EMBEDDING_MODEL, openai });
+
+// Limits of one embedding request: inputs, and tokens across all inputs. The provider's own
+// limits unless set in the environment.
+const EMBEDDING_BATCH_MAX_INPUTS = envNumber('EMBEDDING_BATCH_MAX_INPUTS', embeddingProvider.maxInputs);
+const EMBEDDING_BATCH_MAX_TOKENS = envNumber('EMBEDDING_BATCH_MAX_TOKENS', embeddingProvider.maxTokensPerRequest);
+
+// Vectors already computed, by model and normalized text, so re-uploads, reindexing and
+// repeated queries do not pay for them again
+const embeddingCache = new EmbeddingCache({
+  dir: process.env.EMBEDDING_CACHE_DIR || './cache/embeddings',
+  enabled: process.env.EMBEDDING_CACHE_ENABLED !== 'false'
+});
+
+// Generate embeddings with the configured provider, one vector per text in the order of `texts`. Cached vectors
+// are reused; the other texts are embedded once each, packed into as few requests as the batch
+// limits allow. Input is never truncated: text longer than the model accepts is an error
+// (chunking keeps chunks within the limit).
+async function generateEmbeddings(texts) {
+  await loadEmbeddingTokenizer();
+  const tokenCounts = texts.map(text => countTokens(text));
+  tokenCounts.forEach(tokens => {
+    if (tokens > EMBEDDING_MAX_TOKENS) throw createTokenLimitError(tokens);
+  });
+
+  const vectors = await embeddingCache.getMany(EMBEDDING_MODEL, texts);
+
+  // Cache misses by normalized text, with the positions each one fills
+  const missing = new Map();
+  texts.forEach((text, i) => {
+    if (vectors[i]) return;
+    const key = normalizeText(text);
+    if (!missing.has(key)) missing.set(key, { text, tokens: tokenCounts[i], indices: [] });
+    missing.get(key).indices.push(i);
+  });
+
+  const requests = [];
+  let request = null;
+  missing.forEach(item => {
+    if (!request ||
+        request.items.length >= EMBEDDING_BATCH_MAX_INPUTS ||
+        request.tokens + item.tokens > EMBEDDING_BATCH_MAX_TOKENS) {
+      request = { items: [], tokens: 0 };
+      requests.push(request);
+    }
+    request.items.push(item);
+    request.tokens += item.tokens;
+  });
+
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text.substring(0, 8000), // Limit input length
-    });
-    return response.data[0].embedding;
+    await Promise.all(requests.map(async ({ items, tokens }) => {
+      const input = items.map(item => item.text);
+      const embeddings = await callEmbeddings(() => embeddingProvider.embed(input), { tokens });
+
+      embeddings.forEach((embedding, index) => {
+        items[index].indices.forEach(i => {
+          vectors[i] = embedding;
+        });
+      });
+      // Cached per request, so a retry after another request failed does not pay for these again
+      await embeddingCache.setMany(EMBEDDING_MODEL, input, items.map(item => vectors[item.indices[0]]));
+    }));
+    return vectors;
   } catch (error) {
     console.error('Error generating embedding:', error);
-    throw new Error(`Embedding generation failed: ${error.message}`);
+    // Keep status and retryable so ingestion can tell a rate limit from a bad API key
+    const embeddingError = new Error(`Embedding generation failed: ${error.message}`);
+    ['code', 'status', 'retryable'].forEach(key => {
+      if (error[key] !== undefined) embeddingError[key] = error[key];
+    });
+    throw embeddingError;
+  }
+}
+
+async function generateEmbedding(text) {
+  const [embedding] = await generateEmbeddings([text]);
+  return embedding;
+}
+
+// Chunks stored before the embedding model was recorded were all embedded with this model
+const LEGACY_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+let hasEmbeddingModelProperty = false;
+
+// Refuse to search chunks whose vectors come from another model than queries are embedded with:
+// distances between vectors of different models (or dimensions) mean nothing. Checks the
+// committed chunks matching `where` and throws EMBEDDING_MODEL_MISMATCH (409) listing the models
+// found, which reindexing with the current model resolves.
+async function assertEmbeddingModel(where) {
+  if (!hasEmbeddingModelProperty) {
+    const collection = await vectorStore.getCollection();
+    hasEmbeddingModelProperty = Boolean(collection && collection.properties.some(prop => prop.name === 'embeddingModel'));
+  }
+
+  const total = await vectorStore.count(searchFilter(where));
+
+  const models = [];
+  if (hasEmbeddingModelProperty) {
+    const groups = await vectorStore.aggregate({
+      where: searchFilter(where),
+      groupBy: 'embeddingModel',
+      metrics: { embeddingDimensions: ['maximum'] }
+    });
+    groups.forEach(group => {
+      models.push({
+        model: group.groupedBy,
+        dimensions: group.embeddingDimensions.maximum ?? null,
+        chunks: group.count
+      });
+    });
+  }
+  const legacyChunks = total - models.reduce((sum, model) => sum + model.chunks, 0);
+  if (legacyChunks > 0) {
+    const legacy = models.find(model => model.model === LEGACY_EMBEDDING_MODEL);
+    if (legacy) {
+      legacy.chunks += legacyChunks;
+    } else {
+      models.push({ model: LEGACY_EMBEDDING_MODEL, dimensions: null, chunks: legacyChunks });
+    }
+  }
+
+  const otherModels = models.filter(model => model.model !== embeddingProvider.model);
+  if (otherModels.length > 0) {
+    const found = models.map(model => `${model.model} (${model.chunks} chunks)`).join(', ');
+    const error = new Error(`Documents were embedded with ${found}, but queries are embedded with ${embeddingProvider.model}. Reindex them with the current embedding model before searching.`);
+    error.code = 'EMBEDDING_MODEL_MISMATCH';
+    error.status = 409;
+    error.retryable = false;
+    error.data = { queryModel: embeddingProvider.model, models };
+    throw error;
   }
 }
 
+const llmProvider = createLLMProvider(LLM_PROVIDER, { openai });
+
+// Chat completion for a task ('answer', 'query' or 'synthesis', see llmProviders.js) with the
+// task's model, through the chat rate limiter. The prompt and the response budget (max_tokens)
+// both count against the tokens-per-minute quota.
+async function createChatCompletion(task, params) {
+  const request = { model: getTaskModel(task), ...params };
+  return callChat(() => llmProvider.complete(request), {
+    tokens: countChatTokens(request.messages, request.model) + (request.max_tokens || 0)
+  });
+}
+
 // Query enhancement using LLM
 async function enhanceQuery(userQuery) {
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    const response = await createChatCompletion('query', {
       messages: [
         {
           role: 'system',
@@ -127,33 +329,28 @@ async function enhanceQuery(userQuery) {
 }
 
 // Hybrid Search function - combines vector and keyword search
-async function searchPDFContent(query, limit = 5, alpha = 0) {
+async function searchPDFContent(query, limit = 5, alpha = 0, options = {}) {
     try {
         // Enhance the query using LLM
         // const enhancedQuery = await enhanceQuery(query);
         // console.log(`Original query: "${query}"`);
         // console.log(`Enhanced query: "${enhancedQuery}"`);
 
-        // // Generate embedding for the enhanced query
-        const queryEmbedding = await generateEmbedding(query);
+        // // Generate embedding for the enhanced query (unless the caller embedded it already)
+        const queryEmbedding = options.queryEmbedding || await generateEmbedding(query);
         // console.log('Generated embedding for query====>', queryEmbedding);
 
-        // Hybrid search combining vector similarity and keyword matching
-        const result = await client.graphql
-            .get()
-            .withClassName('PDFDocument')
-            .withFields('content filename savedFilename pageNumber chunkIndex totalPages uploadDate filePath _additional { certainty distance score }')
-            .withHybrid({
-                query: query,
-                vector: queryEmbedding,
-                alpha: 0, // 0 = pure keyword, 1 = pure vector, 0.7 = balanced toward vector
-                fusionType: 'rankedFusion' // or 'relativeScore'
-            })
-            .withLimit(limit)
-            .do();
+        // Hybrid search combining vector similarity and keyword matching (ranked fusion)
+        const results = await vectorStore.hybrid({
+            query: query,
+            vector: queryEmbedding,
+            alpha: 0, // 0 = pure keyword, 1 = pure vector, 0.7 = balanced toward vector
+            where: searchFilter(options.where),
+            fields: RESULT_FIELDS,
+            limit
+        });
 
-        console.log('Hybrid search results:', JSON.stringify(result.data, null, 2));
-        console.log("esult.data.Get.PDFDocument==============================>", result.data.Get.PDFDocument);
+        console.log('Hybrid search results:', JSON.stringify(results, null, 2));
 
 
 
@@ -183,7 +380,7 @@ async function searchPDFContent(query, limit = 5, alpha = 0) {
       enhancedQuery: query,//enhancedQuery,
       searchType: 'hybrid',
       alpha: alpha,
-      results: result.data.Get.PDFDocument || []
+      results
     };
   } catch (error) {
     throw new Error(`Hybrid search failed: ${error.message}`);
@@ -191,7 +388,7 @@ async function searchPDFContent(query, limit = 5, alpha = 0) {
 }
 
 // Alternative: Separate vector and keyword searches with custom fusion
-async function searchPDFContentAdvanced(query, limit = 5, vectorWeight = 0.7) {
+async function searchPDFContentAdvanced(query, limit = 5, vectorWeight = 0.7, options = {}) {
     try {
         const enhancedQuery = await enhanceQuery(query);
         console.log(`Original query: "${query}"`);
@@ -202,31 +399,27 @@ async function searchPDFContentAdvanced(query, limit = 5, vectorWeight = 0.7) {
         // Perform both searches in parallel
         const [vectorResults, keywordResults] = await Promise.all([
             // Vector search
-            client.graphql
-                .get()
-                .withClassName('PDFDocument')
-                .withFields('content filename savedFilename pageNumber chunkIndex totalPages uploadDate filePath _additional { certainty distance }')
-                .withNearVector({ vector: queryEmbedding })
-                .withLimit(limit * 2) // Get more results for fusion
-                .do(),
+            vectorStore.nearVector({
+                vector: queryEmbedding,
+                where: searchFilter(options.where),
+                fields: RESULT_FIELDS,
+                limit: limit * 2 // Get more results for fusion
+            }),
 
             // Keyword search (BM25)
-            client.graphql
-                .get()
-                .withClassName('PDFDocument')
-                .withFields('content filename savedFilename pageNumber chunkIndex totalPages uploadDate filePath _additional { score }')
-                .withBm25({
-                    query: enhancedQuery,
-                    properties: ['content', 'filename'] // Search in these fields
-                })
-                .withLimit(limit * 2)
-                .do()
+            vectorStore.bm25({
+                query: enhancedQuery,
+                properties: ['content', 'filename'], // Search in these fields
+                where: searchFilter(options.where),
+                fields: RESULT_FIELDS,
+                limit: limit * 2
+            })
         ]);
 
         // Custom fusion of results
         const fusedResults = fuseSearchResults(
-            vectorResults.data.Get.PDFDocument || [],
-            keywordResults.data.Get.PDFDocument || [],
+            vectorResults,
+            keywordResults,
             vectorWeight,
             limit
         );
@@ -238,8 +431,8 @@ async function searchPDFContentAdvanced(query, limit = 5, vectorWeight = 0.7) {
             enhancedQuery: enhancedQuery,
             searchType: 'advanced_hybrid',
             vectorWeight: vectorWeight,
-            vectorResultsCount: vectorResults.data.Get.PDFDocument?.length || 0,
-            keywordResultsCount: keywordResults.data.Get.PDFDocument?.length || 0,
+            vectorResultsCount: vectorResults.length,
+            keywordResultsCount: keywordResults.length,
             results: fusedResults
         };
     } catch (error) {
@@ -256,7 +449,7 @@ function fuseSearchResults(vectorResults, keywordResults, vectorWeight = 0.7, li
     const maxCertainty = Math.max(...vectorResults.map(r => r._additional?.certainty || 0));
     vectorResults.forEach((result, index) => {
         const normalizedScore = (result._additional?.certainty || 0) / maxCertainty;
-        const key = `${result.filename}_${result.pageNumber}_${result.chunkIndex}`;
+        const key = `${result.savedFilename || result.filename}_${result.pageNumber}_${result.chunkIndex}`;
 
         resultMap.set(key, {
             ...result,
@@ -271,7 +464,7 @@ function fuseSearchResults(vectorResults, keywordResults, vectorWeight = 0.7, li
     const maxBM25Score = Math.max(...keywordResults.map(r => r._additional?.score || 0));
     keywordResults.forEach((result, index) => {
         const normalizedScore = maxBM25Score > 0 ? (result._additional?.score || 0) / maxBM25Score : 0;
-        const key = `${result.filename}_${result.pageNumber}_${result.chunkIndex}`;
+        const key = `${result.savedFilename || result.filename}_${result.pageNumber}_${result.chunkIndex}`;
 
         if (resultMap.has(key)) {
             // Merge with existing vector result
@@ -316,13 +509,13 @@ function getOptimalSearchParams(query) {
 }
 
 // Smart hybrid search that adjusts parameters based on query
-async function smartSearchPDFContent(query, limit = 5) {
+async function smartSearchPDFContent(query, limit = 5, options = {}) {
     const { alpha, vectorWeight } = getOptimalSearchParams(query);
 
     console.log(`Smart search detected parameters - alpha: ${alpha}, vectorWeight: ${vectorWeight}`);
 
     // Use the basic hybrid search with optimized parameters
-    return await searchPDFContent(query, limit, alpha);
+    return await searchPDFContent(query, limit, alpha, options);
 }
 
 // Basic search function
@@ -357,56 +550,48 @@ async function smartSearchPDFContent(query, limit = 5) {
 //   }
 // }
 
-async function basicSearchPDFContent(query, limit = 5) {
+async function basicSearchPDFContent(query, limit = 5, options = {}) {
   try {
     console.log('Starting search for:', query);
 
     // Check if data exists first
-    const dataCheck = await client.graphql
-      .get()
-      .withClassName('PDFDocument')
-      .withFields('content filename')
-      .withLimit(1)
-      .do();
+    const dataCheck = await vectorStore.find({ fields: ['content', 'filename'], limit: 1 });
 
-    console.log('Data exists:', dataCheck.data.Get.PDFDocument?.length > 0);
+    console.log('Data exists:', dataCheck.length > 0);
 
     // Enhance the query using LLM
     const enhancedQuery = query //await enhanceQuery(query);
     console.log(`Original query: "${query}"`);
     console.log(`Enhanced query: "${enhancedQuery}"`);
 
-    // Generate embedding for the enhanced query
-    const queryEmbedding = await generateEmbedding(enhancedQuery);
+    // Generate embedding for the enhanced query (unless the caller embedded it already)
+    const queryEmbedding = options.queryEmbedding || await generateEmbedding(enhancedQuery);
     console.log('Query embedding length:', queryEmbedding?.length);
     console.log('First 5 values:', queryEmbedding?.slice(0, 5));
 
     // Try search without nearVector first (should return all results)
-    const allResults = await client.graphql
-      .get()
-      .withClassName('PDFDocument')
-      .withFields('content filename savedFilename pageNumber chunkIndex _additional { certainty }')
-      .withLimit(limit)
-      .do();
+    const allResults = await vectorStore.find({
+      fields: ['content', 'filename', 'savedFilename', 'pageNumber', 'chunkIndex'],
+      limit
+    });
 
-    console.log('All results (no vector search):', allResults.data.Get.PDFDocument?.length || 0);
+    console.log('All results (no vector search):', allResults.length);
 
     // Now try with vector search
-    const result = await client.graphql
-      .get()
-      .withClassName('PDFDocument')
-      .withFields('content filename savedFilename pageNumber chunkIndex totalPages uploadDate filePath _additional { certainty distance }')
-      .withNearVector({ vector: queryEmbedding })
-      .withLimit(limit)
-      .do();
+    const results = await vectorStore.nearVector({
+      vector: queryEmbedding,
+      where: searchFilter(options.where),
+      fields: RESULT_FIELDS,
+      limit
+    });
 
-    console.log('Vector search results:', result.data.Get.PDFDocument?.length || 0);
-    console.log('Search results:', JSON.stringify(result.data, null, 2));
+    console.log('Vector search results:', results.length);
+    console.log('Search results:', JSON.stringify(results, null, 2));
 
     return {
       originalQuery: query,
       enhancedQuery: enhancedQuery,
-      results: result.data.Get.PDFDocument || []
+      results
     };
   } catch (error) {
     console.error('Search error details:', error);
@@ -416,13 +601,23 @@ async function basicSearchPDFContent(query, limit = 5) {
 
 module.exports = {
     client,
+    vectorStore,
     openai,
     generateEmbedding,
+    generateEmbeddings,
+    embeddingCache,
+    embeddingProvider,
+    assertEmbeddingModel,
+    llmProvider,
+    createChatCompletion,
     enhanceQuery,
     searchPDFContent,
     searchPDFContentAdvanced,
     smartSearchPDFContent,
     basicSearchPDFContent,
     fuseSearchResults,
-    getOptimalSearchParams
+    getOptimalSearchParams,
+    searchFilter,
+    COMMITTED_FILTER,
+    RESULT_FIELDS
 };
\ No newline at end of file
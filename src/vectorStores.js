@@ -0,0 +1,243 @@
+// Vector stores hold the chunks (properties plus one vector each) and search them. A store is
+// chosen with VECTOR_STORE and has this interface (all methods async):
+//
+//   getCollection()                  -> { name, properties } or null when it does not exist yet
+//   createCollection(schema)         schema: { class, properties } as in Weaviate
+//   addProperty(property)            add a property ({ name, dataType, description }) to the
+//                                    collection; existing objects don't have it
+//   getMigrations()                  -> schema migrations applied to the collection,
+//                                    [{ version, name, appliedAt }] (see migrations.js)
+//   recordMigration(migration)       record one as applied
+//   upsert(objects)                  objects: [{ id, properties, vector }]; throws
+//                                    BATCH_OBJECTS_FAILED when the store rejects any of them
+//   update(id, properties)           merge properties into one object
+//   deleteWhere(where)               -> number of objects deleted
+//   find({ where, fields, limit })   -> objects in storage order
+//   nearVector({ vector, where, fields, limit })         -> closest first, _additional.distance
+//   bm25({ query, properties, where, fields, limit })    -> best first, _additional.score
+//   hybrid({ query, vector, alpha, where, fields, limit }) -> ranked fusion, _additional.score
+//   count(where)                     -> number of objects
+//   aggregate({ where, groupBy, metrics }) -> [{ groupedBy, count, [property]: { maximum, ... } }]
+//
+// Filters (`where`) use Weaviate's syntax for every store: { path, operator, valueText |
+// valueString | valueInt | ... } leaves combined with And/Or operands. Results are objects with
+// the requested `fields` and `_additional: { id, ... }`.
+const weaviate = require('weaviate-ts-client').default;
+const { generateUuid5 } = require('weaviate-ts-client');
+const { EmbeddedVectorStore } = require('./embeddedVectorStore');
+
+const stores = new Map();
+
+// `create(options)` returns a store; options are { collection, call } (see utility.js)
+function registerVectorStore(name, create) {
+  stores.set(name, create);
+}
+
+function createVectorStore(name, options) {
+  const create = stores.get(name);
+  if (!create) {
+    throw new Error(`Unknown vector store "${name}". Use one of: ${Array.from(stores.keys()).join(', ')}`);
+  }
+  return create(options);
+}
+
+// Error for objects Weaviate rejected in a batch (objectsBatcher().do() resolves even when
+// individual objects fail)
+function checkBatchResults(results, total) {
+  const failed = (results || []).filter(result => result.result?.errors?.error?.length > 0);
+  if (failed.length === 0) return;
+
+  const messages = [...new Set(failed.flatMap(result => result.result.errors.error.map(error => error.message)))];
+  const error = new Error(`Weaviate rejected ${failed.length} of ${total} chunks: ${messages.join('; ')}`);
+  error.code = 'BATCH_OBJECTS_FAILED';
+  error.data = { failed: failed.length, total, errors: messages };
+  throw error;
+}
+
+// Weaviate class holding the applied migrations of every collection
+const MIGRATION_CLASS = 'SchemaMigration';
+
+// Weaviate (WEAVIATE_HOST, WEAVIATE_API_KEY). Every request goes through `call`, the Weaviate
+// rate limiter and retry layer.
+registerVectorStore('weaviate', ({ collection, call }) => {
+  const client = weaviate.client({
+    scheme: 'https',
+    host: process.env.WEAVIATE_HOST,
+    apiKey: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY),
+  });
+
+  // GraphQL Get of `fields` plus the given _additional fields; `build` adds the search to the
+  // builder. The builder is made anew for every attempt of the call.
+  const get = async ({ where, fields = [], limit, additional, build = builder => builder }) => {
+    const result = await call(() => {
+      let builder = build(client.graphql
+        .get()
+        .withClassName(collection)
+        .withFields([...fields, `_additional { ${additional} }`].join(' ')));
+      if (where) builder = builder.withWhere(where);
+      if (limit) builder = builder.withLimit(limit);
+      return builder.do();
+    });
+    return result.data.Get[collection] || [];
+  };
+
+  const aggregate = async ({ where, groupBy, metrics = {} } = {}) => {
+    const metricFields = Object.entries(metrics).map(([property, names]) => `${property} { ${names.join(' ')} }`);
+    const result = await call(() => {
+      let builder = client.graphql
+        .aggregate()
+        .withClassName(collection)
+        .withFields([groupBy ? 'groupedBy { value }' : '', 'meta { count }', ...metricFields].join(' ').trim());
+      if (where) builder = builder.withWhere(where);
+      if (groupBy) builder = builder.withGroupBy([groupBy]);
+      return builder.do();
+    });
+
+    return (result.data.Aggregate[collection] || []).map(group => ({
+      ...(groupBy && { groupedBy: group.groupedBy.value }),
+      count: group.meta.count,
+      ...Object.fromEntries(Object.keys(metrics).map(property => [property, group[property] || {}]))
+    }));
+  };
+
+  const findClass = async (name) => {
+    const schema = await call(() => client.schema.getter().do());
+    return (schema.classes || []).find(cls => cls.class === name) || null;
+  };
+
+  return {
+    name: 'weaviate',
+    client,
+
+    getCollection: async () => {
+      const found = await findClass(collection);
+      return found ? { name: collection, properties: found.properties || [] } : null;
+    },
+
+    createCollection: schema => call(() => client.schema.classCreator().withClass(schema).do()),
+
+    addProperty: property => call(() => client.schema
+      .propertyCreator()
+      .withClassName(collection)
+      .withProperty(property)
+      .do()),
+
+    getMigrations: async () => {
+      if (!(await findClass(MIGRATION_CLASS))) return [];
+      const result = await call(() => client.graphql
+        .get()
+        .withClassName(MIGRATION_CLASS)
+        .withFields('version name appliedAt')
+        .withWhere({ path: ['collection'], operator: 'Equal', valueString: collection })
+        .withLimit(1000)
+        .do());
+      return (result.data.Get[MIGRATION_CLASS] || []).sort((a, b) => a.version - b.version);
+    },
+
+    // One object per collection and version, so recording a migration again overwrites it
+    recordMigration: async ({ version, name, appliedAt }) => {
+      if (!(await findClass(MIGRATION_CLASS))) {
+        await call(() => client.schema.classCreator().withClass({
+          class: MIGRATION_CLASS,
+          description: 'Schema migrations applied to each collection',
+          vectorizer: 'none',
+          properties: [
+            { name: 'collection', dataType: ['string'], description: 'Collection the migration was applied to' },
+            { name: 'version', dataType: ['int'], description: 'Migration version' },
+            { name: 'name', dataType: ['string'], description: 'Migration name' },
+            { name: 'appliedAt', dataType: ['date'], description: 'When the migration was applied' }
+          ]
+        }).do());
+      }
+      const results = await call(() => client.batch.objectsBatcher()
+        .withObject({
+          class: MIGRATION_CLASS,
+          id: generateUuid5(`${collection}:${version}`),
+          properties: { collection, version, name, appliedAt }
+        })
+        .do());
+      checkBatchResults(results, 1);
+    },
+
+    upsert: async (objects) => {
+      const results = await call(() => client.batch.objectsBatcher()
+        .withObjects(...objects.map(object => ({ class: collection, ...object })))
+        .do());
+      checkBatchResults(results, objects.length);
+      return objects.length;
+    },
+
+    update: (id, properties) => call(() => client.data
+      .merger()
+      .withClassName(collection)
+      .withId(id)
+      .withProperties(properties)
+      .do()),
+
+    // Weaviate caps each batch delete, so repeat until none match
+    deleteWhere: async (where) => {
+      let deleted = 0;
+      while (true) {
+        const result = await call(() => client.batch
+          .objectsBatchDeleter()
+          .withClassName(collection)
+          .withWhere(where)
+          .withOutput('minimal')
+          .do());
+
+        const successful = result.results?.successful || 0;
+        deleted += successful;
+        if (!result.results?.matches || successful === 0) break;
+      }
+      return deleted;
+    },
+
+    find: ({ where, fields, limit }) => get({ where, fields, limit, additional: 'id' }),
+
+    nearVector: ({ vector, where, fields, limit }) => get({
+      where, fields, limit,
+      additional: 'id certainty distance',
+      build: builder => builder.withNearVector({ vector })
+    }),
+
+    bm25: ({ query, properties, where, fields, limit }) => get({
+      where, fields, limit,
+      additional: 'id score',
+      build: builder => builder.withBm25({ query, ...(properties && { properties }) })
+    }),
+
+    hybrid: ({ query, vector, alpha = 0.75, where, fields, limit }) => get({
+      where, fields, limit,
+      additional: 'id score',
+      build: builder => builder.withHybrid({ query, vector, alpha, fusionType: 'rankedFusion' })
+    }),
+
+    count: async (where) => {
+      const [total] = await aggregate({ where });
+      return total ? total.count : 0;
+    },
+
+    aggregate
+  };
+});
+
+// On-disk store in the app's own process (EMBEDDED_STORE_DIR), for local development,
+// air-gapped installs and CI; see embeddedVectorStore.js. Its HNSW index is tuned with HNSW_M,
+// HNSW_EF_CONSTRUCTION and HNSW_EF_SEARCH, or turned off with EMBEDDED_VECTOR_INDEX=flat.
+registerVectorStore('embedded', ({ collection }) => new EmbeddedVectorStore({
+  dir: process.env.EMBEDDED_STORE_DIR || './data/vector-store',
+  collection,
+  index: process.env.EMBEDDED_VECTOR_INDEX === 'flat' ? false : {
+    M: parseInt(process.env.HNSW_M, 10) || 16,
+    efConstruction: parseInt(process.env.HNSW_EF_CONSTRUCTION, 10) || 128,
+    efSearch: parseInt(process.env.HNSW_EF_SEARCH, 10) || 64
+  },
+  flatSearchCutoff: process.env.EMBEDDED_FLAT_SEARCH_CUTOFF !== undefined
+    ? parseInt(process.env.EMBEDDED_FLAT_SEARCH_CUTOFF, 10)
+    : 40000
+}));
+
+module.exports = {
+  registerVectorStore,
+  createVectorStore
+};
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, listen, makePDF } = require('./helpers');
+
+const dir = setupTestEnv();
+
+const { vectorStore, generateEmbeddings } = require('../src/utility');
+const { migrateSchema } = require('../src/migrations');
+const { resolveDocumentVersion, assertVersionAvailable } = require('../src/documents');
+const { storePDFInWeaviateParallel, recoverPendingIngestions, INSTANCE_ID } = require('../src/index');
+const { app: enhancedApp } = require('../enhanced_pdf_search');
+
+test.before(() => migrateSchema(vectorStore, { log: () => {} }));
+
+test('concurrent uploads of a document get distinct versions', async () => {
+  const files = ['manual.txt', 'manual_1.txt', 'manual (2).txt'].map((filename, index) => {
+    const filePath = path.join(dir, `upload-${index}`);
+    fs.writeFileSync(filePath, `Operating manual, revision ${index + 1}. Clean the filter weekly.`);
+    return { filePath, filename };
+  });
+
+  const results = await Promise.all(files.map(({ filePath, filename }) => storePDFInWeaviateParallel(filePath, filename)));
+  assert.deepEqual(results.map(result => result.documentId), ['manual', 'manual', 'manual']);
+  assert.deepEqual(results.map(result => result.version).sort(), [1, 2, 3]);
+
+  const chunks = await vectorStore.find({
+    where: { path: ['documentId'], operator: 'Equal', valueString: 'manual' },
+    fields: ['version', 'superseded']
+  });
+  assert.deepEqual(chunks.filter(chunk => !chunk.superseded).map(chunk => chunk.version), [3]);
+
+  // Released once committed: the next upload continues after the stored versions
+  assert.equal((await resolveDocumentVersion('manual.txt')).version, 4);
+});
+
+test('a version stored by another ingestion is a retryable conflict', async () => {
+  const [vector] = await generateEmbeddings(['Spec sheet']);
+  await vectorStore.upsert([{
+    id: crypto.randomUUID(),
+    properties: { content: 'Spec sheet', documentId: 'spec', version: 2, ingestionId: 'elsewhere', pending: true },
+    vector
+  }]);
+
+  await assert.rejects(assertVersionAvailable('spec', 2, 'mine'), error => {
+    assert.equal(error.code, 'VERSION_CONFLICT');
+    assert.equal(error.status, 409);
+    assert.equal(error.retryable, true);
+    return true;
+  });
+  await assertVersionAvailable('spec', 2, 'elsewhere');
+  await assertVersionAvailable('spec', 3, 'mine');
+});
+
+test('startup recovery rolls back this server\'s pending ingestions and stale ones of others', async () => {
+  const instanceId = fs.readFileSync(path.join(dir, 'jobs', 'instance-id'), 'utf8').trim();
+  const hoursAgo = hours => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const ingestions = [
+    { ingestionId: 'interrupted-here', ingestionOwner: instanceId, uploadDate: hoursAgo(0) },
+    { ingestionId: 'running-elsewhere', ingestionOwner: 'other-server', uploadDate: hoursAgo(0) },
+    { ingestionId: 'abandoned-elsewhere', ingestionOwner: 'other-server', uploadDate: hoursAgo(2) },
+    { ingestionId: 'before-owners', uploadDate: hoursAgo(2) }
+  ];
+  const vectors = await generateEmbeddings(ingestions.map(ingestion => ingestion.ingestionId));
+  await vectorStore.upsert(ingestions.map((ingestion, index) => ({
+    id: crypto.randomUUID(),
+    properties: { ...ingestion, content: ingestion.ingestionId, documentId: 'recovery', version: 1, pending: true },
+    vector: vectors[index]
+  })));
+
+  await recoverPendingIngestions();
+  const left = await vectorStore.find({
+    where: { path: ['documentId'], operator: 'Equal', valueString: 'recovery' },
+    fields: ['ingestionId']
+  });
+  assert.deepEqual(left.map(chunk => chunk.ingestionId), ['running-elsewhere']);
+});
+
+test('uploads to the enhanced server are versioned ingestions, committed as a whole', async (t) => {
+  const enhanced = await listen(enhancedApp);
+  t.after(() => enhanced.close());
+  const upload = async (text) => {
+    const form = new FormData();
+    form.append('pdf', new Blob([makePDF([text])], { type: 'application/pdf' }), 'sop.pdf');
+    const response = await fetch(`${enhanced.baseUrl}/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const first = await upload('Standard operating procedure, revision 1: clean the filter weekly with rinse water.');
+  const second = await upload('Standard operating procedure, revision 2: clean the filter daily with rinse water.');
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(second.status, 200, JSON.stringify(second.body));
+  assert.deepEqual([first.body.data.version, second.body.data.version], [1, 2]);
+
+  const chunks = await vectorStore.find({
+    where: { path: ['documentId'], operator: 'Equal', valueString: 'sop' },
+    fields: ['version', 'superseded', 'pending', 'ingestionOwner', 'contentHash', 'tokenCount']
+  });
+  assert.deepEqual(chunks.map(chunk => [chunk.version, chunk.superseded]).sort(), [[1, true], [2, false]]);
+  chunks.forEach(chunk => {
+    assert.equal(chunk.pending, false);
+    assert.equal(chunk.ingestionOwner, `${INSTANCE_ID}-enhanced`);
+    assert.match(chunk.contentHash, /^[0-9a-f]{64}$/);
+    assert.ok(Number.isInteger(chunk.tokenCount));
+  });
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers');
+
+const dir = setupTestEnv();
+
+const { FolderWatcher } = require('../src/folderWatcher');
+
+let watchers = 0;
+
+// Stands in for the server: every new content gets a job of the watcher's own, completed on
+// the next scan, except content in `manualUploads`, which links to a manual upload
+function createWatcher(folders, manualUploads = new Map()) {
+  const jobs = new Map();
+  const removed = [];
+  const versions = new Map();
+
+  const watcher = new FolderWatcher({
+    folders,
+    statePath: path.join(dir, `watch-state-${++watchers}.json`),
+    onDelete: 'archive',
+    getJob: id => jobs.get(id),
+    ingest: async (filePath) => {
+      const content = fs.readFileSync(filePath, 'utf8');
+      if (manualUploads.has(content)) {
+        return { ...manualUploads.get(content), linked: true };
+      }
+      const documentId = path.basename(filePath, '.pdf');
+      const version = (versions.get(documentId) || 0) + 1;
+      versions.set(documentId, version);
+      const id = `job-${jobs.size + 1}`;
+      jobs.set(id, {
+        id,
+        state: 'completed',
+        errors: [],
+        result: { documentId, version, savedFilename: `${version}_${path.basename(filePath)}` }
+      });
+      return { jobId: id };
+    },
+    removeUploads: async (savedFilenames, mode) => {
+      removed.push({ savedFilenames, mode });
+    }
+  });
+
+  // A file is taken once it is unchanged across two scans; a third picks up the job outcome
+  const settle = async () => {
+    for (let i = 0; i < 3; i++) await watcher.scan();
+  };
+  return { watcher, removed, settle };
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+test('a deleted file only archives the uploads ingested from it', async () => {
+  const folderA = path.join(dir, 'a');
+  const folderB = path.join(dir, 'b');
+  writeFile(path.join(folderA, 'report.pdf'), 'report from a');
+  writeFile(path.join(folderB, 'report.pdf'), 'report from b');
+  const { watcher, removed, settle } = createWatcher([folderA, folderB]);
+
+  await settle();
+  // Same basename, so the same document: versions 1 and 2
+  const entryA = watcher.files.get(path.join(folderA, 'report.pdf'));
+  assert.deepEqual(entryA.uploads, ['1_report.pdf']);
+
+  writeFile(path.join(folderA, 'report.pdf'), 'report from a, revised');
+  fs.utimesSync(path.join(folderA, 'report.pdf'), new Date(), new Date(Date.now() + 5000));
+  await settle();
+  assert.deepEqual(watcher.files.get(path.join(folderA, 'report.pdf')).uploads, ['1_report.pdf', '3_report.pdf']);
+
+  fs.rmSync(path.join(folderA, 'report.pdf'));
+  await watcher.scan();
+  assert.deepEqual(removed, [{ savedFilenames: ['1_report.pdf', '3_report.pdf'], mode: 'archive' }]);
+  assert.equal(watcher.files.has(path.join(folderA, 'report.pdf')), false);
+  assert.deepEqual(watcher.files.get(path.join(folderB, 'report.pdf')).uploads, ['2_report.pdf']);
+});
+
+test('a deleted file that only linked to a manual upload leaves it alone', async () => {
+  const folder = path.join(dir, 'linked');
+  writeFile(path.join(folder, 'policy.pdf'), 'policy content');
+  const manualUploads = new Map([['policy content', { documentId: 'policy', savedFilename: '9_policy.pdf', version: 1 }]]);
+  const { watcher, removed, settle } = createWatcher([folder], manualUploads);
+
+  await settle();
+  const entry = watcher.files.get(path.join(folder, 'policy.pdf'));
+  assert.equal(entry.linked, true);
+  assert.equal(entry.savedFilename, '9_policy.pdf');
+  assert.deepEqual(entry.uploads, []);
+
+  fs.rmSync(path.join(folder, 'policy.pdf'));
+  await watcher.scan();
+  assert.deepEqual(removed, []);
+  assert.equal(watcher.files.size, 0);
+});
+
+test('an upload another watched file links to is kept', async () => {
+  const folder = path.join(dir, 'copies');
+  writeFile(path.join(folder, 'sop.pdf'), 'sop content');
+  const manualUploads = new Map();
+  const { watcher, removed, settle } = createWatcher([folder], manualUploads);
+  await settle();
+
+  // A copy of the same content links to the upload of sop.pdf
+  manualUploads.set('sop content', { documentId: 'sop', savedFilename: '1_sop.pdf', version: 1 });
+  writeFile(path.join(folder, 'copy', 'sop.pdf'), 'sop content');
+  await settle();
+
+  fs.rmSync(path.join(folder, 'sop.pdf'));
+  await watcher.scan();
+  assert.deepEqual(removed, []);
+});
+
+test('archiving the latest upload makes the previous version current, restoring it supersedes that again', async () => {
+  const { vectorStore, generateEmbeddings } = require('../src/utility');
+  const { migrateSchema } = require('../src/migrations');
+  const { archiveUploads, unarchiveUploads } = require('../src/documents');
+
+  await migrateSchema(vectorStore, { log: () => {} });
+  const uploads = [
+    { savedFilename: '1_manual.pdf', version: 1, superseded: true },
+    { savedFilename: '2_watched.pdf', version: 2, superseded: false }
+  ];
+  const vectors = await generateEmbeddings(uploads.map(upload => upload.savedFilename));
+  await vectorStore.upsert(uploads.map((upload, index) => ({
+    id: crypto.randomUUID(),
+    properties: { ...upload, content: upload.savedFilename, chunkIndex: 0, documentId: 'manual', archived: false, pending: false },
+    vector: vectors[index]
+  })));
+  const state = async () => (await vectorStore.find({ fields: ['savedFilename', 'superseded', 'archived'] }))
+    .map(({ savedFilename, superseded, archived }) => ({ savedFilename, superseded, archived }))
+    .sort((a, b) => a.savedFilename.localeCompare(b.savedFilename));
+
+  await archiveUploads(['2_watched.pdf']);
+  assert.deepEqual(await state(), [
+    { savedFilename: '1_manual.pdf', superseded: false, archived: false },
+    { savedFilename: '2_watched.pdf', superseded: false, archived: true }
+  ]);
+
+  await unarchiveUploads(['2_watched.pdf']);
+  assert.deepEqual(await state(), [
+    { savedFilename: '1_manual.pdf', superseded: true, archived: false },
+    { savedFilename: '2_watched.pdf', superseded: false, archived: false }
+  ]);
+});
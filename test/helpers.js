@@ -0,0 +1,85 @@
+// Shared setup of the tests. Every test file runs in its own process, so each one configures
+// the environment before requiring the app: the embedded vector store, the lexical embedding
+// fallback and the fake LLM, all in a temporary working directory. Nothing touches the network.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Point the app at a fresh temporary directory, removed when the test process exits; `env`
+// overrides the defaults. Returns the directory.
+function setupTestEnv(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-search-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  Object.assign(process.env, {
+    VECTOR_STORE: 'embedded',
+    EMBEDDED_STORE_DIR: path.join(dir, 'vector-store'),
+    EMBEDDING_PROVIDER: 'lexical-fallback',
+    EMBEDDING_CACHE_ENABLED: 'false',
+    LLM_PROVIDER: 'fake',
+    JOB_STORE_PATH: path.join(dir, 'jobs', 'jobs.json'),
+    WATCH_FOLDERS: '',
+    WATCH_STATE_PATH: path.join(dir, 'jobs', 'watch-state.json'),
+    RETRY_MAX_RETRIES: '0',
+    ...env
+  });
+  process.chdir(dir);
+  // The app logs its progress on stdout, which Node 20's test runner shares with its own messages
+  // and occasionally fails to tell apart ("Unable to deserialize cloned data"). Warnings and
+  // errors still go to stderr.
+  console.log = () => {};
+  return dir;
+}
+
+// Listen on a free port; resolves to { baseUrl, close }
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// JSON request to a test server; resolves to { status, body }
+async function request(baseUrl, method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// A minimal PDF with one line of Helvetica text per page
+function makePDF(pages) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  pages.forEach(text => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text.replace(/[()\\]/g, '\\$&')}) Tj ET`;
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  setupTestEnv,
+  listen,
+  request,
+  makePDF
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HNSWIndex, benchmarkRecall, randomVectors, seededRandom } = require('../src/hnsw');
+
+// Clustered vectors like the benchmark's, with held-out queries from the same distribution
+function buildIndex(options = {}, count = 2000, dimensions = 32) {
+  const vectors = randomVectors(count + 50, dimensions, seededRandom(7));
+  const queries = vectors.splice(count);
+  const index = new HNSWIndex({ M: 16, efConstruction: 128, seed: 1, ...options });
+  vectors.forEach((vector, i) => index.insert(`v${i}`, vector));
+  return { index, vectors, queries };
+}
+
+test('recall@10 against brute force', () => {
+  const { index, queries } = buildIndex();
+
+  const low = benchmarkRecall(index, queries, 10, 16);
+  const high = benchmarkRecall(index, queries, 10, 128);
+  assert.ok(benchmarkRecall(index, queries, 10, 64).recall >= 0.95);
+  assert.ok(high.recall >= 0.98);
+  assert.ok(high.recall >= low.recall);
+});
+
+test('recall with squared L2 distance', () => {
+  const { index, queries } = buildIndex({ distance: 'l2' });
+  assert.ok(benchmarkRecall(index, queries, 10, 64).recall >= 0.95);
+});
+
+test('deleted and replaced vectors are never returned', () => {
+  const { index, vectors, queries } = buildIndex();
+  const nearest = index.bruteForce(queries[0], 5).map(result => result.id);
+
+  nearest.forEach(id => index.delete(id));
+  // Move another vector next to nothing the query is close to
+  index.insert('v1', vectors[0].map(value => -value));
+
+  const results = index.search(queries[0], 10);
+  assert.equal(results.length, 10);
+  assert.ok(results.every(result => !nearest.includes(result.id)));
+  assert.deepEqual(results.map(result => result.id), index.bruteForce(queries[0], 10).map(result => result.id));
+  assert.equal(index.size, 2000 - nearest.length);
+  assert.equal(index.deletedCount, nearest.length + 1);
+});
+
+test('filtered search only returns accepted ids', () => {
+  const { index, queries } = buildIndex();
+  const even = id => Number(id.slice(1)) % 2 === 0;
+
+  const results = index.search(queries[1], 10, { filter: even, ef: 128 });
+  const exact = index.bruteForce(queries[1], 10, { filter: even });
+  assert.ok(results.every(result => even(result.id)));
+  const found = results.filter(result => exact.some(expected => expected.id === result.id));
+  assert.ok(found.length >= 9);
+});
+
+test('a saved index loads with the same results and meta', async () => {
+  const { index, queries } = buildIndex({}, 500);
+  index.delete('v3');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hnsw-test-'));
+
+  try {
+    const filePath = path.join(dir, 'hnsw.index');
+    await index.save(filePath, { count: 500 });
+    const { index: loaded, meta } = HNSWIndex.load(filePath);
+
+    assert.deepEqual(meta, { count: 500 });
+    assert.equal(loaded.size, index.size);
+    queries.slice(0, 10).forEach(query => {
+      assert.deepEqual(
+        loaded.search(query, 10).map(result => result.id),
+        index.search(query, 10).map(result => result.id)
+      );
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
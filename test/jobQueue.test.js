@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers');
+
+const dir = setupTestEnv();
+
+const { JobQueue, JOB_STATES } = require('../src/jobQueue');
+
+// Resolves once the job has left the queue for good
+function settled(queue, id) {
+  return new Promise(resolve => {
+    const check = () => {
+      const job = queue.get(id);
+      if (job.state === JOB_STATES.COMPLETED || job.state === JOB_STATES.FAILED) return resolve(job);
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+test('secrets are dropped when a job fails and must be given again to retry it', async () => {
+  const queue = new JobQueue({ storePath: path.join(dir, 'jobs.json'), maxAttempts: 2, retryDelayMs: 1 });
+  const seen = [];
+  let fail = true;
+  queue.registerHandler('ingest', async (payload, reportProgress, job, secrets) => {
+    seen.push(secrets.password);
+    if (fail) throw new Error('Embedding service unavailable');
+    return { ok: true };
+  });
+  queue.start();
+
+  const job = queue.enqueue('ingest', { passwordProvided: true }, { secrets: { password: 'secret' } });
+  const failed = await settled(queue, job.id);
+  assert.equal(failed.state, JOB_STATES.FAILED);
+  // Both automatic attempts had the password, which is gone once the job failed
+  assert.deepEqual(seen, ['secret', 'secret']);
+  assert.equal(queue.secrets.has(job.id), false);
+
+  fail = false;
+  queue.retry(job.id, { secrets: { password: 'secret again' } });
+  const completed = await settled(queue, job.id);
+  assert.equal(completed.state, JOB_STATES.COMPLETED);
+  assert.equal(seen[seen.length - 1], 'secret again');
+  assert.equal(queue.secrets.has(job.id), false);
+
+  // Never written to the job store
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'jobs.json'), 'utf8'), /secret/);
+});
+
+test('progress is saved at most once per interval', async () => {
+  const storePath = path.join(dir, 'progress.json');
+  const queue = new JobQueue({ storePath, progressPersistMs: 50 });
+  let writes = 0;
+  const persist = queue.persist.bind(queue);
+  queue.persist = () => {
+    writes++;
+    persist();
+  };
+  queue.registerHandler('ingest', async (payload, reportProgress) => {
+    for (let storedChunks = 1; storedChunks <= 100; storedChunks++) {
+      reportProgress({ storedChunks, totalChunks: 100 });
+    }
+    await new Promise(resolve => setTimeout(resolve, 80));
+    reportProgress({ storedChunks: 100, totalChunks: 100 });
+    return { ok: true };
+  });
+  queue.start();
+
+  const job = queue.enqueue('ingest', {});
+  await settled(queue, job.id);
+  // Queued, started, one save of the first 100 updates, completed
+  assert.equal(writes, 4);
+  const [saved] = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  assert.deepEqual(saved.progress, { storedChunks: 100, totalChunks: 100 });
+});
+
+test('finished jobs are dropped after the retention period and beyond the count limit', async () => {
+  const storePath = path.join(dir, 'retention.json');
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  fs.writeFileSync(storePath, JSON.stringify([
+    { id: 'expired', type: 'ingest', state: JOB_STATES.COMPLETED, payload: {}, errors: [], createdAt: daysAgo(10), updatedAt: daysAgo(10) },
+    { id: 'waiting', type: 'ingest', state: JOB_STATES.QUEUED, payload: {}, errors: [], attempts: 0, maxAttempts: 1, createdAt: daysAgo(10), updatedAt: daysAgo(10) }
+  ]));
+
+  const queue = new JobQueue({ storePath, retentionMs: 7 * 24 * 60 * 60 * 1000, maxFinishedJobs: 2 });
+  assert.deepEqual(queue.list().map(job => job.id), ['waiting']);
+
+  queue.registerHandler('ingest', async () => ({ ok: true }));
+  queue.start();
+  await settled(queue, 'waiting');
+  const jobs = [];
+  for (let i = 0; i < 3; i++) {
+    jobs.push(queue.enqueue('ingest', {}));
+    await settled(queue, jobs[i].id);
+  }
+
+  // Only the latest two finished jobs are kept, in memory and on disk
+  const kept = [jobs[1].id, jobs[2].id].sort();
+  assert.deepEqual(queue.list().map(job => job.id).sort(), kept);
+  assert.deepEqual(JSON.parse(fs.readFileSync(storePath, 'utf8')).map(job => job.id).sort(), kept);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupTestEnv } = require('./helpers');
+
+setupTestEnv({
+  LLM_MODEL: 'test-default-model',
+  LLM_ANSWER_MODEL: 'test-answer-model',
+  LLM_QUERY_MODEL: 'test-query-model'
+});
+
+const { createLLMProvider, getTaskModel, LLM_TASK_MODELS } = require('../src/llmProviders');
+const { llmProvider, createChatCompletion, enhanceQuery } = require('../src/utility');
+
+const messages = [
+  { role: 'system', content: 'Answer from the context.' },
+  { role: 'user', content: 'What is the assay method?' }
+];
+
+test('each task uses its own model, LLM_MODEL fills in the rest', () => {
+  assert.equal(getTaskModel('answer'), 'test-answer-model');
+  assert.equal(getTaskModel('query'), 'test-query-model');
+  assert.equal(getTaskModel('synthesis'), 'test-default-model');
+  assert.deepEqual(Object.keys(LLM_TASK_MODELS), ['answer', 'query', 'synthesis']);
+  assert.throws(() => getTaskModel('translate'), /Unknown LLM task "translate"/);
+});
+
+test('LLM_PROVIDER selects the provider', () => {
+  assert.equal(llmProvider.name, 'fake');
+  assert.throws(() => createLLMProvider('nope', {}), /Unknown LLM provider "nope"\. Use one of: openai, openai-compatible, fake/);
+});
+
+test('openai-compatible needs LLM_BASE_URL', () => {
+  assert.throws(() => createLLMProvider('openai-compatible', {}), /LLM_BASE_URL is required/);
+});
+
+test('the fake provider answers deterministically, per model and prompt', async () => {
+  const fake = createLLMProvider('fake', {});
+  const first = await fake.complete({ model: 'm', messages });
+  const again = await fake.complete({ model: 'm', messages });
+  const otherModel = await fake.complete({ model: 'n', messages });
+
+  assert.deepEqual(first, again);
+  assert.notEqual(first.choices[0].message.content, otherModel.choices[0].message.content);
+  assert.match(first.choices[0].message.content, /^\[fake m [0-9a-f]{12}\] What is the assay method\?$/);
+  assert.equal(first.usage.total_tokens, first.usage.prompt_tokens + first.usage.completion_tokens);
+});
+
+test('createChatCompletion routes a task to its model', async () => {
+  const answer = await createChatCompletion('answer', { messages });
+  const synthesis = await createChatCompletion('synthesis', { messages });
+
+  assert.equal(answer.model, 'test-answer-model');
+  assert.match(answer.choices[0].message.content, /^\[fake test-answer-model /);
+  assert.equal(synthesis.model, 'test-default-model');
+  await assert.rejects(createChatCompletion('translate', { messages }), /Unknown LLM task/);
+});
+
+test('query enhancement runs on the query model', async () => {
+  const enhanced = await enhanceQuery('assay method');
+  assert.match(enhanced, /^\[fake test-query-model [0-9a-f]{12}\] Enhance this search query/);
+});
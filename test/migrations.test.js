@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv, listen, request } = require('./helpers');
+
+// Chunks stored before the embedding model was recorded count as text-embedding-3-small, so the
+// migrated collection is searched with OpenAI embeddings, answered below without the network
+const dir = setupTestEnv({ EMBEDDING_PROVIDER: 'openai', OPENAI_API_KEY: 'test-key' });
+
+const { createEmbeddingProvider } = require('../src/embeddingProviders');
+const { openai, vectorStore } = require('../src/utility');
+const { pdfSchema } = require('../src/schema');
+const { migrateSchema, LATEST_VERSION } = require('../src/migrations');
+const { app } = require('../src/index');
+
+const lexical = createEmbeddingProvider('lexical-fallback', { model: 'lexical-hashing-64' });
+openai.embeddings.create = async ({ input }) => {
+  const vectors = await lexical.embed(input);
+  return { data: vectors.map((embedding, index) => ({ index, embedding })) };
+};
+
+// The collection as it was before migrations existed
+const BASELINE_PROPERTIES = ['content', 'filename', 'savedFilename', 'pageNumber', 'chunkIndex', 'totalPages', 'totalChunks', 'chunkStart', 'chunkEnd', 'uploadDate', 'filePath'];
+const baselineSchema = {
+  ...pdfSchema,
+  properties: pdfSchema.properties.filter(property => BASELINE_PROPERTIES.includes(property.name))
+};
+
+// Two uploads of report.pdf (the older one on page 5) and one of notes.pdf
+const oldReportPath = path.join(dir, 'report-old.pdf');
+fs.writeFileSync(oldReportPath, 'old report file');
+const uploads = [
+  { filename: 'report.pdf', savedFilename: '1700000000000_report.pdf', uploadDate: '2024-01-01T00:00:00.000Z', filePath: oldReportPath, pageNumber: 5, content: 'Dissolution testing of the tablets uses apparatus two at fifty rpm.' },
+  { filename: 'report_1.pdf', savedFilename: '1710000000000_report_1.pdf', uploadDate: '2024-03-01T00:00:00.000Z', filePath: path.join(dir, 'gone.pdf'), pageNumber: 1, content: 'Dissolution testing of the tablets uses apparatus one at one hundred rpm.' },
+  { filename: 'notes.pdf', savedFilename: '1720000000000_notes.pdf', uploadDate: '2024-05-01T00:00:00.000Z', filePath: path.join(dir, 'notes.pdf'), pageNumber: 2, content: 'Stability samples are stored at twenty five degrees.' }
+];
+
+async function storeBaseline() {
+  await vectorStore.createCollection(baselineSchema);
+  const objects = [];
+  for (const upload of uploads) {
+    const [vector] = await lexical.embed([upload.content]);
+    objects.push({
+      id: crypto.randomUUID(),
+      properties: { ...upload, chunkIndex: 0, totalPages: 5, totalChunks: 1, chunkStart: 0, chunkEnd: upload.content.length },
+      vector
+    });
+  }
+  await vectorStore.upsert(objects);
+}
+
+async function storedUpload(savedFilename) {
+  const [chunk] = await vectorStore.find({
+    where: { path: ['savedFilename'], operator: 'Equal', valueString: savedFilename }
+  });
+  return chunk;
+}
+
+test('a baseline collection is migrated to the whole schema and searchable', async (t) => {
+  await storeBaseline();
+  const log = () => {};
+
+  const plan = await migrateSchema(vectorStore, { dryRun: true, log });
+  assert.equal(plan.fromVersion, 0);
+  assert.equal(plan.migrations.length, LATEST_VERSION);
+  assert.equal((await vectorStore.getCollection()).properties.length, BASELINE_PROPERTIES.length);
+
+  const result = await migrateSchema(vectorStore, { log });
+  assert.equal(result.toVersion, LATEST_VERSION);
+  const properties = (await vectorStore.getCollection()).properties.map(property => property.name);
+  assert.deepEqual(properties.slice().sort(), pdfSchema.properties.map(property => property.name).sort());
+
+  const oldReport = await storedUpload('1700000000000_report.pdf');
+  assert.equal(oldReport.documentId, 'report');
+  assert.equal(oldReport.documentName, 'report');
+  assert.equal(oldReport.version, 1);
+  assert.equal(oldReport.superseded, true);
+  assert.equal(oldReport.contentHash, crypto.createHash('sha256').update('old report file').digest('hex'));
+  assert.equal(oldReport.startPage, 5);
+  assert.equal(oldReport.endPage, 5);
+  assert.equal(oldReport.pending, false);
+  assert.equal(oldReport.archived, false);
+  assert.equal(oldReport.format, 'pdf');
+  assert.ok(oldReport.documentType);
+
+  const newReport = await storedUpload('1710000000000_report_1.pdf');
+  assert.equal(newReport.documentId, 'report');
+  assert.equal(newReport.version, 2);
+  assert.equal(newReport.superseded, false);
+  // Its file is gone, so there is nothing to hash
+  assert.equal(newReport.contentHash, undefined);
+
+  const notes = await storedUpload('1720000000000_notes.pdf');
+  assert.equal(notes.documentId, 'notes');
+  assert.equal(notes.version, 1);
+  assert.equal(notes.superseded, false);
+
+  // Running it again finds nothing to do
+  assert.deepEqual((await migrateSchema(vectorStore, { log })).migrations, []);
+
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const search = await request(server.baseUrl, 'POST', '/search', { query: 'dissolution testing apparatus', searchType: 'basic' });
+  assert.equal(search.status, 200, JSON.stringify(search.body));
+  const sources = search.body.data.sources;
+  assert.ok(sources.some(source => source.documentId === 'report' && source.startPage === 1));
+  // The superseded upload is left out of default searches
+  assert.ok(sources.every(source => source.startPage !== 5));
+
+  const firstVersion = await request(server.baseUrl, 'POST', '/search', { query: 'dissolution testing apparatus', searchType: 'basic', documentId: 'report', version: 1 });
+  assert.equal(firstVersion.status, 200, JSON.stringify(firstVersion.body));
+  assert.deepEqual(firstVersion.body.data.sources.map(source => source.startPage), [5]);
+
+  const files = await request(server.baseUrl, 'GET', '/files');
+  assert.equal(files.status, 200);
+  const versions = files.body.data.processedFiles
+    .filter(file => file.documentId === 'report')
+    .map(file => ({ version: file.version, superseded: file.superseded }))
+    .sort((a, b) => a.version - b.version);
+  assert.deepEqual(versions, [{ version: 1, superseded: true }, { version: 2, superseded: false }]);
+});
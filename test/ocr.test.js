@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { setupTestEnv } = require('./helpers');
+
+const dir = setupTestEnv();
+
+// Stand-ins for pdftoppm and tesseract that record their arguments
+const callsPath = path.join(dir, 'ocr-calls.log');
+function fakeTool(name, script) {
+  const toolPath = path.join(dir, name);
+  fs.writeFileSync(toolPath, `#!/bin/sh\necho "${name} $*" >> "${callsPath}"\n${script}\n`, { mode: 0o755 });
+  return toolPath;
+}
+// pdftoppm writes <last argument>.png
+process.env.PDFTOPPM_PATH = fakeTool('pdftoppm', 'for last; do :; done; [ "$last" = -v ] || touch "$last.png"');
+process.env.TESSERACT_PATH = fakeTool('tesseract', [
+  'printf "level\\tpage_num\\tblock_num\\tpar_num\\tline_num\\tword_num\\tleft\\ttop\\twidth\\theight\\tconf\\ttext\\n"',
+  'printf "5\\t1\\t1\\t1\\t1\\t1\\t0\\t0\\t10\\t10\\t90\\tScanned\\n"',
+  'printf "5\\t1\\t1\\t1\\t1\\t2\\t0\\t0\\t10\\t10\\t80\\ttext\\n"'
+].join('\n'));
+
+const { applyOCRFallback } = require('../src/ocr');
+
+const extraction = {
+  text: 'A page with plenty of extractable text on it.\n\n',
+  pages: [
+    { pageNumber: 1, text: 'A page with plenty of extractable text on it.', start: 0, end: 46 },
+    { pageNumber: 2, text: '', start: 48, end: 48 }
+  ]
+};
+const calls = () => (fs.existsSync(callsPath) ? fs.readFileSync(callsPath, 'utf8').trim().split('\n') : []);
+
+test('scanned pages of a password-protected PDF are not OCR\'d, so the password never reaches pdftoppm', async () => {
+  const result = await applyOCRFallback('/docs/encrypted.pdf', extraction, { password: 'secret' });
+  assert.deepEqual(result.ocrPages, []);
+  assert.deepEqual(result.pagesWithoutText, [2]);
+  assert.deepEqual(calls(), []);
+});
+
+test('scanned pages of other PDFs are OCR\'d', async () => {
+  const result = await applyOCRFallback('/docs/scanned.pdf', extraction);
+  assert.deepEqual(result.ocrPages, [{ pageNumber: 2, confidence: 0.85 }]);
+  assert.deepEqual(result.pagesWithoutText, []);
+  assert.match(result.text, /Scanned text$/);
+
+  const pdftoppm = calls().filter(call => call.startsWith('pdftoppm') && call.includes('scanned.pdf'));
+  assert.equal(pdftoppm.length, 1);
+  assert.doesNotMatch(pdftoppm[0], /-upw|-opw/);
+});
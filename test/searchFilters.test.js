@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setupTestEnv, listen, request } = require('./helpers');
+
+setupTestEnv();
+
+const { vectorStore, embeddingProvider, generateEmbeddings } = require('../src/utility');
+const { migrateSchema } = require('../src/migrations');
+const { app } = require('../src/index');
+const { app: enhancedApp } = require('../enhanced_pdf_search');
+
+// One chunk per upload, all about cleaning validation. Only sop_1.pdf and guide.pdf are both
+// searchable and matched by the filter below; the others are superseded, pending, archived or
+// not matched.
+const chunks = [
+  { filename: 'sop.pdf', documentId: 'sop', version: 1, superseded: true, tags: ['gmp'], page: 1 },
+  { filename: 'sop_1.pdf', documentId: 'sop', version: 2, tags: ['gmp'], page: 1 },
+  { filename: 'guide.pdf', documentId: 'guide', version: 1, tags: ['fda'], page: 2 },
+  { filename: 'guide-appendix.pdf', documentId: 'guide-appendix', version: 1, tags: ['fda'], page: 9 },
+  { filename: 'draft.pdf', documentId: 'draft', version: 1, tags: ['gmp'], page: 1, pending: true },
+  { filename: 'old.pdf', documentId: 'old', version: 1, tags: ['gmp'], page: 1, archived: true },
+  { filename: 'misc.pdf', documentId: 'misc', version: 1, tags: ['other'], page: 1 }
+];
+
+// Tagged "gmp", or the guide's pages 1-3
+const filters = {
+  or: [
+    { tags: 'gmp' },
+    { and: [{ documentId: ['guide', 'guide-appendix'] }, { pages: { from: 1, to: 3 } }] }
+  ]
+};
+const EXPECTED = ['guide.pdf', 'sop_1.pdf'];
+
+async function storeChunks() {
+  await migrateSchema(vectorStore, { log: () => {} });
+  const contents = chunks.map(chunk => `Cleaning validation of ${chunk.filename} covers swab sampling and residue limits.`);
+  const vectors = await generateEmbeddings(contents);
+  await vectorStore.upsert(chunks.map((chunk, index) => ({
+    id: crypto.randomUUID(),
+    properties: {
+      content: contents[index],
+      filename: chunk.filename,
+      savedFilename: `1700000000000_${chunk.filename}`,
+      pageNumber: chunk.page,
+      startPage: chunk.page,
+      endPage: chunk.page,
+      chunkIndex: 0,
+      totalChunks: 1,
+      uploadDate: '2024-01-01T00:00:00.000Z',
+      documentId: chunk.documentId,
+      documentName: chunk.documentId,
+      version: chunk.version,
+      superseded: chunk.superseded === true,
+      archived: chunk.archived === true,
+      pending: chunk.pending === true,
+      tags: chunk.tags,
+      embeddingModel: embeddingProvider.model,
+      embeddingDimensions: vectors[index].length
+    },
+    vector: vectors[index]
+  })));
+}
+
+const filenames = results => [...new Set(results.map(result => result.filename))].sort();
+
+test.before(storeChunks);
+
+test('/search and the enhanced /search and /batch-search apply nested filters to the latest committed versions', async (t) => {
+  const server = await listen(app);
+  const enhanced = await listen(enhancedApp);
+  t.after(() => Promise.all([server.close(), enhanced.close()]));
+
+  const query = 'cleaning validation swab sampling';
+
+  for (const searchType of ['basic', 'hybrid']) {
+    const search = await request(server.baseUrl, 'POST', '/search', { query, searchType, limit: 20, filters });
+    assert.equal(search.status, 200, JSON.stringify(search.body));
+    assert.deepEqual(filenames(search.body.data.sources), EXPECTED, `/search ${searchType}`);
+
+    const enhancedSearch = await request(enhanced.baseUrl, 'POST', '/search', {
+      query, searchType, limit: 20, filters, enableQueryRefinement: false, enableSynthesis: false,
+      // The chunks are alike enough for diversification to keep only one
+      enableDiversification: false
+    });
+    assert.equal(enhancedSearch.status, 200, JSON.stringify(enhancedSearch.body));
+    assert.deepEqual(filenames(enhancedSearch.body.data.results), EXPECTED, `enhanced /search ${searchType}`);
+
+    const batch = await request(enhanced.baseUrl, 'POST', '/batch-search', {
+      queries: [query, 'residue limits'], filters, options: { searchType, limit: 20, enableDiversification: false }
+    });
+    assert.equal(batch.status, 200, JSON.stringify(batch.body));
+    for (const result of batch.body.data.batchResults) {
+      assert.equal(result.success, true, result.error);
+      assert.deepEqual(filenames(result.results), EXPECTED, `/batch-search ${searchType} "${result.query}"`);
+    }
+  }
+
+  // An earlier version is searched by asking for it
+  const firstVersion = await request(enhanced.baseUrl, 'POST', '/batch-search', {
+    queries: [query], filters, documentId: 'sop', version: 1, options: { enableDiversification: false }
+  });
+  assert.deepEqual(filenames(firstVersion.body.data.batchResults[0].results), ['sop.pdf']);
+
+  const invalid = await request(enhanced.baseUrl, 'POST', '/batch-search', {
+    queries: [query], filters: { or: [{ pages: { from: 0 } }] }
+  });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /filters\.or\[0\]\.pages\.from must be a positive integer/);
+});
+
+test('/stats counts the chunks searches cover, and every chunk by state', async (t) => {
+  const server = await listen(app);
+  t.after(() => server.close());
+
+  const stats = await request(server.baseUrl, 'GET', '/stats');
+  assert.equal(stats.status, 200);
+  assert.equal(stats.body.data.totalChunks, 4);
+  assert.equal(stats.body.data.uniqueFiles, 4);
+  assert.deepEqual(stats.body.data.chunks, { total: 7, searchable: 4, pending: 1, superseded: 1, archived: 1 });
+
+  const enhanced = await listen(enhancedApp);
+  t.after(() => enhanced.close());
+  const enhancedStats = await request(enhanced.baseUrl, 'GET', '/stats');
+  assert.equal(enhancedStats.body.data.totalChunks, 4);
+  assert.equal(enhancedStats.body.data.uniqueFiles, 4);
+});
+
+test('the enhanced /files lists committed uploads, and /compare-documents compares their latest versions', async (t) => {
+  const enhanced = await listen(enhancedApp);
+  t.after(() => enhanced.close());
+
+  const files = await request(enhanced.baseUrl, 'GET', '/files');
+  assert.equal(files.status, 200);
+  assert.deepEqual(
+    files.body.data.processedFiles.map(file => file.originalFilename).sort(),
+    chunks.filter(chunk => !chunk.pending).map(chunk => chunk.filename).sort()
+  );
+  const sop = files.body.data.processedFiles.find(file => file.originalFilename === 'sop.pdf');
+  assert.deepEqual([sop.documentId, sop.version, sop.superseded], ['sop', 1, true]);
+
+  const compare = await request(enhanced.baseUrl, 'POST', '/compare-documents', {
+    query: 'cleaning validation', documentIds: ['sop', 'draft.pdf', 'old']
+  });
+  assert.equal(compare.status, 200, JSON.stringify(compare.body));
+  const sections = compare.body.data.comparisons.map(comparison => comparison.relevantSections.map(section => section.content));
+  assert.equal(sections[0].length, 1);
+  assert.match(sections[0][0], /sop_1\.pdf/);
+  // Pending and archived documents are not searched
+  assert.deepEqual(sections.slice(1), [[], []]);
+
+  // Chunks of another embedding model are refused, not compared
+  const [vector] = await generateEmbeddings(['Cleaning validation of foreign.pdf']);
+  const foreign = { path: ['documentId'], operator: 'Equal', valueString: 'foreign' };
+  await vectorStore.upsert([{
+    id: crypto.randomUUID(),
+    properties: { content: 'Cleaning validation of foreign.pdf', filename: 'foreign.pdf', documentId: 'foreign', version: 1, pending: false, embeddingModel: 'other-model', embeddingDimensions: vector.length },
+    vector
+  }]);
+  t.after(() => vectorStore.deleteWhere(foreign));
+
+  const mismatch = await request(enhanced.baseUrl, 'POST', '/compare-documents', {
+    query: 'cleaning validation', documentIds: ['sop', 'foreign']
+  });
+  assert.equal(mismatch.status, 409);
+  assert.equal(mismatch.body.code, 'EMBEDDING_MODEL_MISMATCH');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { setupTestEnv } = require('./helpers');
+
+// A Hugging Face model whose tokenizer (a small WordPiece vocabulary) is read from the fixtures
+setupTestEnv({
+  EMBEDDING_PROVIDER: 'huggingface',
+  EMBEDDING_MODEL: 'wordpiece-test',
+  EMBEDDING_MAX_TOKENS: '60',
+  LOCAL_MODELS_DIR: path.join(__dirname, 'fixtures', 'models')
+});
+
+const { loadEmbeddingTokenizer, countTokens } = require('../src/tokenizer');
+const { resolveChunkingOptions, chunkText } = require('../src/chunking');
+const { generateEmbeddings } = require('../src/utility');
+
+const text = Array.from({ length: 12 }, (_, i) =>
+  `Swab sampling covers residue limits of the filter${i % 2 ? ', daily' : ''}. Cleaning with rinse water weekly.`
+).join(' ');
+
+test('Hugging Face embedding models are counted with their own tokenizer', async () => {
+  assert.throws(() => countTokens('Cleaning the filter weekly.'), /tokenizer of wordpiece-test is not loaded/);
+
+  await loadEmbeddingTokenizer();
+  // clean ##ing the filter week ##ly . (cl100k_base would count 5)
+  assert.equal(countTokens('Cleaning the filter weekly.'), 7);
+  // Other models keep their tiktoken encoding
+  assert.equal(countTokens('Cleaning the filter weekly.', 'gpt-4o'), 5);
+});
+
+test('chunks fit the model\'s limit in its own tokens', async () => {
+  await loadEmbeddingTokenizer();
+  assert.throws(() => resolveChunkingOptions('fixed', { maxTokens: 61 }), /must not exceed the embedding model's input limit \(60 tokens\)/);
+
+  const chunks = chunkText(text, resolveChunkingOptions('fixed', { maxTokens: 20, overlapTokens: 4 }));
+  assert.ok(chunks.length > 5);
+  chunks.forEach(chunk => {
+    assert.equal(chunk.text, text.slice(chunk.start, chunk.end));
+    assert.equal(chunk.tokenCount, countTokens(chunk.text));
+    assert.ok(chunk.tokenCount <= 20, `${chunk.tokenCount} tokens: ${chunk.text}`);
+  });
+
+  // Input over the limit is refused before anything is sent to the provider
+  await assert.rejects(generateEmbeddings([text]), error => {
+    assert.equal(error.code, 'EMBEDDING_INPUT_TOO_LONG');
+    assert.equal(error.data.tokens, countTokens(text));
+    assert.equal(error.data.maxTokens, 60);
+    return true;
+  });
+});